@@ -0,0 +1,117 @@
+// Conversation history kept between chat turns.
+// The client sends back the full message list of earlier turns, tool_use and
+// tool_result blocks included, so Claude remembers what it read and wrote.
+// To keep requests small the history is compacted: large tool inputs and results
+// are trimmed, results of older turns are reduced to a short summary and, past
+// the budget, the oldest turns are dropped whole.
+
+// Rough size of a token, to turn the budget into characters
+const CHARS_PER_TOKEN = 4
+// Characters allowed in one tool result of the recent turns
+const MAX_RESULT_CHARS = 4000
+// Characters of a tool result kept in older turns
+const OLD_RESULT_CHARS = 300
+// Turns (user messages and the tool calls that answered them) kept in full
+const RECENT_TURNS = 2
+// Array items and string length kept when trimming JSON
+const MAX_ITEMS = 20
+const MAX_STRING = 500
+// Marks on results already shortened, so compacting the history again leaves them alone
+const SUMMARY_PREFIX = 'Resultado resumido de un turno anterior: '
+const TRIMMED_SUFFIX = ' (recortado)'
+
+// Compact a message list for the next turn; tokenBudget is approximate
+export function compactHistory(messages, { tokenBudget = 20000 } = {}) {
+  const maxChars = tokenBudget * CHARS_PER_TOKEN
+  const turns = splitTurns(messages)
+  const compacted = turns.map((turn, i) => {
+    const isRecent = i >= turns.length - RECENT_TURNS
+    return turn.map(message => compactMessage(message, isRecent))
+  })
+
+  // Drop the oldest turns until the rest fits, always keeping the last one
+  let size = compacted.reduce((sum, turn) => sum + JSON.stringify(turn).length, 0)
+  while (compacted.length > 1 && size > maxChars) {
+    size -= JSON.stringify(compacted.shift()).length
+  }
+  return compacted.flat()
+}
+
+// The final assistant message of a turn, safe to store: without tool_use blocks
+// left unanswered (a response cut off by max_tokens) and never empty
+export function finalAssistantMessage(response, fallbackText) {
+  const content = response.content.filter(block => block.type !== 'tool_use')
+  return {
+    role: 'assistant',
+    content: content.length > 0 ? content : [{ type: 'text', text: fallbackText }]
+  }
+}
+
+// Group messages into turns, each starting with a user message that is not tool results
+function splitTurns(messages) {
+  const turns = []
+  messages.forEach(message => {
+    if (message.role === 'user' && !isToolResults(message) || turns.length === 0) turns.push([])
+    turns[turns.length - 1].push(message)
+  })
+  return turns
+}
+
+function compactMessage(message, isRecent) {
+  if (!Array.isArray(message.content)) return message
+  return {
+    ...message,
+    content: message.content.map(block => {
+      if (block.type === 'tool_result') {
+        return { ...block, content: isRecent ? trimResult(block.content) : summarizeResult(block.content) }
+      }
+      // Inputs like set_range_values blocks can be as large as the data they wrote
+      if (block.type === 'tool_use' && !isRecent) return { ...block, input: trimJson(block.input) }
+      return block
+    })
+  }
+}
+
+// Large ranges and lists cut to their first items
+function trimResult(content) {
+  if (typeof content !== 'string' || content.length <= MAX_RESULT_CHARS || content.endsWith(TRIMMED_SUFFIX)) return content
+  const trimmed = JSON.stringify(trimJson(parseJson(content)))
+  return trimmed.length <= MAX_RESULT_CHARS
+    ? trimmed
+    : `${trimmed.slice(0, MAX_RESULT_CHARS)}…${TRIMMED_SUFFIX}`
+}
+
+// Results of older turns: whether it worked and the start of what it returned
+function summarizeResult(content) {
+  if (typeof content !== 'string' || content.length <= OLD_RESULT_CHARS || content.startsWith(SUMMARY_PREFIX)) return content
+  const summary = JSON.stringify(trimJson(parseJson(content), 3, 80))
+  return `${SUMMARY_PREFIX}${summary.slice(0, OLD_RESULT_CHARS)}${summary.length > OLD_RESULT_CHARS ? '…' : ''}`
+}
+
+// A copy of a JSON value with long arrays and strings shortened
+function trimJson(value, maxItems = MAX_ITEMS, maxString = MAX_STRING) {
+  if (typeof value === 'string') {
+    return value.length > maxString ? `${value.slice(0, maxString)}…` : value
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, maxItems).map(item => trimJson(item, maxItems, maxString))
+    if (value.length > maxItems) items.push(`… y ${value.length - maxItems} más`)
+    return items
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, trimJson(item, maxItems, maxString)]))
+  }
+  return value
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+function isToolResults(message) {
+  return Array.isArray(message.content) && message.content.some(block => block.type === 'tool_result')
+}
@@ -0,0 +1,306 @@
+import { HyperFormula } from 'hyperformula'
+import { parseCellReference, parseRange, toCellRef } from '../src/utils/cellRefs.js'
+import { tokenizeFormula } from '../src/utils/formulaReferences.js'
+
+// HyperFormula evaluation of the per-request working copy.
+// Lets write tools check a formula before it reaches the grid and tell
+// Claude what it computes, so mistakes are fixed within the same turn.
+
+const HF_CONFIG = { licenseKey: 'gpl-v3' }
+
+// Bracketed part of a structured reference: [Precio], [[#Headers],[Precio (USD)]]
+const STRUCTURED_REFERENCE = /\[(?:[^[\]]|\[[^\]]*\])*\]/g
+
+const KNOWN_FUNCTIONS = new Set(HyperFormula.getRegisteredFunctionNames('enGB'))
+
+// Excel functions HyperFormula does not implement. Formulas using them are written
+// as they are (Excel computes them when the file is opened) but not evaluated here.
+const EXCEL_ONLY_FUNCTIONS = new Set([
+  // Lookup and references
+  'XLOOKUP', 'XMATCH', 'LOOKUP', 'INDIRECT', 'AREAS', 'GETPIVOTDATA', 'CELL', 'INFO', 'N', 'TYPE', 'ERROR.TYPE',
+  // Text
+  'TEXTJOIN', 'CONCAT', 'VALUE', 'NUMBERVALUE', 'TEXTBEFORE', 'TEXTAFTER', 'TEXTSPLIT', 'DOLLAR', 'FIXED',
+  'ARRAYTOTEXT', 'VALUETOTEXT', 'REGEXTEST', 'REGEXEXTRACT', 'REGEXREPLACE', 'BAHTTEXT', 'JIS',
+  'LEFTB', 'RIGHTB', 'MIDB', 'LENB', 'FINDB', 'SEARCHB', 'REPLACEB', 'ENCODEURL', 'WEBSERVICE', 'FILTERXML',
+  // Dynamic arrays and LAMBDA
+  'LET', 'LAMBDA', 'MAP', 'REDUCE', 'SCAN', 'BYROW', 'BYCOL', 'MAKEARRAY', 'ISOMITTED',
+  'SORT', 'SORTBY', 'UNIQUE', 'SEQUENCE', 'RANDARRAY', 'VSTACK', 'HSTACK', 'TAKE', 'DROP', 'EXPAND',
+  'CHOOSECOLS', 'CHOOSEROWS', 'TOCOL', 'TOROW', 'WRAPROWS', 'WRAPCOLS', 'GROUPBY', 'PIVOTBY', 'PERCENTOF', 'TRIMRANGE',
+  // Statistics
+  'AVERAGEIFS', 'AGGREGATE', 'RANK', 'RANK.EQ', 'RANK.AVG', 'PERCENTILE', 'PERCENTILE.INC', 'PERCENTILE.EXC',
+  'QUARTILE', 'QUARTILE.INC', 'QUARTILE.EXC', 'PERCENTRANK', 'PERCENTRANK.INC', 'PERCENTRANK.EXC',
+  'MODE', 'MODE.SNGL', 'MODE.MULT', 'TRIMMEAN', 'KURT', 'INTERCEPT', 'FORECAST', 'FORECAST.LINEAR',
+  'LINEST', 'LOGEST', 'TREND', 'GROWTH', 'FREQUENCY', 'PROB', 'PERMUT',
+  // Math and engineering
+  'MINVERSE', 'MDETERM', 'MUNIT', 'CONVERT', 'GESTEP',
+  // Financial
+  'IRR', 'XIRR', 'YIELD', 'PRICE', 'DURATION', 'ACCRINT', 'DISC', 'INTRATE', 'STOCKHISTORY', 'IMAGE'
+])
+
+// Empty instance used only for syntax checks
+const validator = HyperFormula.buildEmpty(HF_CONFIG)
+
+// Check a formula before it is written.
+// Returns null when it is fine, or { code, message, functions? } to send back to Claude.
+export function checkFormula(formula) {
+  if (typeof formula !== 'string' || !formula.startsWith('=')) {
+    return { code: 'MISSING_EQUALS', message: 'Formulas must start with "="' }
+  }
+
+  const tokens = tokenizeFormula(formula)
+  const unknownFunctions = findFunctionNames(tokens)
+    .filter(name => !KNOWN_FUNCTIONS.has(name) && !EXCEL_ONLY_FUNCTIONS.has(name))
+  if (unknownFunctions.length > 0) {
+    return {
+      code: 'UNKNOWN_FUNCTION',
+      message: `Unknown function(s): ${unknownFunctions.join(', ')}. Use English Excel function names (e.g. SUM, not SUMA).`,
+      functions: unknownFunctions
+    }
+  }
+
+  // HyperFormula cannot parse what it does not implement: only parentheses are checked then
+  const parses = findUnevaluated(formula).length > 0
+    ? hasBalancedParentheses(tokens)
+    : validator.validateFormula(formula)
+  if (!parses) {
+    return {
+      code: 'SYNTAX_ERROR',
+      message: 'The formula could not be parsed. Check parentheses, commas between arguments and quotes.'
+    }
+  }
+
+  return null
+}
+
+// What a formula uses that cannot be evaluated here, even though Excel computes it:
+// Excel-only functions and structured references (Tabla[Columna]). Empty when it can.
+export function findUnevaluated(formula) {
+  const tokens = tokenizeFormula(formula)
+  const unevaluated = findFunctionNames(tokens).filter(name => EXCEL_ONLY_FUNCTIONS.has(name))
+  if (tokens.some(token => token.type === 'text' && token.text.includes('['))) {
+    unevaluated.push('structured references')
+  }
+  return unevaluated
+}
+
+// HyperFormula instance loaded with the working copy; rebuilt only after the workbook changed
+export function getEngine(workbook) {
+  if (!workbook.engine || workbook.engineVersion !== workbook.version) {
+    workbook.engine?.destroy()
+    workbook.engine = HyperFormula.buildFromSheets(toEngineSheets(workbook), HF_CONFIG)
+    addNamedExpressions(workbook.engine, workbook.namedRanges)
+    workbook.engineVersion = workbook.version
+  }
+  return workbook.engine
+}
+
+// Release the HyperFormula instance at the end of a turn
+export function releaseEngine(workbook) {
+  workbook.engine?.destroy()
+  workbook.engine = null
+}
+
+// Computed value of one cell: { value } or { value: '#DIV/0!', errorType, errorMessage }
+export function evaluateCell(workbook, sheetName, cell) {
+  const hf = getEngine(workbook)
+  const sheetId = hf.getSheetId(sheetName)
+  const ref = parseCellReference(cell)
+  if (sheetId === undefined || !ref) return { value: null }
+
+  return describeValue(hf.getCellValue({ sheet: sheetId, row: ref.row, col: ref.col }))
+}
+
+// Computed values of a whole sheet, row by row, with errors as their text (#DIV/0!)
+export function getSheetValues(workbook, sheetName) {
+  const hf = getEngine(workbook)
+  const sheetId = hf.getSheetId(sheetName)
+  if (sheetId === undefined) return []
+  return hf.getSheetValues(sheetId).map(row => row.map(value => describeValue(value).value ?? ''))
+}
+
+// Computed values for a range: a small sample plus every error found
+export function evaluateRange(workbook, sheetName, range) {
+  const hf = getEngine(workbook)
+  const sheetId = hf.getSheetId(sheetName)
+  const bounds = parseRange(range)
+  if (sheetId === undefined || !bounds) return { sample: [], errors: [], errorCount: 0 }
+
+  const sample = []
+  const errors = []
+  let errorCount = 0
+  for (let r = bounds.startRow; r <= bounds.endRow; r++) {
+    for (let c = bounds.startCol; c <= bounds.endCol; c++) {
+      const result = describeValue(hf.getCellValue({ sheet: sheetId, row: r, col: c }))
+      const cell = toCellRef(r, c)
+      if (result.errorType) {
+        errorCount++
+        if (errors.length < 10) {
+          const error = { cell, error: result.value }
+          if (result.errorMessage) error.message = result.errorMessage
+          errors.push(error)
+        }
+      } else if (sample.length < 5) {
+        sample.push({ cell, value: result.value })
+      }
+    }
+  }
+
+  return { sample, errors, errorCount }
+}
+
+// Compute a formula against the working copy without writing it anywhere
+export function calculateFormula(workbook, sheetName, formula) {
+  const hf = getEngine(workbook)
+  const sheetId = hf.getSheetId(sheetName)
+  if (sheetId === undefined) return { value: null }
+
+  const result = hf.calculateFormula(formula, sheetId)
+  if (Array.isArray(result)) {
+    // Array results (e.g. =A2:A10*2): keep the answer readable
+    const truncated = result.length > 20 || result.some(row => row.length > 20)
+    const values = result.slice(0, 20).map(row => row.slice(0, 20).map(value => describeValue(value).value))
+    return truncated ? { value: values, truncated: true } : { value: values }
+  }
+  return describeValue(result)
+}
+
+// Find the value of `changingCell` that makes `targetCell` compute `targetValue`,
+// like Excel's Goal Seek. The working copy is left untouched.
+export function goalSeek(workbook, sheetName, { targetCell, targetValue, changingCell, tolerance = 0.001, maxIterations = 100 }) {
+  const hf = getEngine(workbook)
+  const sheetId = hf.getSheetId(sheetName)
+  const target = parseCellReference(targetCell)
+  const changing = parseCellReference(changingCell)
+  if (sheetId === undefined || !target || !changing) {
+    return { error: 'Invalid sheet or cell reference' }
+  }
+
+  const targetAddress = { sheet: sheetId, row: target.row, col: target.col }
+  const changingAddress = { sheet: sheetId, row: changing.row, col: changing.col }
+  if (!hf.doesCellHaveFormula(targetAddress)) {
+    return { error: `${targetCell} must contain a formula that depends on ${changingCell}` }
+  }
+  if (hf.doesCellHaveFormula(changingAddress)) {
+    return { error: `${changingCell} must contain a value, not a formula` }
+  }
+
+  const original = hf.getCellSerialized(changingAddress)
+  // Distance from the target for a given input, NaN when the formula errors out
+  const distance = (x) => {
+    hf.setCellContents(changingAddress, [[x]])
+    const value = hf.getCellValue(targetAddress)
+    return typeof value === 'number' ? value - targetValue : NaN
+  }
+
+  try {
+    // Secant method, starting from the current value
+    let x0 = typeof original === 'number' ? original : 0
+    let x1 = x0 === 0 ? 1 : x0 * 1.01
+    let f0 = distance(x0)
+    let f1 = distance(x1)
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      if (Number.isNaN(f0) || Number.isNaN(f1)) {
+        return { found: false, error: `${targetCell} does not compute a number for these inputs` }
+      }
+      if (Math.abs(f1) <= tolerance) {
+        return {
+          found: true,
+          changingCell,
+          value: roundResult(x1),
+          targetCell,
+          achievedValue: roundResult(f1 + targetValue),
+          iterations: iteration
+        }
+      }
+      if (f1 === f0) {
+        return { found: false, error: `${targetCell} does not change when ${changingCell} changes` }
+      }
+
+      const x2 = x1 - f1 * (x1 - x0) / (f1 - f0)
+      if (!Number.isFinite(x2)) break
+      x0 = x1
+      f0 = f1
+      x1 = x2
+      f1 = distance(x1)
+    }
+
+    return {
+      found: false,
+      error: `No solution found after ${maxIterations} iterations`,
+      lastValue: roundResult(x1),
+      achievedValue: roundResult(f1 + targetValue)
+    }
+  } finally {
+    hf.setCellContents(changingAddress, [[original]])
+  }
+}
+
+// Drop floating point noise from iterative results (24.999999999999943 -> 25)
+function roundResult(value) {
+  return Number(value.toPrecision(12))
+}
+
+// Turn a HyperFormula cell value into plain JSON
+export function describeValue(value) {
+  if (value && typeof value === 'object' && 'type' in value && 'value' in value) {
+    const result = { value: value.value, errorType: value.type }
+    if (value.message) result.errorMessage = value.message
+    return result
+  }
+  return { value: value ?? null }
+}
+
+// Sheets in HyperFormula's input format: raw values, with formulas where the sheet has them
+function toEngineSheets(workbook) {
+  const sheets = {}
+  workbook.sheets.forEach(sheet => {
+    const contents = sheet.data.map(row => row.map(value =>
+      value === '' || value === undefined ? null : value
+    ))
+    Object.entries(sheet.formulas).forEach(([cell, formula]) => {
+      const ref = parseCellReference(cell)
+      if (!ref) return
+      while (contents.length <= ref.row) contents.push([])
+      contents[ref.row][ref.col] = formula
+    })
+    sheets[sheet.name] = contents
+  })
+  return sheets
+}
+
+// Defined names, so formulas like =SUM(Ventas) evaluate. Names HyperFormula
+// cannot parse (or Excel's own, like _xlnm._FilterDatabase) are skipped.
+function addNamedExpressions(hf, namedRanges = {}) {
+  Object.entries(namedRanges).forEach(([name, ref]) => {
+    const expression = '=' + String(ref).replace(/^=/, '')
+    if (hf.isItPossibleToAddNamedExpression(name, expression)) {
+      hf.addNamedExpression(name, expression)
+    }
+  })
+}
+
+// Function names called in a formula. Only plain text is searched: string literals,
+// sheet names ('Ventas (2024)'!A1) and structured references never hold calls.
+function findFunctionNames(tokens) {
+  const names = new Set()
+  tokens.filter(token => token.type === 'text').forEach(token => {
+    const text = token.text.replace(STRUCTURED_REFERENCE, '')
+    for (const match of text.matchAll(/(?<![A-Za-z0-9_.])([A-Za-z_][A-Za-z0-9._]*)\s*\(/g)) {
+      names.add(match[1].toUpperCase().replace(/^(?:_XLFN\.|_XLWS\.)+/, ''))
+    }
+  })
+  return [...names]
+}
+
+function hasBalancedParentheses(tokens) {
+  let depth = 0
+  for (const token of tokens) {
+    if (token.type !== 'text') continue
+    for (const ch of token.text.replace(STRUCTURED_REFERENCE, '')) {
+      if (ch === '(') depth++
+      if (ch === ')' && --depth < 0) return false
+    }
+  }
+  return depth === 0
+}
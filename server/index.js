@@ -4,6 +4,21 @@ import Anthropic from '@anthropic-ai/sdk'
 import dotenv from 'dotenv'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
+import { parseRange, parseCellReference, columnLetterToIndex, indexToColumnLetter, toCellRef } from '../src/utils/cellRefs.js'
+import { createWorkingCopy, resolveSheet, applyChange } from './workingCopy.js'
+import { STYLE_PROPERTIES, dateReplacer } from '../src/utils/changeEngine.js'
+import { buildListFormula, resolveListOptions, rangesOverlap } from '../src/utils/dataValidation.js'
+import { isBuiltInName } from '../src/utils/namedRanges.js'
+import { toAbsoluteReference, tokenizeFormula, sameSheet } from '../src/utils/formulaReferences.js'
+import { FILTER_OPERATORS, detectHeaderRow, sortRowOrder, getHiddenRows } from '../src/utils/sortFilter.js'
+import { createMatcher, findCells } from '../src/utils/findReplace.js'
+import { profileColumns, findDataIssues, typedValues, formatValue } from '../src/utils/columnProfile.js'
+import { CHART_TYPES, getChartData, defaultChartCell, nextChartId } from '../src/utils/charts.js'
+import { buildSpreadsheetContext } from './spreadsheetContext.js'
+import { compactHistory, finalAssistantMessage } from './conversationHistory.js'
+import { createSessionStore } from './sessionStore.js'
+import { AGGREGATIONS, validateSummaryDefinition, buildSummaryTable, blockRange, grownRange } from './summaryTable.js'
+import { checkFormula, findUnevaluated, evaluateCell, evaluateRange, getSheetValues, calculateFormula, goalSeek, releaseEngine } from './formulaEngine.js'
 
 dotenv.config()
 
@@ -12,14 +27,23 @@ const __dirname = dirname(__filename)
 
 const app = express()
 const PORT = process.env.PORT || 3001
+// Approximate tokens of spreadsheet context sent in the system prompt
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 4000
+// Approximate tokens of earlier turns (tool calls included) sent back with each message
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 20000
 
 // Middleware
 app.use(cors())
 app.use(express.json({ limit: '50mb' }))
+// Dates in responses as the local date they stand for (see dateReplacer)
+app.set('json replacer', dateReplacer)
 
 // Serve static files
 app.use(express.static(join(__dirname, '../dist')))
 
+// Saved chat sessions, one JSON file each
+const sessions = createSessionStore(process.env.SESSIONS_DIR || join(__dirname, '../data/sessions'))
+
 // Initialize Anthropic client
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
@@ -29,7 +53,7 @@ const anthropic = new Anthropic({
 const tools = [
   {
     name: "get_sheet_info",
-    description: "Get information about all available sheets in the workbook, including their names, dimensions, and a preview of the header row. Call this first to understand the spreadsheet structure.",
+    description: "Get information about all available sheets in the workbook, including their names, dimensions, a preview of the header row and their data validations (dropdown lists, number/date/length rules). Call this first to understand the spreadsheet structure.",
     input_schema: {
       type: "object",
       properties: {},
@@ -74,6 +98,23 @@ const tools = [
       required: ["sheet", "cell", "formula"]
     }
   },
+  {
+    name: "set_range_values",
+    description: "Write a whole block of cells in one call: a 2D array of rows, starting at startCell. Use it instead of many set_cell_value calls to fill or paste a table. Values keep their type: numbers, booleans, text, dates as 'YYYY-MM-DD' (optionally with ' HH:MM') and formulas as text starting with '='. null clears a cell.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        startCell: { type: "string", description: "Top-left cell of the block (e.g., 'A1')" },
+        values: {
+          type: "array",
+          description: "Rows of values, e.g. [[\"Producto\", \"Precio\"], [\"Café\", 1500], [\"Total\", \"=SUM(B2:B2)\"]]",
+          items: { type: "array", items: { type: ["string", "number", "boolean", "null"] } }
+        }
+      },
+      required: ["sheet", "startCell", "values"]
+    }
+  },
   {
     name: "insert_column",
     description: "Insert a new column after a specified column. Optionally set a header value.",
@@ -101,13 +142,13 @@ const tools = [
   },
   {
     name: "apply_formula_to_range",
-    description: "Apply a formula pattern to a range of cells. The formula will be automatically adjusted for each row.",
+    description: "Fill a range with a formula, like Excel's fill handle: the formula is written as given in the top-left cell and copied down and to the right. Relative references shift with each row/column; $-anchored parts (e.g. $B$1, B$1, $B1) stay fixed.",
     input_schema: {
       type: "object",
       properties: {
         sheet: { type: "string", description: "The sheet name" },
-        range: { type: "string", description: "The target range (e.g., 'E2:E100')" },
-        formula: { type: "string", description: "The formula pattern for the first cell" }
+        range: { type: "string", description: "The target range: a column (e.g., 'E2:E100'), a row (e.g., 'B12:M12') or a block (e.g., 'C2:F20')" },
+        formula: { type: "string", description: "The formula for the top-left cell of the range (e.g., '=C2*$B$1')" }
       },
       required: ["sheet", "range", "formula"]
     }
@@ -135,32 +176,633 @@ const tools = [
       },
       required: ["sheet", "row"]
     }
+  },
+  {
+    name: "evaluate_formula",
+    description: "Compute any formula against the current workbook WITHOUT writing it to the sheet. Use it to answer questions (totals, averages, lookups) or to test a formula before setting it.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet that unqualified references (e.g. 'A1') point to" },
+        formula: { type: "string", description: "The formula starting with '=' (e.g., '=SUMIF(B2:B100,\"Café\",C2:C100)')" }
+      },
+      required: ["sheet", "formula"]
+    }
+  },
+  {
+    name: "goal_seek",
+    description: "Find the value a cell must have so that a formula cell reaches a target (Excel's Goal Seek), e.g. how many units to sell to reach a profit. Read-only: the sheet is not modified; use set_cell_value afterwards if the user wants to apply the result.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        targetCell: { type: "string", description: "The cell with the formula to reach the target (e.g., 'E10')" },
+        targetValue: { type: "number", description: "The value targetCell should compute" },
+        changingCell: { type: "string", description: "The input cell to vary; must contain a value, not a formula (e.g., 'B2')" }
+      },
+      required: ["sheet", "targetCell", "targetValue", "changingCell"]
+    }
+  },
+  {
+    name: "set_number_format",
+    description: "Set how numbers and dates are displayed in a range, using an Excel number format code. Values are not changed. Examples: '#,##0.00' (two decimals), '\"$\" #,##0.00' (pesos), '0%' / '0.00%' (percent), 'dd/mm/yyyy' (date), 'General' (reset).",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        range: { type: "string", description: "The cell or range (e.g., 'C2:C100')" },
+        format: { type: "string", description: "Excel number format code" }
+      },
+      required: ["sheet", "range", "format"]
+    }
+  },
+  {
+    name: "set_cell_style",
+    description: "Format cells: bold, italic, font color, fill (background) color, horizontal alignment and borders. Only the properties you pass change; pass null to remove one.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        range: { type: "string", description: "The cell or range (e.g., 'A1:F1')" },
+        bold: { type: ["boolean", "null"], description: "Bold text" },
+        italic: { type: ["boolean", "null"], description: "Italic text" },
+        fontColor: { type: ["string", "null"], description: "Text color as hex (e.g., '#C00000')" },
+        fillColor: { type: ["string", "null"], description: "Background color as hex (e.g., '#FFF2CC')" },
+        align: { type: ["string", "null"], enum: ["left", "center", "right", null], description: "Horizontal alignment" },
+        border: { type: ["string", "null"], enum: ["thin", "medium", "thick", null], description: "Border on every side of each cell" }
+      },
+      required: ["sheet", "range"]
+    }
+  },
+  {
+    name: "create_dropdown",
+    description: "Add a dropdown list (data validation) to a range, e.g. a Category or Status column. Pass exactly one source: options (a short literal list), sourceRange (cells holding the options, e.g. 'Listas!A2:A20') or namedRange (a defined name). Replaces any dropdown already on those cells.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        range: { type: "string", description: "The cells that get the dropdown (e.g., 'D2:D500')" },
+        options: { type: "array", items: { type: "string" }, description: "Literal options (no commas; 255 characters in total at most)" },
+        sourceRange: { type: "string", description: "Range with the options, optionally sheet-qualified (e.g., 'Listas!A2:A20')" },
+        namedRange: { type: "string", description: "Defined name that holds the options" },
+        allowOther: { type: "boolean", description: "Accept values that are not in the list (default false)" }
+      },
+      required: ["sheet", "range"]
+    }
+  },
+  {
+    name: "remove_dropdown",
+    description: "Remove the dropdown lists that overlap a range.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        range: { type: "string", description: "The range to clear (e.g., 'D2:D500')" }
+      },
+      required: ["sheet", "range"]
+    }
+  },
+  {
+    name: "define_name",
+    description: "Create or redefine a named range (defined name), e.g. 'Ventas' for the sales column, so formulas can use =SUM(Ventas). The range is stored as an absolute reference.",
+    input_schema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "The name: starts with a letter or underscore, no spaces, and must not look like a cell (e.g., 'Ventas', 'Tasa_IVA')" },
+        sheet: { type: "string", description: "Sheet of the range when it is not sheet-qualified" },
+        range: { type: "string", description: "The cells it refers to (e.g., 'B2:B100' or 'Config!B1')" }
+      },
+      required: ["name", "range"]
+    }
+  },
+  {
+    name: "delete_name",
+    description: "Delete a named range. Formulas that use it will show #NAME?.",
+    input_schema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "The name to delete" }
+      },
+      required: ["name"]
+    }
+  },
+  {
+    name: "list_names",
+    description: "List the workbook's named ranges and the cells they refer to.",
+    input_schema: {
+      type: "object",
+      properties: {}
+    }
+  },
+  {
+    name: "sort_range",
+    description: "Sort the rows of a range by one or more columns, like Excel's Sort. Whole rows of the range move together, with their formats; formulas are adjusted to their new row. Sorts by computed values: numbers before text, blanks always last. The header row is detected when hasHeader is not given.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        range: { type: "string", description: "The whole table, including every column to move (e.g., 'A1:F200')" },
+        keys: {
+          type: "array",
+          description: "Sort keys in priority order",
+          items: {
+            type: "object",
+            properties: {
+              column: { type: "string", description: "Column letter inside the range (e.g., 'C')" },
+              order: { type: "string", enum: ["asc", "desc"], description: "Ascending (A-Z, smallest first) or descending; defaults to asc" }
+            },
+            required: ["column"]
+          }
+        },
+        hasHeader: { type: "boolean", description: "Whether the first row of the range is a header that stays in place" }
+      },
+      required: ["sheet", "range", "keys"]
+    }
+  },
+  {
+    name: "set_filter",
+    description: "Set the sheet's filter (Excel AutoFilter): rows of the range that fail any column's condition are hidden, in the app and in the exported file. The first row of the range holds the headers. Replaces the current filter; pass clear to remove it and show every row.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        range: { type: "string", description: "The table including its header row (e.g., 'A1:F200'); defaults to the current filter's range or the used cells" },
+        columns: {
+          type: "array",
+          description: "One condition per filtered column; leave empty for filter buttons without conditions",
+          items: {
+            type: "object",
+            properties: {
+              column: { type: "string", description: "Column letter (e.g., 'C')" },
+              values: { type: "array", items: { type: "string" }, description: "Keep rows with one of these values (use \"\" for blanks)" },
+              operator: { type: "string", enum: FILTER_OPERATORS, description: "Or keep rows matching a condition" },
+              value: { type: ["string", "number"], description: "The value the operator compares with" }
+            },
+            required: ["column"]
+          }
+        },
+        clear: { type: "boolean", description: "Remove the filter" }
+      },
+      required: ["sheet"]
+    }
+  },
+  {
+    name: "find_cells",
+    description: "Search the workbook (all sheets, or one) for cells by text, regular expression or numeric comparison, in computed values or in formulas. Use it to locate data instead of reading ranges blindly.",
+    input_schema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Text to look for (or a regular expression with regex: true)" },
+        regex: { type: "boolean", description: "Treat query as a JavaScript regular expression" },
+        matchCase: { type: "boolean", description: "Case-sensitive match (default false)" },
+        wholeCell: { type: "boolean", description: "The whole cell must match, not just part of it" },
+        operator: { type: "string", enum: FILTER_OPERATORS, description: "Instead of query: compare each value, e.g. greaterThan 1000" },
+        value: { type: ["string", "number"], description: "The value the operator compares with" },
+        lookIn: { type: "string", enum: ["values", "formulas"], description: "Search what cells show (default) or their formulas' text" },
+        sheet: { type: "string", description: "Search only this sheet" },
+        range: { type: "string", description: "Search only this range of the sheet (e.g., 'A1:F200')" },
+        limit: { type: "integer", description: "Most matches to list (default 50, max 200); the total is always reported" }
+      }
+    }
+  },
+  {
+    name: "describe_columns",
+    description: "Profile the columns of a sheet over ALL its rows: type mix, empty cells, duplicates, outliers, min/max/mean, most common values and cells whose type does not match the column (e.g. numbers stored as text). Also lists data-quality issues with the cells involved. Use it for questions like \"¿hay duplicados o vacíos en clientes?\" instead of reading ranges.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name (default: active sheet)" },
+        range: { type: "string", description: "Table range to profile (e.g., 'A1:F500'); default the whole used area" },
+        columns: { type: "array", items: { type: "string" }, description: "Only these column letters, e.g. ['B', 'D']" },
+        hasHeader: { type: "boolean", description: "Whether the first row is a header; detected when omitted" }
+      }
+    }
+  },
+  {
+    name: "replace_in_cells",
+    description: "Replace text in cells across the workbook (or one sheet or range), like Excel's Replace: it changes constants and the text of formulas. Numeric results become numbers. Use find_cells first to check what will change.",
+    input_schema: {
+      type: "object",
+      properties: {
+        find: { type: "string", description: "Text to replace (or a regular expression with regex: true)" },
+        replace: { type: "string", description: "Replacement text; with regex it may use $1, $2..." },
+        regex: { type: "boolean", description: "Treat find as a JavaScript regular expression" },
+        matchCase: { type: "boolean", description: "Case-sensitive match (default false)" },
+        wholeCell: { type: "boolean", description: "Only replace cells whose whole content matches" },
+        sheet: { type: "string", description: "Replace only in this sheet; all sheets when omitted" },
+        range: { type: "string", description: "Replace only in this range of the sheet (e.g., 'B2:B500')" }
+      },
+      required: ["find", "replace"]
+    }
+  },
+  {
+    name: "create_summary_table",
+    description: "Build a summary of a table grouped by one or more columns (like a pivot table): one row per group, optionally one column per value of a column field, with sums, counts, averages, minimums or maximums and a Total row. The cells are live formulas (SUMIFS, COUNTIFS...) that recalculate when the data changes. Pass refresh to rebuild an existing summary so it picks up new groups and rows added below the source table.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet with the source table" },
+        range: { type: "string", description: "The source table including its header row (e.g., 'A1:F200')" },
+        rows: { type: "array", items: { type: "string" }, description: "Column letters to group rows by, outermost first (e.g., [\"B\"])" },
+        columns: { type: "array", items: { type: "string" }, maxItems: 1, description: "Optional column letter whose values become summary columns (e.g., [\"D\"] for one column per month)" },
+        values: {
+          type: "array",
+          description: "What to compute for each group",
+          items: {
+            type: "object",
+            properties: {
+              column: { type: "string", description: "Column letter with the values (e.g., 'F')" },
+              aggregation: { type: "string", enum: AGGREGATIONS }
+            },
+            required: ["column", "aggregation"]
+          }
+        },
+        targetSheet: { type: "string", description: "Sheet to write the summary to; it is created if it does not exist" },
+        targetCell: { type: "string", description: "Top-left cell of the summary (default 'A1')" },
+        refresh: { type: "boolean", description: "Rebuild the summary already at targetSheet/targetCell from its saved definition; the other fields are not needed" }
+      },
+      required: ["targetSheet"]
+    }
+  },
+  {
+    name: "create_chart",
+    description: "Create a chart (bar, line, pie or scatter) from a range of the sheet. The first column holds the categories (or the x values for scatter) and each other column is a series; a header row gives the series names. The chart shows next to the grid, updates when the data changes and is exported to the .xlsx as a native Excel chart.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        range: { type: "string", description: "Data to chart, including the header row (e.g., 'A1:C13')" },
+        type: { type: "string", enum: CHART_TYPES, description: "bar (columns), line, pie (first series only) or scatter" },
+        title: { type: "string", description: "Chart title" },
+        position: { type: "string", description: "Top-left cell where the chart goes in the exported file; defaults to two columns right of the range" },
+        id: { type: "string", description: "Id of an existing chart to replace instead of adding a new one" }
+      },
+      required: ["sheet", "range", "type"]
+    }
+  },
+  {
+    name: "delete_chart",
+    description: "Delete a chart. get_sheet_info lists each sheet's charts with their ids.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet name" },
+        id: { type: "string", description: "The chart id (e.g., 'chart1')" }
+      },
+      required: ["sheet", "id"]
+    }
+  },
+  {
+    name: "add_sheet",
+    description: "Create a new empty sheet. Formulas in other sheets can reference it as 'Sheet name'!A1.",
+    input_schema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Name for the new sheet (max 31 characters, no \\ / ? * [ ] :)" },
+        position: { type: "integer", description: "Optional tab position (1 = first). Defaults to the last position" }
+      },
+      required: ["name"]
+    }
+  },
+  {
+    name: "rename_sheet",
+    description: "Rename a sheet. Formulas that reference it in any sheet are updated automatically.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The current sheet name" },
+        newName: { type: "string", description: "The new sheet name" }
+      },
+      required: ["sheet", "newName"]
+    }
+  },
+  {
+    name: "duplicate_sheet",
+    description: "Copy a sheet, with its values and formulas, into a new sheet placed right after it.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet to copy" },
+        newName: { type: "string", description: "Name for the copy" }
+      },
+      required: ["sheet", "newName"]
+    }
+  },
+  {
+    name: "delete_sheet",
+    description: "Delete a sheet and all its data. Formulas in other sheets that reference it become #REF!. Only do this when the user explicitly asks.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet to delete" }
+      },
+      required: ["sheet"]
+    }
+  },
+  {
+    name: "move_sheet",
+    description: "Move a sheet to another tab position.",
+    input_schema: {
+      type: "object",
+      properties: {
+        sheet: { type: "string", description: "The sheet to move" },
+        position: { type: "integer", description: "The new tab position (1 = first)" }
+      },
+      required: ["sheet", "position"]
+    }
   }
 ]
 
 // Chat endpoint
+// With `stream: true` the response is NDJSON: one event per line, see streamChatTurn.
+// With `sessionId` the history comes from that saved session; with `workbook` and no
+// session a new one is started. Otherwise the client sends `conversationHistory` itself.
 app.post('/api/chat', async (req, res) => {
+  const { message, spreadsheetData, conversationHistory = [], stream = false, sessionId, workbook } = req.body
+
+  if (!process.env.ANTHROPIC_API_KEY) {
+    return res.status(500).json({ 
+      error: 'ANTHROPIC_API_KEY not configured',
+      message: 'Please set the ANTHROPIC_API_KEY environment variable'
+    })
+  }
+
+  // Malformed spreadsheet data is rejected before a session gets created for it
+  let systemPrompt
   try {
-    const { message, spreadsheetData, conversationHistory = [] } = req.body
+    systemPrompt = buildSystemPrompt(spreadsheetData)
+  } catch (error) {
+    console.error('Spreadsheet data error:', error)
+    return res.status(400).json({ error: 'Invalid spreadsheet data' })
+  }
+
+  let session = null
+  try {
+    session = sessionId
+      ? await sessions.get(sessionId)
+      : workbook ? sessions.create({ workbook, title: sessionTitle(message) }) : null
+  } catch (error) {
+    console.error('Session error:', error)
+    return res.status(500).json({ error: 'Could not load the chat session' })
+  }
+  if (sessionId && !session) {
+    return res.status(404).json({ error: 'Session not found' })
+  }
+
+  // Build messages array
+  const messages = [
+    ...(session ? session.conversationHistory : conversationHistory),
+    { role: 'user', content: message }
+  ]
 
-    if (!process.env.ANTHROPIC_API_KEY) {
-      return res.status(500).json({ 
-        error: 'ANTHROPIC_API_KEY not configured',
-        message: 'Please set the ANTHROPIC_API_KEY environment variable'
+  if (stream) {
+    return streamChatTurn(res, { systemPrompt, messages, message, spreadsheetData, session })
+  }
+
+  try {
+    const turn = await runChatTurn({ systemPrompt, messages, spreadsheetData })
+    res.json(await finishTurn(turn, messages, message, session))
+  } catch (error) {
+    console.error('Chat error:', error)
+    res.status(500).json({ 
+      error: error.message,
+      details: error.response?.data || null
+    })
+  }
+})
+
+// Stream a chat turn as NDJSON events:
+//   { type: 'text', delta }                 assistant text as it is generated
+//   { type: 'tool_start', id, tool, input } a tool call is about to run
+//   { type: 'tool_end', id, tool, result }  a tool call finished
+//   { type: 'change', change }              a spreadsheet change, ready to apply
+//   { type: 'done', ...response }           same payload as the non-streaming response
+//   { type: 'error', error }                the turn failed, nothing else follows
+async function streamChatTurn(res, { systemPrompt, messages, message, spreadsheetData, session }) {
+  res.status(200)
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8')
+  res.setHeader('Cache-Control', 'no-cache')
+  res.setHeader('X-Accel-Buffering', 'no')
+  res.flushHeaders()
+
+  // Stop calling Claude if the browser goes away mid-turn
+  const abortController = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort()
+  })
+
+  const emit = (event) => {
+    if (!res.writableEnded) res.write(JSON.stringify(event, dateReplacer) + '\n')
+  }
+
+  try {
+    const turn = await runChatTurn({
+      systemPrompt,
+      messages,
+      spreadsheetData,
+      emit,
+      signal: abortController.signal
+    })
+    emit({ type: 'done', ...await finishTurn(turn, messages, message, session) })
+  } catch (error) {
+    if (abortController.signal.aborted) return
+    console.error('Chat error:', error)
+    emit({ type: 'error', error: error.message })
+  } finally {
+    res.end()
+  }
+}
+
+// Run the Claude tool-use loop for one user message.
+// When `emit` is given, responses are streamed and progress is reported through it.
+async function runChatTurn({ systemPrompt, messages, spreadsheetData, emit, signal }) {
+  const streaming = typeof emit === 'function'
+
+  // Text from consecutive responses is shown as one message, separated by a blank line
+  let hasStreamedText = false
+  const callClaude = async () => {
+    const params = {
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 4096,
+      system: systemPrompt,
+      tools,
+      messages
+    }
+
+    if (!streaming) {
+      return anthropic.messages.create(params)
+    }
+
+    let separatorPending = hasStreamedText
+    const stream = anthropic.messages.stream(params, { signal })
+    stream.on('text', (delta) => {
+      if (separatorPending) {
+        delta = '\n\n' + delta
+        separatorPending = false
+      }
+      hasStreamedText = true
+      emit({ type: 'text', delta })
+    })
+    return stream.finalMessage()
+  }
+
+  // Tools read and write this copy, so edits are visible to later calls in the turn
+  const workbook = createWorkingCopy(spreadsheetData)
+
+  try {
+    return await runToolLoop({ callClaude, messages, workbook, emit: streaming ? emit : null })
+  } finally {
+    releaseEngine(workbook)
+  }
+}
+
+// Call Claude and run the tools it asks for until it gives a final answer
+async function runToolLoop({ callClaude, messages, workbook, emit }) {
+  const streaming = Boolean(emit)
+
+  // Initial Claude call
+  let response = await callClaude()
+
+  // Collect tool calls and results
+  const toolCalls = []
+  const pendingChanges = []
+
+  // Process tool use in a loop
+  while (response.stop_reason === 'tool_use') {
+    const toolUseBlocks = response.content.filter(block => block.type === 'tool_use')
+    const toolResults = []
+
+    for (const toolUse of toolUseBlocks) {
+      const { id, name, input } = toolUse
+
+      if (streaming) emit({ type: 'tool_start', id, tool: name, input })
+      
+      // Execute tool and get result
+      const result = executeToolOnServer(name, input, workbook)
+      
+      toolCalls.push({
+        tool: name,
+        input,
+        result
+      })
+
+      if (streaming) emit({ type: 'tool_end', id, tool: name, result: result.output })
+
+      // Collect changes to send back to client; a tool may make one per sheet
+      const changes = result.changes || (result.change ? [result.change] : [])
+      changes.forEach(change => {
+        pendingChanges.push(change)
+        if (streaming) emit({ type: 'change', change })
+      })
+
+      toolResults.push({
+        type: 'tool_result',
+        tool_use_id: id,
+        content: JSON.stringify(result.output, dateReplacer)
       })
     }
 
-    // Build messages array
-    const messages = [
-      ...conversationHistory,
-      { role: 'user', content: message }
-    ]
+    // Continue conversation with tool results
+    messages.push({ role: 'assistant', content: response.content })
+    messages.push({ role: 'user', content: toolResults })
+
+    response = await callClaude()
+  }
+
+  // Extract text response
+  const textContent = response.content.find(block => block.type === 'text')
+  const assistantMessage = textContent?.text || 'Done!'
+  messages.push(finalAssistantMessage(response, assistantMessage))
+
+  return { assistantMessage, toolCalls, changes: pendingChanges }
+}
+
+// Shape the JSON returned to the client after a turn, saving it to the session if there is one.
+// The history is every message of the conversation so far, tool calls and results
+// included, compacted so it stays within HISTORY_TOKEN_BUDGET.
+async function finishTurn(turn, messages, message, session) {
+  const conversationHistory = compactHistory(messages, { tokenBudget: HISTORY_TOKEN_BUDGET })
+  const response = {
+    message: turn.assistantMessage,
+    toolCalls: turn.toolCalls,
+    changes: turn.changes,
+    conversationHistory
+  }
+  if (!session) return response
+
+  const timestamp = new Date().toISOString()
+  session.conversationHistory = conversationHistory
+  session.transcript.push(
+    { role: 'user', content: message, timestamp },
+    { role: 'assistant', content: turn.assistantMessage, toolCalls: turn.toolCalls.map(({ tool, input }) => ({ tool, input })), timestamp }
+  )
+  try {
+    await sessions.save(session)
+  } catch (error) {
+    // The turn already happened: report it, just without saving it
+    console.error('Session error:', error)
+    return response
+  }
+  return { ...response, sessionId: session.id }
+}
+
+// A new session is named after its first message
+function sessionTitle(message) {
+  const text = String(message || '').replace(/\s+/g, ' ').trim()
+  return text.length > 60 ? text.slice(0, 59) + '…' : text || 'Nueva conversación'
+}
+
+// Chat sessions: list (of one workbook with ?workbook=), read, rename and delete
+app.get('/api/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await sessions.list(req.query.workbook) })
+  } catch (error) {
+    console.error('Session error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    const session = await sessions.get(req.params.id)
+    if (!session) return res.status(404).json({ error: 'Session not found' })
+    const { conversationHistory, ...rest } = session
+    res.json(rest)
+  } catch (error) {
+    console.error('Session error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+app.patch('/api/sessions/:id', async (req, res) => {
+  const title = String(req.body.title || '').trim()
+  if (!title) return res.status(400).json({ error: 'title is required' })
+  try {
+    const session = await sessions.rename(req.params.id, title.slice(0, 200))
+    if (!session) return res.status(404).json({ error: 'Session not found' })
+    res.json({ id: session.id, title: session.title, updatedAt: session.updatedAt })
+  } catch (error) {
+    console.error('Session error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+app.delete('/api/sessions/:id', async (req, res) => {
+  try {
+    if (!await sessions.remove(req.params.id)) return res.status(404).json({ error: 'Session not found' })
+    res.json({ deleted: true })
+  } catch (error) {
+    console.error('Session error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
 
-    // Build comprehensive spreadsheet context
-    const spreadsheetContext = buildSpreadsheetContext(spreadsheetData)
+// System prompt - Argentinian Spanish, friendly for Tomi
+function buildSystemPrompt(spreadsheetData) {
+  // Build comprehensive spreadsheet context
+  const spreadsheetContext = buildSpreadsheetContext(spreadsheetData, { tokenBudget: CONTEXT_TOKEN_BUDGET })
 
-    // System prompt - Argentinian Spanish, friendly for Tomi
-    const systemPrompt = `Sos un asistente experto en Excel que ayuda a Tomi a editar sus planillas. Hablás en español rioplatense (Argentina), de manera amigable, relajada y natural. Usás "vos" en vez de "tú", y expresiones como "dale", "buenísimo", "genial", "tranqui", etc.
+  return `Sos un asistente experto en Excel que ayuda a Tomi a editar sus planillas. Hablás en español rioplatense (Argentina), de manera amigable, relajada y natural. Usás "vos" en vez de "tú", y expresiones como "dale", "buenísimo", "genial", "tranqui", etc.
 
 PERSONALIDAD:
 - Sos paciente y explicás las cosas de forma simple, porque Tomi no maneja bien las fórmulas
@@ -174,102 +816,44 @@ Tenés acceso completo al archivo Excel de Tomi. Podés:
 - Ver TODOS los datos en tiempo real
 - Crear y modificar fórmulas (SUM, AVERAGE, VLOOKUP, IF, etc.)
 - Agregar/eliminar columnas y filas
+- Crear, renombrar, duplicar, mover y eliminar hojas (las fórmulas que apuntan a una hoja renombrada se actualizan solas)
 - Aplicar fórmulas a rangos enteros
+- Crear, borrar y listar nombres definidos (define_name, delete_name, list_names) y usarlos en fórmulas (ej: =SUM(Ventas))
+- Crear listas desplegables (create_dropdown) con opciones fijas, un rango de celdas o un nombre definido
+- Ordenar tablas por una o varias columnas (sort_range) y filtrar filas (set_filter); el filtro queda como Autofiltro de Excel al exportar
+- Armar resúmenes por categoría tipo tabla dinámica (create_summary_table) con fórmulas vivas (SUMIFS, COUNTIFS...); para actualizarlo cuando la tabla crece, usá refresh: true en vez de escribir los SUMIF a mano
+- Crear gráficos de barras, líneas, torta o dispersión (create_chart) que se ven al lado de la planilla y se exportan como gráficos de Excel
+- Revisar la calidad de los datos de una tabla (describe_columns): vacíos, duplicados, valores atípicos y números guardados como texto, sobre todas las filas
+- Buscar celdas en todo el libro por texto, expresión regular o comparación numérica (find_cells) y reemplazar texto (replace_in_cells)
+- Dar formato: números (decimales, moneda, porcentaje, fechas) con set_number_format, y negrita, colores, alineación y bordes con set_cell_style
+- Calcular cosas sin tocar la planilla (evaluate_formula) y buscar objetivos tipo "¿cuánto tengo que vender para llegar a X?" (goal_seek)
 - Analizar datos y dar sugerencias
 
 REGLAS IMPORTANTES:
 1. SIEMPRE usá get_sheet_info primero para entender la estructura
 2. Usá get_cell_range para leer datos antes de hacer cambios
 3. Explicá en español simple qué va a hacer cada fórmula
-4. Para fórmulas en múltiples filas, usá apply_formula_to_range
+4. Para fórmulas en múltiples filas o columnas, usá apply_formula_to_range con la fórmula de la primera celda; usá $ para fijar filas o columnas (ej: $B$1). Para cargar varias celdas o una tabla entera, usá set_range_values en una sola llamada en vez de muchos set_cell_value
 5. Sé preciso con las referencias de celdas
+6. Escribí las fórmulas con nombres de funciones en inglés (SUM, IF, VLOOKUP) y comas entre argumentos
+7. Las herramientas de fórmulas te devuelven el valor calculado: si ves un error (success: false, #DIV/0!, #REF!, #NAME?...), corregí la fórmula antes de seguir
+8. Respetá las validaciones de datos que muestra get_sheet_info: en celdas con lista desplegable o reglas de número/fecha/largo, escribí solo valores que las cumplan
 
 CONTEXTO ACTUAL DE LA PLANILLA:
 ${spreadsheetContext}`
+}
 
-    // Initial Claude call
-    let response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      system: systemPrompt,
-      tools,
-      messages
-    })
-
-    // Collect tool calls and results
-    const toolCalls = []
-    const pendingChanges = []
-
-    // Process tool use in a loop
-    while (response.stop_reason === 'tool_use') {
-      const toolUseBlocks = response.content.filter(block => block.type === 'tool_use')
-      const toolResults = []
-
-      for (const toolUse of toolUseBlocks) {
-        const { id, name, input } = toolUse
-        
-        // Execute tool and get result
-        const result = executeToolOnServer(name, input, spreadsheetData)
-        
-        toolCalls.push({
-          tool: name,
-          input,
-          result
-        })
-
-        // Collect changes to send back to client
-        if (result.change) {
-          pendingChanges.push(result.change)
-        }
-
-        toolResults.push({
-          type: 'tool_result',
-          tool_use_id: id,
-          content: JSON.stringify(result.output)
-        })
-      }
-
-      // Continue conversation with tool results
-      messages.push({ role: 'assistant', content: response.content })
-      messages.push({ role: 'user', content: toolResults })
-
-      response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        system: systemPrompt,
-        tools,
-        messages
-      })
-    }
-
-    // Extract text response
-    const textContent = response.content.find(block => block.type === 'text')
-    const assistantMessage = textContent?.text || 'Done!'
+// Numbers as they are, anything else as short text (dates as YYYY-MM-DD)
+function plainValue(value) {
+  return typeof value === 'number' || typeof value === 'boolean' ? value : formatValue(value)
+}
 
-    res.json({
-      message: assistantMessage,
-      toolCalls,
-      changes: pendingChanges,
-      conversationHistory: [
-        ...conversationHistory,
-        { role: 'user', content: message },
-        { role: 'assistant', content: assistantMessage }
-      ]
-    })
+// Largest block set_range_values writes in one call
+const MAX_RANGE_CELLS = 10000
 
-  } catch (error) {
-    console.error('Chat error:', error)
-    res.status(500).json({ 
-      error: error.message,
-      details: error.response?.data || null
-    })
-  }
-})
-
-// Execute tool on server
-function executeToolOnServer(toolName, input, spreadsheetData) {
-  const { sheets, activeSheet } = spreadsheetData || { sheets: [], activeSheet: 0 }
-  const currentSheet = sheets[activeSheet] || { data: [], formulas: {} }
+// Execute tool on server against the turn's working copy of the workbook
+function executeToolOnServer(toolName, input, workbook) {
+  const { sheets, activeSheet } = workbook
 
   switch (toolName) {
     case 'get_sheet_info':
@@ -280,183 +864,578 @@ function executeToolOnServer(toolName, input, spreadsheetData) {
             isActive: idx === activeSheet,
             rows: s.data?.length || 0,
             columns: s.data?.[0]?.length || 0,
-            headers: s.data?.[0]?.slice(0, 20) || []
+            headers: s.data?.[0]?.slice(0, 20) || [],
+            validations: describeValidations(s),
+            filter: s.autoFilter || undefined,
+            summaryTables: s.summaryTables?.length
+              ? s.summaryTables.map(({ cell, range, definition }) => ({ cell, range, source: `${definition.source.sheet}!${definition.source.range}` }))
+              : undefined,
+            charts: s.charts?.length
+              ? s.charts.map(({ id, type, title, range }) => ({ id, type, title, range }))
+              : undefined
           }))
         }
       }
 
     case 'get_cell_range': {
-      const sheet = sheets.find(s => s.name === input.sheet) || currentSheet
+      const sheet = resolveSheet(workbook, input.sheet) || resolveSheet(workbook)
+      if (!sheet) return { output: { error: 'No sheets loaded' } }
       const range = parseRange(input.range)
       if (!range) return { output: { error: 'Invalid range format' } }
 
       const data = []
+      const formulas = {}
       for (let r = range.startRow; r <= Math.min(range.endRow, (sheet.data?.length || 0) - 1); r++) {
         const row = []
         for (let c = range.startCol; c <= range.endCol; c++) {
-          row.push(sheet.data?.[r]?.[c] ?? '')
+          const value = sheet.data?.[r]?.[c] ?? ''
+          const cellRef = toCellRef(r, c)
+          // Formulas written this turn are stored as text; report what they compute
+          row.push(typeof value === 'string' && value.startsWith('=')
+            ? evaluateCell(workbook, sheet.name, cellRef).value
+            : value)
+          if (sheet.formulas[cellRef]) formulas[cellRef] = sheet.formulas[cellRef]
         }
         data.push(row)
       }
 
-      return { output: { range: input.range, data } }
+      const output = { range: input.range, data }
+      if (Object.keys(formulas).length > 0) output.formulas = formulas
+      return { output }
     }
 
     case 'set_cell_value':
-      return {
-        output: { success: true, message: `Set ${input.cell} to "${input.value}"` },
-        change: { type: 'setCellValue', sheet: input.sheet, cell: input.cell, value: input.value }
+      return applyWrite(workbook,
+        { type: 'setCellValue', sheet: input.sheet, cell: input.cell, value: input.value },
+        `Set ${input.cell} to "${input.value}"`)
+
+    case 'set_formula': {
+      const formulaError = checkFormula(input.formula)
+      if (formulaError) return { output: { success: false, error: formulaError } }
+
+      const result = applyWrite(workbook,
+        { type: 'setFormula', sheet: input.sheet, cell: input.cell, formula: input.formula },
+        `Set formula in ${input.cell}: ${input.formula}`)
+      if (result.change) {
+        const note = unevaluatedNote([input.formula])
+        if (note) result.output.note = note
+        else Object.assign(result.output, evaluateCell(workbook, resolveSheet(workbook, input.sheet).name, input.cell))
       }
+      return result
+    }
 
-    case 'set_formula':
-      return {
-        output: { success: true, message: `Set formula in ${input.cell}: ${input.formula}` },
-        change: { type: 'setFormula', sheet: input.sheet, cell: input.cell, formula: input.formula }
+    case 'set_range_values': {
+      const start = parseCellReference(input.startCell)
+      const rows = input.values
+      if (!start) return { output: { error: `Invalid cell "${input.startCell}"` } }
+      if (!Array.isArray(rows) || rows.length === 0 || rows.some(row => !Array.isArray(row))) {
+        return { output: { error: 'values must be a non-empty array of rows, each an array of values' } }
+      }
+      const width = Math.max(...rows.map(row => row.length))
+      if (width === 0) return { output: { error: 'values has no cells' } }
+      if (rows.length * width > MAX_RANGE_CELLS) {
+        return { output: { error: `Too many cells (${rows.length * width}); write at most ${MAX_RANGE_CELLS} per call` } }
       }
 
-    case 'insert_column':
-      return {
-        output: { success: true, message: `Inserted column after ${input.afterColumn}` },
-        change: { type: 'insertColumn', sheet: input.sheet, afterColumn: input.afterColumn, header: input.header }
+      // Check every formula before anything is written
+      for (let i = 0; i < rows.length; i++) {
+        for (let j = 0; j < rows[i].length; j++) {
+          const value = rows[i][j]
+          if (typeof value !== 'string' || !value.startsWith('=')) continue
+          const formulaError = checkFormula(value)
+          if (formulaError) return { output: { success: false, cell: toCellRef(start.row + i, start.col + j), error: formulaError } }
+        }
+      }
+
+      const range = `${toCellRef(start.row, start.col)}:${toCellRef(start.row + rows.length - 1, start.col + width - 1)}`
+      const result = applyWrite(workbook,
+        { type: 'setRangeValues', sheet: input.sheet, cell: input.startCell, values: rows },
+        `Wrote ${rows.length} rows x ${width} columns to ${range}`)
+      const formulas = rows.flat().filter(value => typeof value === 'string' && value.startsWith('='))
+      if (result.change && formulas.length > 0) {
+        const note = unevaluatedNote(formulas)
+        if (note) result.output.note = note
+        else result.output.results = evaluateRange(workbook, resolveSheet(workbook, input.sheet).name, range)
       }
+      return result
+    }
+
+    case 'insert_column':
+      return applyWrite(workbook,
+        { type: 'insertColumn', sheet: input.sheet, afterColumn: input.afterColumn, header: input.header },
+        `Inserted column after ${input.afterColumn}`)
 
     case 'insert_row':
-      return {
-        output: { success: true, message: `Inserted row after ${input.afterRow}` },
-        change: { type: 'insertRow', sheet: input.sheet, afterRow: input.afterRow }
+      return applyWrite(workbook,
+        { type: 'insertRow', sheet: input.sheet, afterRow: input.afterRow },
+        `Inserted row after ${input.afterRow}`)
+
+    case 'apply_formula_to_range': {
+      const formulaError = checkFormula(input.formula)
+      if (formulaError) return { output: { success: false, error: formulaError } }
+
+      const result = applyWrite(workbook,
+        { type: 'applyFormulaToRange', sheet: input.sheet, range: input.range, formula: input.formula },
+        `Applied formula to ${input.range}`)
+      if (result.change) {
+        const note = unevaluatedNote([input.formula])
+        if (note) result.output.note = note
+        else result.output.results = evaluateRange(workbook, resolveSheet(workbook, input.sheet).name, input.range)
       }
+      return result
+    }
+
+    case 'delete_column':
+      return applyWrite(workbook,
+        { type: 'deleteColumn', sheet: input.sheet, cell: input.column + '1' },
+        `Deleted column ${input.column}`)
+
+    case 'delete_row':
+      return applyWrite(workbook,
+        { type: 'deleteRow', sheet: input.sheet, row: input.row - 1 },
+        `Deleted row ${input.row}`)
+
+    case 'evaluate_formula': {
+      const sheet = resolveSheet(workbook, input.sheet)
+      if (!sheet) return { output: { error: `Sheet "${input.sheet}" not found` } }
+      const formulaError = checkFormula(input.formula)
+      if (formulaError) return { output: { success: false, error: formulaError } }
+
+      const note = unevaluatedNote([input.formula])
+      if (note) return { output: { formula: input.formula, evaluated: false, note } }
+      return { output: { formula: input.formula, ...calculateFormula(workbook, sheet.name, input.formula) } }
+    }
+
+    case 'goal_seek': {
+      const sheet = resolveSheet(workbook, input.sheet)
+      if (!sheet) return { output: { error: `Sheet "${input.sheet}" not found` } }
+
+      return { output: goalSeek(workbook, sheet.name, input) }
+    }
 
-    case 'apply_formula_to_range':
+    case 'set_number_format':
+      return applyWrite(workbook,
+        { type: 'setNumberFormat', sheet: input.sheet, range: input.range, format: input.format },
+        `Set number format "${input.format}" on ${input.range}`)
+
+    case 'set_cell_style': {
+      const style = {}
+      STYLE_PROPERTIES.forEach(key => {
+        if (key in input) style[key] = input[key]
+      })
+      if (Object.keys(style).length === 0) {
+        return { output: { error: 'Pass at least one style property' } }
+      }
+      return applyWrite(workbook,
+        { type: 'setCellStyle', sheet: input.sheet, range: input.range, style },
+        `Styled ${input.range}`)
+    }
+
+    case 'create_dropdown': {
+      const sheet = resolveSheet(workbook, input.sheet)
+      if (!sheet) return { output: { error: `Sheet "${input.sheet}" not found` } }
+
+      let formula
+      try {
+        formula = buildListFormula(input, sheet.name)
+      } catch (error) {
+        return { output: { error: error.message } }
+      }
+      const options = resolveListOptions(formula, { ...workbook, sheetName: sheet.name })
+      if (options.length === 0) {
+        return { output: { error: `The list source "${formula}" has no values` } }
+      }
+
+      const result = applyWrite(workbook,
+        { type: 'createDropdown', sheet: input.sheet, range: input.range, formula, options, allowOther: input.allowOther || undefined },
+        `Added a dropdown to ${input.range}`)
+      if (result.change) result.output.options = options.slice(0, 20)
+      return result
+    }
+
+    case 'remove_dropdown':
+      return applyWrite(workbook,
+        { type: 'removeDropdown', sheet: input.sheet, range: input.range },
+        `Removed dropdowns in ${input.range}`)
+
+    case 'define_name': {
+      const sheet = resolveSheet(workbook, input.sheet)
+      if (!sheet) return { output: { error: `Sheet "${input.sheet}" not found` } }
+      const ref = toAbsoluteReference(input.range, sheet.name)
+      if (!ref) return { output: { error: `Invalid range "${input.range}"` } }
+      const target = tokenizeFormula(ref)[0].sheet
+      if (!workbook.sheets.some(s => sameSheet(s.name, target))) {
+        return { output: { error: `Sheet "${target}" not found` } }
+      }
+      return applyWrite(workbook,
+        { type: 'defineName', name: input.name, ref },
+        `Defined ${input.name} as ${ref}`)
+    }
+
+    case 'delete_name':
+      return applyWrite(workbook,
+        { type: 'deleteName', name: input.name },
+        `Deleted ${input.name}`)
+
+    case 'list_names':
       return {
-        output: { success: true, message: `Applied formula to ${input.range}` },
-        change: { type: 'applyFormulaToRange', sheet: input.sheet, range: input.range, formula: input.formula }
+        output: {
+          names: Object.entries(workbook.namedRanges || {})
+            .filter(([name]) => !isBuiltInName(name))
+            .map(([name, ref]) => ({ name, ref }))
+        }
       }
 
-    case 'delete_column':
+    case 'sort_range': {
+      const sheet = resolveSheet(workbook, input.sheet)
+      if (!sheet) return { output: { error: `Sheet "${input.sheet}" not found` } }
+      const range = parseRange(input.range)
+      if (!range) return { output: { error: 'Invalid range format' } }
+      const keys = (input.keys || []).map(key => ({
+        column: String(key.column).toUpperCase(),
+        index: columnLetterToIndex(String(key.column).toUpperCase()) - range.startCol,
+        descending: key.order === 'desc'
+      }))
+      if (keys.length === 0) return { output: { error: 'Pass at least one sort key' } }
+      const outside = keys.find(key => key.index < 0 || key.index > range.endCol - range.startCol)
+      if (outside) return { output: { error: `Column ${outside.column} is outside ${input.range}` } }
+
+      // Sort by what the cells compute, not by their formulas
+      const values = getSheetValues(workbook, sheet.name)
+      const rows = []
+      for (let r = range.startRow; r <= Math.min(range.endRow, sheet.data.length - 1); r++) {
+        rows.push((values[r] || []).slice(range.startCol, range.endCol + 1))
+      }
+      const hasHeader = input.hasHeader ?? detectHeaderRow(rows, range.startRow)
+      const order = sortRowOrder(hasHeader ? rows.slice(1) : rows, keys)
+
+      const result = applyWrite(workbook,
+        {
+          type: 'sortRange',
+          sheet: input.sheet,
+          range: input.range,
+          keys: keys.map(({ column, descending }) => ({ column, descending })),
+          hasHeader,
+          order
+        },
+        `Sorted ${input.range} by ${keys.map(key => key.column + (key.descending ? ' (desc)' : '')).join(', ')}`)
+      if (result.change) result.output.hasHeader = hasHeader
+      return result
+    }
+
+    case 'set_filter': {
+      const sheet = resolveSheet(workbook, input.sheet)
+      if (!sheet) return { output: { error: `Sheet "${input.sheet}" not found` } }
+      if (input.clear) {
+        return applyWrite(workbook, { type: 'setFilter', sheet: input.sheet, range: null }, 'Removed the filter')
+      }
+
+      const width = Math.max(0, ...sheet.data.map(row => row.length))
+      const range = input.range || sheet.autoFilter?.range ||
+        (width > 0 && sheet.data.length > 0 ? `A1:${indexToColumnLetter(width - 1)}${sheet.data.length}` : null)
+      if (!range) return { output: { error: 'The sheet is empty' } }
+
+      const result = applyWrite(workbook,
+        { type: 'setFilter', sheet: input.sheet, range, columns: input.columns || [] },
+        `Filtered ${range}`)
+      if (result.change) {
+        const updated = resolveSheet(workbook, sheet.name)
+        const bounds = parseRange(updated.autoFilter.range)
+        const dataRows = Math.max(0, Math.min(bounds.endRow, updated.data.length - 1) - bounds.startRow)
+        const hidden = getHiddenRows(getSheetValues(workbook, sheet.name), updated.autoFilter).length
+        Object.assign(result.output, { visibleRows: dataRows - hidden, hiddenRows: hidden })
+      }
+      return result
+    }
+
+    case 'find_cells': {
+      if (input.sheet && !resolveSheet(workbook, input.sheet)) {
+        return { output: { error: `Sheet "${input.sheet}" not found` } }
+      }
+      const limit = Math.min(Math.max(input.limit || 50, 1), 200)
+      // Search what cells compute, including formulas written this turn
+      const computed = workbook.sheets.map(s => ({ name: s.name, data: getSheetValues(workbook, s.name), formulas: s.formulas }))
+      try {
+        const { matches, total } = findCells(computed, input, limit)
+        return {
+          output: {
+            total,
+            matches: matches.map(({ sheet, cell, value, formula }) => ({ sheet, cell, value, ...(formula ? { formula } : {}) })),
+            ...(total > matches.length ? { truncated: true } : {})
+          }
+        }
+      } catch (error) {
+        return { output: { error: error.message } }
+      }
+    }
+
+    case 'describe_columns': {
+      const sheet = resolveSheet(workbook, input.sheet)
+      if (!sheet) return { output: { error: `Sheet "${input.sheet}" not found` } }
+      if (input.range && !parseRange(input.range.toUpperCase())) return { output: { error: `Invalid range "${input.range}"` } }
+      const values = typedValues(getSheetValues(workbook, sheet.name), sheet.data, (r, c) => Boolean(sheet.formulas[toCellRef(r, c)]))
+      const profile = profileColumns(values, {
+        range: input.range?.toUpperCase(),
+        columns: input.columns,
+        hasHeader: input.hasHeader
+      })
       return {
-        output: { success: true, message: `Deleted column ${input.column}` },
-        change: { type: 'deleteColumn', sheet: input.sheet, cell: input.column + '1' }
+        output: {
+          sheet: sheet.name,
+          range: profile.range,
+          hasHeader: profile.hasHeader,
+          dataRows: profile.rows,
+          columns: profile.columns.map(column => ({
+            ...column,
+            topValues: column.topValues.map(({ value, count }) => ({ value: plainValue(value), count })),
+            duplicates: {
+              count: column.duplicates.count,
+              values: column.duplicates.values.map(({ value, count, cells }) => ({ value: plainValue(value), count, cells }))
+            },
+            mean: column.mean === undefined ? undefined : Number(column.mean.toFixed(4))
+          })),
+          issues: findDataIssues(profile).map(({ column, kind, message, count, cells }) => ({ column, kind, message, count, cells }))
+        }
       }
+    }
 
-    case 'delete_row':
+    case 'replace_in_cells': {
+      const criteria = { query: input.find, regex: input.regex, matchCase: input.matchCase, wholeCell: input.wholeCell }
+      try {
+        createMatcher(criteria)
+      } catch (error) {
+        return { output: { error: error.message } }
+      }
+      const targets = input.sheet || input.range ? [resolveSheet(workbook, input.sheet)] : [...workbook.sheets]
+      if (!targets[0]) return { output: { error: `Sheet "${input.sheet}" not found` } }
+
+      const changes = []
+      const replaced = []
+      for (const sheet of targets) {
+        const { matches, total } = findCells([sheet], { ...criteria, lookIn: 'formulas', range: input.range }, 10)
+        if (total === 0) continue
+        const change = {
+          type: 'replaceInCells',
+          sheet: sheet.name,
+          find: input.find,
+          replace: input.replace ?? '',
+          ...(input.regex ? { regex: true } : {}),
+          ...(input.matchCase ? { matchCase: true } : {}),
+          ...(input.wholeCell ? { wholeCell: true } : {}),
+          ...(input.range ? { range: input.range } : {})
+        }
+        try {
+          applyChange(workbook, change)
+        } catch (error) {
+          return { output: { error: error.message }, changes }
+        }
+        changes.push(change)
+        replaced.push({ sheet: sheet.name, count: total, cells: matches.map(match => match.cell) })
+      }
+
+      if (changes.length === 0) return { output: { success: true, replaced: 0, message: `No cells contain "${input.find}"` } }
       return {
-        output: { success: true, message: `Deleted row ${input.row}` },
-        change: { type: 'deleteRow', sheet: input.sheet, row: input.row - 1 }
+        output: { success: true, replaced: replaced.reduce((sum, { count }) => sum + count, 0), sheets: replaced },
+        changes
+      }
+    }
+
+    case 'create_summary_table':
+      return createSummaryTable(workbook, input)
+
+    case 'create_chart': {
+      const sheet = resolveSheet(workbook, input.sheet)
+      if (!sheet) return { output: { error: `Sheet "${input.sheet}" not found` } }
+      const range = parseRange(String(input.range || '').toUpperCase())
+      if (!range) return { output: { error: 'Invalid range format' } }
+      if (input.id && !sheet.charts.some(chart => chart.id === input.id)) {
+        return { output: { error: `Chart "${input.id}" not found` } }
+      }
+
+      // Series names come from the header row, when the range has one
+      const values = getSheetValues(workbook, sheet.name)
+      const rows = []
+      for (let r = range.startRow; r <= range.endRow; r++) rows.push((values[r] || []).slice(range.startCol, range.endCol + 1))
+      const chart = {
+        id: input.id || nextChartId(sheet.charts),
+        type: input.type,
+        title: input.title || '',
+        range: input.range.toUpperCase(),
+        hasHeader: rows.length > 1 && detectHeaderRow(rows, range.startRow),
+        cell: (input.position || defaultChartCell(input.range)).toUpperCase()
       }
+      const result = applyWrite(workbook, { type: 'createChart', sheet: input.sheet, chart },
+        `${input.id ? 'Updated' : 'Created'} ${input.type} chart ${chart.id} from ${chart.range}`)
+      if (result.change) {
+        const { categories, series } = getChartData(values, chart)
+        Object.assign(result.output, {
+          id: chart.id,
+          categories: categories.slice(0, 20),
+          series: series.map(({ name, values }) => ({ name, points: values.filter(value => value !== null).length }))
+        })
+        const empty = series.filter(({ values }) => values.every(value => value === null))
+        if (empty.length > 0) result.output.warning = `No numbers in: ${empty.map(({ name }) => name).join(', ')}`
+      }
+      return result
+    }
+
+    case 'delete_chart':
+      return applyWrite(workbook,
+        { type: 'deleteChart', sheet: input.sheet, id: input.id },
+        `Deleted chart ${input.id}`)
+
+    case 'add_sheet':
+      return applyWrite(workbook,
+        { type: 'addSheet', name: input.name, index: input.position ? input.position - 1 : undefined },
+        `Added sheet "${input.name}"`)
+
+    case 'rename_sheet':
+      return applyWrite(workbook,
+        { type: 'renameSheet', sheet: input.sheet, newName: input.newName },
+        `Renamed sheet "${input.sheet}" to "${input.newName}"`)
+
+    case 'duplicate_sheet':
+      return applyWrite(workbook,
+        { type: 'duplicateSheet', sheet: input.sheet, newName: input.newName },
+        `Duplicated sheet "${input.sheet}" as "${input.newName}"`)
+
+    case 'delete_sheet':
+      return applyWrite(workbook,
+        { type: 'deleteSheet', sheet: input.sheet },
+        `Deleted sheet "${input.sheet}"`)
+
+    case 'move_sheet':
+      return applyWrite(workbook,
+        { type: 'moveSheet', sheet: input.sheet, index: input.position - 1 },
+        `Moved sheet "${input.sheet}" to position ${input.position}`)
 
     default:
       return { output: { error: `Unknown tool: ${toolName}` } }
   }
 }
 
-// Helper: Parse range like "A1:D10"
-function parseRange(range) {
-  const match = range.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/)
-  if (!match) return null
+// Write a summary table, or rebuild one from its saved definition. Every change is
+// applied to the working copy here and returned, like replace_in_cells.
+function createSummaryTable(workbook, input) {
+  const anchor = parseCellReference(String(input.targetCell || 'A1').toUpperCase())
+  if (!anchor) return { output: { error: `Invalid cell "${input.targetCell}"` } }
+  const targetCell = toCellRef(anchor.row, anchor.col)
+  const target = resolveSheet(workbook, input.targetSheet)
+  const existing = target?.summaryTables?.find(table => table.cell === targetCell)
 
-  return {
-    startCol: columnToIndex(match[1]),
-    startRow: parseInt(match[2], 10) - 1,
-    endCol: columnToIndex(match[3]),
-    endRow: parseInt(match[4], 10) - 1
+  let definition = existing?.definition
+  if (!input.refresh) {
+    definition = {
+      source: { sheet: input.sheet, range: String(input.range || '').toUpperCase() },
+      rows: (input.rows || []).map(letter => String(letter).toUpperCase()),
+      columns: (input.columns || []).map(letter => String(letter).toUpperCase()),
+      values: (input.values || []).map(({ column, aggregation }) => ({ column: String(column).toUpperCase(), aggregation }))
+    }
+  } else if (!definition) {
+    return { output: { error: `There is no summary table at ${input.targetSheet}!${targetCell} to refresh` } }
   }
-}
 
-function columnToIndex(col) {
-  let index = 0
-  for (let i = 0; i < col.length; i++) {
-    index = index * 26 + (col.charCodeAt(i) - 64)
-  }
-  return index - 1
-}
+  const source = resolveSheet(workbook, definition.source.sheet)
+  if (!source) return { output: { error: `Sheet "${definition.source.sheet}" not found` } }
+  const definitionError = validateSummaryDefinition(definition)
+  if (definitionError) return { output: { error: definitionError } }
 
-// Build comprehensive spreadsheet context for Claude
-function buildSpreadsheetContext(spreadsheetData) {
-  if (!spreadsheetData || !spreadsheetData.sheets) {
-    return 'No hay planilla cargada todavía.'
-  }
+  const sourceValues = getSheetValues(workbook, source.name)
+  const sourceRange = input.refresh ? grownRange(sourceValues, definition.source.range) : definition.source.range
+  definition = { ...definition, source: { sheet: source.name, range: sourceRange } }
+  const built = buildSummaryTable(sourceValues, definition, anchor)
+  if (built.error) return { output: { error: built.error } }
 
-  const { sheets, activeSheet } = spreadsheetData
-  const currentSheet = sheets[activeSheet]
-  
-  let context = ''
-  
-  // Sheet overview
-  context += `📊 HOJAS DISPONIBLES: ${sheets.map((s, i) => i === activeSheet ? `[${s.name}] (activa)` : s.name).join(', ')}\n\n`
-  
-  // Current sheet details
-  context += `📋 HOJA ACTIVA: "${currentSheet.name}"\n`
-  context += `   Filas con datos: ${countDataRows(currentSheet.data)}\n`
-  context += `   Columnas: ${currentSheet.data?.[0]?.length || 0}\n\n`
-  
-  // Headers with column letters
-  if (currentSheet.data && currentSheet.data[0]) {
-    context += `📝 ENCABEZADOS (Fila 1):\n`
-    currentSheet.data[0].forEach((header, idx) => {
-      if (header !== '' && header !== null && header !== undefined) {
-        const colLetter = indexToColumnLetter(idx)
-        context += `   ${colLetter}: "${header}"\n`
-      }
-    })
-    context += '\n'
+  const range = blockRange(anchor, built.values)
+  if (target && sameSheet(target.name, source.name) && rangesOverlap(range, sourceRange)) {
+    return { output: { error: `The summary (${range}) would overwrite its source ${sourceRange}; pick another targetCell or sheet` } }
   }
-  
-  // Full data preview (up to 50 rows for context)
-  const maxRows = Math.min(50, currentSheet.data?.length || 0)
-  if (maxRows > 1) {
-    context += `📊 DATOS (primeras ${maxRows} filas):\n`
-    for (let r = 0; r < maxRows; r++) {
-      const row = currentSheet.data[r]
-      if (!row) continue
-      
-      const nonEmptyCells = []
-      row.forEach((cell, idx) => {
-        if (cell !== '' && cell !== null && cell !== undefined) {
-          const colLetter = indexToColumnLetter(idx)
-          nonEmptyCells.push(`${colLetter}${r+1}=${cell}`)
-        }
-      })
-      
-      if (nonEmptyCells.length > 0) {
-        context += `   Fila ${r + 1}: ${nonEmptyCells.join(', ')}\n`
-      }
-    }
-    
-    const totalRows = countDataRows(currentSheet.data)
-    if (totalRows > maxRows) {
-      context += `   ... y ${totalRows - maxRows} filas más\n`
+
+  const sheet = target?.name || input.targetSheet
+  const last = anchor.row + built.values.length - 1
+  const rowRange = row => `${toCellRef(row, anchor.col)}:${toCellRef(row, anchor.col + built.values[0].length - 1)}`
+  const changes = [
+    ...(target ? [] : [{ type: 'addSheet', name: sheet }]),
+    ...(existing ? [{ type: 'setCellStyle', sheet, range: existing.range, style: { bold: null } }] : []),
+    { type: 'setRangeValues', sheet, cell: targetCell, values: existing ? padBlock(built.values, anchor, existing.range) : built.values },
+    { type: 'setCellStyle', sheet, range: rowRange(anchor.row), style: { bold: true } },
+    { type: 'setCellStyle', sheet, range: rowRange(last), style: { bold: true } },
+    { type: 'setSummaryTable', sheet, cell: targetCell, range, definition }
+  ]
+
+  const applied = []
+  for (const change of changes) {
+    try {
+      applyChange(workbook, change)
+    } catch (error) {
+      return { output: { error: error.message }, changes: applied }
     }
+    applied.push(change)
   }
-  
-  // Existing formulas
-  if (currentSheet.formulas && Object.keys(currentSheet.formulas).length > 0) {
-    context += `\n🔢 FÓRMULAS EXISTENTES:\n`
-    Object.entries(currentSheet.formulas).forEach(([cell, formula]) => {
-      context += `   ${cell}: ${formula}\n`
-    })
+
+  return {
+    output: {
+      success: true,
+      message: `${input.refresh ? 'Refreshed' : 'Wrote'} the summary of ${source.name}!${sourceRange} in ${sheet}!${range}`,
+      range,
+      groups: built.groups,
+      ...(built.columnGroups ? { columnGroups: built.columnGroups } : {}),
+      results: evaluateRange(workbook, sheet, range)
+    },
+    changes: applied
   }
-  
-  return context
 }
 
-// Count rows that have at least one non-empty cell
-function countDataRows(data) {
-  if (!data) return 0
-  return data.filter(row => 
-    row && row.some(cell => cell !== '' && cell !== null && cell !== undefined)
-  ).length
+// A rebuilt summary's block, padded with blanks to clear what is left of the old one
+function padBlock(values, anchor, oldRange) {
+  const old = parseRange(oldRange)
+  const height = Math.max(values.length, old.endRow - anchor.row + 1)
+  const width = Math.max(values[0].length, old.endCol - anchor.col + 1)
+  return Array.from({ length: height }, (_, i) => Array.from({ length: width }, (_, j) => values[i]?.[j] ?? null))
+}
+
+// A sheet's dropdowns and other data validations, as the model sees them
+function describeValidations(sheet) {
+  const dropdowns = (sheet.dropdowns || []).map(d => ({
+    range: d.range,
+    type: 'list',
+    source: d.formula,
+    options: d.options?.slice(0, 20),
+    allowOther: Boolean(d.allowOther),
+    error: d.error
+  }))
+  const others = (sheet.validations || []).map(v => ({
+    range: v.range,
+    type: v.type,
+    operator: v.operator,
+    formula1: v.formula1,
+    formula2: v.formula2,
+    enforced: Boolean(v.showErrorMessage),
+    error: v.error
+  }))
+  return [...dropdowns, ...others].slice(0, 50)
 }
 
-// Convert column index to letter (0=A, 1=B, etc.)
-function indexToColumnLetter(index) {
-  let letter = ''
-  index++
-  while (index > 0) {
-    const remainder = (index - 1) % 26
-    letter = String.fromCharCode(65 + remainder) + letter
-    index = Math.floor((index - 1) / 26)
+// Why formulas were not evaluated, or null when they all were. They are valid Excel
+// and get written anyway; only the checker here cannot compute them.
+function unevaluatedNote(formulas) {
+  const unevaluated = [...new Set(formulas.flatMap(findUnevaluated))]
+  if (unevaluated.length === 0) return null
+  return `Not evaluated here: the checker does not support ${unevaluated.join(', ')}. Excel computes the formula when the file is opened, so check the result there.`
+}
+
+// Apply a write tool's change to the working copy.
+// Changes that cannot be applied are reported to Claude and never sent to the client.
+function applyWrite(workbook, change, message) {
+  try {
+    applyChange(workbook, change)
+  } catch (error) {
+    return { output: { error: error.message } }
+  }
+  return {
+    output: { success: true, message },
+    change
   }
-  return letter
 }
 
 // Health check
@@ -0,0 +1,90 @@
+import { randomUUID } from 'crypto'
+import { mkdir, readFile, readdir, rename, unlink, writeFile } from 'fs/promises'
+import { join } from 'path'
+
+// Chat sessions saved as one JSON file each, so a conversation survives a page reload.
+// A session is { id, title, workbook, createdAt, updatedAt, conversationHistory, transcript }:
+// conversationHistory is what Claude gets back on the next message (see conversationHistory.js),
+// transcript the messages as the chat panel shows them.
+
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+export function createSessionStore(directory) {
+  const pathOf = (id) => join(directory, `${id}.json`)
+
+  // Write to a temporary file first, so a crash never leaves half a session
+  const write = async (session) => {
+    await mkdir(directory, { recursive: true })
+    const path = pathOf(session.id)
+    await writeFile(`${path}.tmp`, JSON.stringify(session))
+    await rename(`${path}.tmp`, path)
+  }
+
+  const get = async (id) => {
+    if (!SESSION_ID.test(String(id))) return null
+    try {
+      return JSON.parse(await readFile(pathOf(id), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  return {
+    // Sessions of a workbook (or all), most recent first, without their messages
+    async list(workbook) {
+      let files
+      try {
+        files = await readdir(directory)
+      } catch (error) {
+        if (error.code === 'ENOENT') return []
+        throw error
+      }
+      const sessions = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => get(file.slice(0, -'.json'.length)).catch(() => null)))
+      return sessions
+        .filter(session => session && (!workbook || session.workbook === workbook))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(({ id, title, workbook, createdAt, updatedAt, transcript }) => ({
+          id, title, workbook, createdAt, updatedAt, messageCount: transcript.length
+        }))
+    },
+
+    get,
+
+    // A new, empty session; it is written on its first save
+    create({ workbook = '', title = 'Nueva conversación' } = {}) {
+      const now = new Date().toISOString()
+      return { id: randomUUID(), title, workbook, createdAt: now, updatedAt: now, conversationHistory: [], transcript: [] }
+    },
+
+    async save(session) {
+      session.updatedAt = new Date().toISOString()
+      await write(session)
+      return session
+    },
+
+    // Returns the renamed session, or null when it does not exist.
+    // Renaming keeps the session's place in the list.
+    async rename(id, title) {
+      const session = await get(id)
+      if (!session) return null
+      session.title = title
+      await write(session)
+      return session
+    },
+
+    // Returns whether there was a session to delete
+    async remove(id) {
+      if (!SESSION_ID.test(String(id))) return false
+      try {
+        await unlink(pathOf(id))
+        return true
+      } catch (error) {
+        if (error.code === 'ENOENT') return false
+        throw error
+      }
+    }
+  }
+}
@@ -0,0 +1,246 @@
+import { indexToColumnLetter, parseCellReference, toCellRef } from '../src/utils/cellRefs.js'
+import { offsetFormula } from '../src/utils/formulaReferences.js'
+import { isBuiltInName } from '../src/utils/namedRanges.js'
+import { detectHeaderRow } from '../src/utils/sortFilter.js'
+import { profileColumns, formatValue, TYPE_NAMES } from '../src/utils/columnProfile.js'
+
+// Spreadsheet context for the system prompt, sized to a token budget.
+// Instead of dumping rows, each column of the active sheet is profiled (type,
+// fill rate, distinct values, min/max, samples), formulas copied down or across
+// are listed once per run, and the other sheets get a short summary. The first
+// rows are shown with whatever budget is left.
+
+// Rough size of a token, to turn the budget into characters
+const CHARS_PER_TOKEN = 4
+
+// Share of the budget each section may use at most, the preview takes the rest
+const SHARES = { columns: 0.35, formulas: 0.2, otherSheets: 0.2 }
+
+const MAX_PREVIEW_ROWS = 20
+const SAMPLE_VALUES = 3
+const MAX_TEXT = 40
+const MAX_NAMES = 30
+
+// tokenBudget is approximate: characters are counted at CHARS_PER_TOKEN each
+export function buildSpreadsheetContext(spreadsheetData, { tokenBudget = 4000 } = {}) {
+  if (!Array.isArray(spreadsheetData?.sheets) || spreadsheetData.sheets.length === 0) {
+    return 'No hay planilla cargada todavía.'
+  }
+
+  const { sheets } = spreadsheetData
+  // An active sheet index out of range falls back to the nearest sheet
+  const activeSheet = Math.min(Math.max(Math.trunc(spreadsheetData.activeSheet) || 0, 0), sheets.length - 1)
+  const currentSheet = sheets[activeSheet]
+  const budget = tokenBudget * CHARS_PER_TOKEN
+  const data = currentSheet.data || []
+  const profile = profileColumns(data)
+  const { hasHeader } = profile
+
+  // Sections that are always short go first, whatever the budget
+  let context = `📊 HOJAS DISPONIBLES: ${sheets.map((s, i) => i === activeSheet ? `[${s.name}] (activa)` : s.name).join(', ')}\n\n`
+  context += `📋 HOJA ACTIVA: "${currentSheet.name}"\n`
+  context += `   Filas con datos: ${countDataRows(data)}\n`
+  context += `   Columnas: ${data[0]?.length || 0}\n`
+  context += `   Encabezados: ${hasHeader ? 'fila 1' : 'no se detectó una fila de encabezados'}\n`
+
+  let tail = ''
+  // Rows hidden by the sheet's filter still count in the profile
+  const filter = currentSheet.autoFilter
+  if (filter) {
+    const conditions = filter.columns.map(f => Array.isArray(f.values)
+      ? `${f.column} en [${f.values.map(v => `"${v}"`).join(', ')}]`
+      : `${f.column} ${f.operator} "${f.value}"`)
+    tail += `\n🔽 FILTRO: ${filter.range}${conditions.length > 0 ? ` (${conditions.join('; ')})` : ' (sin condiciones)'}\n`
+  }
+
+  // Defined names, usable in formulas
+  const names = Object.entries(spreadsheetData.namedRanges || {}).filter(([name]) => !isBuiltInName(name))
+  if (names.length > 0) {
+    tail += `\n🏷️ NOMBRES DEFINIDOS:\n`
+    names.slice(0, MAX_NAMES).forEach(([name, ref]) => {
+      tail += `   ${name}: ${ref}\n`
+    })
+    if (names.length > MAX_NAMES) {
+      tail += `   ... y ${names.length - MAX_NAMES} nombres más (usá list_names)\n`
+    }
+  }
+
+  const columns = fitLines(
+    profile.columns.map(describeColumn),
+    budget * SHARES.columns,
+    n => `   ... y ${n} columnas más (usá get_cell_range para verlas)`
+  )
+  const formulas = fitLines(
+    findFormulaRuns(currentSheet.formulas || {}).map(describeRun),
+    budget * SHARES.formulas,
+    n => `   ... y ${n} fórmulas más (usá get_cell_range para verlas)`
+  )
+  const otherSheets = fitLines(
+    sheets.filter((_, i) => i !== activeSheet).map(describeSheet),
+    budget * SHARES.otherSheets,
+    n => `   ... y ${n} hojas más (usá get_sheet_info)`
+  )
+
+  if (columns.length > 0) context += `\n📝 COLUMNAS${hasHeader ? ' (datos desde la fila 2)' : ''}:\n${columns.join('\n')}\n`
+  if (formulas.length > 0) context += `\n🔢 FÓRMULAS (las copiadas en un rango se muestran una vez, con la de la primera celda):\n${formulas.join('\n')}\n`
+  if (otherSheets.length > 0) context += `\n📚 OTRAS HOJAS:\n${otherSheets.join('\n')}\n`
+
+  // First rows with the budget left over
+  const totalRows = countDataRows(data)
+  const rows = []
+  let left = budget - context.length - tail.length
+  for (let r = 0; r < data.length && rows.length < MAX_PREVIEW_ROWS; r++) {
+    const cells = (data[r] || [])
+      .map((value, c) => isBlank(value) ? null : `${toCellRef(r, c)}=${formatValue(value)}`)
+      .filter(Boolean)
+    if (cells.length === 0) continue
+    const line = `   Fila ${r + 1}: ${cells.join(', ')}`
+    if (line.length + 1 > left) break
+    rows.push(line)
+    left -= line.length + 1
+  }
+  if (rows.length > 0) {
+    context += `\n📊 PRIMERAS FILAS:\n${rows.join('\n')}\n`
+    if (totalRows > rows.length) {
+      context += `   ... y ${totalRows - rows.length} filas más (usá get_cell_range o find_cells)\n`
+    }
+  }
+
+  return context + tail
+}
+
+// Count rows that have at least one non-empty cell
+function countDataRows(data) {
+  if (!data) return 0
+  return data.filter(row =>
+    row && row.some(cell => !isBlank(cell))
+  ).length
+}
+
+function describeColumn({ column, header, types, filled, empty, distinct, min, max, dateMin, dateMax, topValues }) {
+  const name = isBlank(header) ? '' : ` "${truncate(String(header))}"`
+  if (filled === 0) return `   ${column}${name}: vacía`
+
+  // Mixed columns list each type with its share
+  const entries = Object.entries(types).sort((a, b) => b[1] - a[1])
+  const type = entries.length === 1
+    ? TYPE_NAMES[entries[0][0]]
+    : `mixta (${entries.map(([t, n]) => `${TYPE_NAMES[t]} ${Math.round((n / filled) * 100) || '<1'}%`).join(', ')})`
+
+  const parts = [
+    type,
+    `${Math.round((filled / (filled + empty)) * 100)}% llena`,
+    `${distinct} ${distinct === 1 ? 'valor distinto' : 'valores distintos'}`
+  ]
+  // Range of the main type, when it is numbers or dates
+  if (entries[0][0] === 'number') parts.push(`mín ${formatValue(min)}, máx ${formatValue(max)}`)
+  if (entries[0][0] === 'date') parts.push(`desde ${dateMin} hasta ${dateMax}`)
+  parts.push(`ej: ${topValues.slice(0, SAMPLE_VALUES).map(({ value }) => formatValue(value)).join(' | ')}`)
+  return `   ${column}${name}: ${parts.join('; ')}`
+}
+
+// Group formulas into runs: a column of cells where each is the first one
+// copied down (like Excel's fill), then what is left along rows. Returns
+// [{ start, end, formula, count }] in sheet order.
+function findFormulaRuns(formulas) {
+  const cells = Object.entries(formulas)
+    .map(([cell, formula]) => ({ ...parseCellReference(cell), formula }))
+    .filter(cell => cell.row !== undefined)
+
+  const runs = []
+  const single = []
+  const byColumn = groupBy(cells, cell => cell.col, cell => cell.row)
+  byColumn.forEach(column => {
+    collectRuns(column, (first, next) => next.row === first.row + next.offset && next.formula === offsetFormula(first.formula, next.offset, 0))
+      .forEach(run => (run.length > 1 ? runs : single).push(run))
+  })
+
+  const byRow = groupBy(single.flat(), cell => cell.row, cell => cell.col)
+  byRow.forEach(row => {
+    collectRuns(row, (first, next) => next.col === first.col + next.offset && next.formula === offsetFormula(first.formula, 0, next.offset))
+      .forEach(run => runs.push(run))
+  })
+
+  return runs
+    .map(run => ({
+      start: toCellRef(run[0].row, run[0].col),
+      end: toCellRef(run[run.length - 1].row, run[run.length - 1].col),
+      formula: run[0].formula,
+      count: run.length,
+      row: run[0].row,
+      col: run[0].col
+    }))
+    .sort((a, b) => a.row - b.row || a.col - b.col)
+}
+
+// Split sorted cells into runs that keep matching their first cell
+function collectRuns(cells, continues) {
+  const runs = []
+  let run = []
+  cells.forEach(cell => {
+    if (run.length > 0 && continues(run[0], { ...cell, offset: run.length })) {
+      run.push(cell)
+    } else {
+      if (run.length > 0) runs.push(run)
+      run = [cell]
+    }
+  })
+  if (run.length > 0) runs.push(run)
+  return runs
+}
+
+function groupBy(cells, keyOf, orderOf) {
+  const groups = new Map()
+  cells.forEach(cell => {
+    if (!groups.has(keyOf(cell))) groups.set(keyOf(cell), [])
+    groups.get(keyOf(cell)).push(cell)
+  })
+  groups.forEach(group => group.sort((a, b) => orderOf(a) - orderOf(b)))
+  return groups
+}
+
+function describeRun({ start, end, formula, count }) {
+  return count > 1
+    ? `   ${start}:${end}: ${formula} (${count} celdas)`
+    : `   ${start}: ${formula}`
+}
+
+// One line per sheet: size, headers, formulas and extras
+function describeSheet(sheet) {
+  const data = sheet.data || []
+  const headers = (detectHeaderRow(data.slice(0, 2)) ? data[0] : [])
+    .map((header, c) => isBlank(header) ? null : `${indexToColumnLetter(c)} "${truncate(String(header))}"`)
+    .filter(Boolean)
+  const formulaCount = Object.keys(sheet.formulas || {}).length
+
+  const parts = [`${countDataRows(data)} filas × ${data[0]?.length || 0} columnas`]
+  if (headers.length > 0) parts.push(`encabezados: ${headers.slice(0, 15).join(', ')}${headers.length > 15 ? ', …' : ''}`)
+  if (formulaCount > 0) parts.push(`fórmulas: ${formulaCount} (${findFormulaRuns(sheet.formulas).length} distintas)`)
+  if (sheet.autoFilter) parts.push(`filtro en ${sheet.autoFilter.range}`)
+  if (sheet.summaryTables?.length) parts.push(`${sheet.summaryTables.length} resúmenes`)
+  if (sheet.charts?.length) parts.push(`${sheet.charts.length} gráficos`)
+  return `   "${sheet.name}": ${parts.join('; ')}`
+}
+
+// Lines that fit in a number of characters, with a note for the ones left out
+function fitLines(lines, chars, moreNote) {
+  const kept = []
+  let used = 0
+  for (const line of lines) {
+    // Keep room for the note unless this is the last line
+    const reserve = kept.length + 1 < lines.length ? moreNote(lines.length).length + 1 : 0
+    if (used + line.length + 1 + reserve > chars) break
+    kept.push(line)
+    used += line.length + 1
+  }
+  if (kept.length < lines.length) kept.push(moreNote(lines.length - kept.length))
+  return kept
+}
+
+function truncate(text) {
+  return text.length > MAX_TEXT ? text.slice(0, MAX_TEXT - 1) + '…' : text
+}
+
+function isBlank(value) {
+  return value === '' || value === null || value === undefined
+}
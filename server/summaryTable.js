@@ -0,0 +1,184 @@
+import { parseRange, columnLetterToIndex, indexToColumnLetter, toCellRef } from '../src/utils/cellRefs.js'
+import { toAbsoluteReference } from '../src/utils/formulaReferences.js'
+import { sortRowOrder } from '../src/utils/sortFilter.js'
+
+// Group-by summaries written as live formulas (SUMIFS, COUNTIFS...), like a pivot
+// table whose cells recalculate when the source data changes. New groups appear
+// only when the summary is built again (create_summary_table with refresh).
+
+export const AGGREGATIONS = ['sum', 'count', 'average', 'min', 'max']
+
+const AGGREGATION_LABELS = {
+  sum: 'Suma de',
+  count: 'Cantidad de',
+  average: 'Promedio de',
+  min: 'Mínimo de',
+  max: 'Máximo de'
+}
+
+const MAX_GROUPS = 1000
+const MAX_COLUMN_GROUPS = 50
+
+// Check a summary definition: { source: { sheet, range }, rows, columns, values }.
+// Returns an error message, or null when it is fine.
+export function validateSummaryDefinition({ source, rows = [], columns = [], values = [] }) {
+  const bounds = parseRange(source.range || '')
+  if (!bounds) return `Invalid source range "${source.range}"`
+  if (bounds.endRow <= bounds.startRow) return 'The source range needs a header row and at least one data row'
+  if (rows.length === 0) return 'Pass at least one column to group rows by'
+  if (columns.length > 1) return 'Only one column field is supported'
+  if (values.length === 0) return 'Pass at least one value to aggregate'
+
+  const fields = [...rows, ...columns, ...values.map(v => v.column)]
+  const outside = fields.find(letter => {
+    const col = columnLetterToIndex(String(letter).toUpperCase())
+    return !/^[A-Z]+$/i.test(letter) || col < bounds.startCol || col > bounds.endCol
+  })
+  if (outside !== undefined) return `Column ${outside} is outside ${source.range}`
+  const unknown = values.find(v => !AGGREGATIONS.includes(v.aggregation))
+  if (unknown) return `Unknown aggregation "${unknown.aggregation}": use ${AGGREGATIONS.join(', ')}`
+  return null
+}
+
+// Build the summary as a block of values and formulas.
+// sheetValues are the computed values of the whole source sheet; anchor is the
+// 0-based { row, col } of the summary's top-left cell.
+// Returns { values, groups, columnGroups } or { error }.
+export function buildSummaryTable(sheetValues, definition, anchor) {
+  const { source } = definition
+  const rows = definition.rows.map(letter => letter.toUpperCase())
+  const columns = (definition.columns || []).map(letter => letter.toUpperCase())
+  const values = definition.values.map(v => ({ ...v, column: v.column.toUpperCase() }))
+
+  const bounds = parseRange(source.range)
+  const firstRow = bounds.startRow + 1
+  const lastRow = Math.min(bounds.endRow, sheetValues.length - 1)
+  if (lastRow < firstRow) return { error: `${source.range} has no data rows` }
+
+  const header = letter => {
+    const text = sheetValues[bounds.startRow]?.[columnLetterToIndex(letter)]
+    return text === '' || text === null || text === undefined ? letter : String(text)
+  }
+  // Absolute reference to a column's data rows, e.g. 'Ventas'!$C$2:$C$500
+  const dataRange = letter => toAbsoluteReference(`${letter}${firstRow + 1}:${letter}${lastRow + 1}`, source.sheet)
+  const cellValue = (r, letter) => sheetValues[r]?.[columnLetterToIndex(letter)]
+
+  // Distinct groups, skipping rows with a blank group value
+  const rowGroups = distinct(firstRow, lastRow, r => rows.map(letter => cellValue(r, letter)))
+  const columnGroups = columns.length > 0
+    ? distinct(firstRow, lastRow, r => [cellValue(r, columns[0])]).map(([value]) => value)
+    : []
+  if (rowGroups.length === 0) return { error: 'No rows to group: the group columns are empty' }
+  if (rowGroups.length > MAX_GROUPS) return { error: `Too many groups (${rowGroups.length}); the limit is ${MAX_GROUPS}` }
+  if (columnGroups.length > MAX_COLUMN_GROUPS) {
+    return { error: `Too many column groups (${columnGroups.length}); the limit is ${MAX_COLUMN_GROUPS}` }
+  }
+
+  const valueLabel = ({ column, aggregation }) => aggregation === 'count'
+    ? `Cantidad de ${header(rows[0])}`
+    : `${AGGREGATION_LABELS[aggregation]} ${header(column)}`
+
+  // One data column per (column group, value), then a total per value
+  const dataColumns = []
+  columnGroups.forEach(group => {
+    values.forEach(value => {
+      dataColumns.push({
+        value,
+        group,
+        label: values.length > 1 ? `${group} - ${valueLabel(value)}` : String(group)
+      })
+    })
+  })
+  values.forEach(value => {
+    dataColumns.push({ value, label: columnGroups.length > 0 ? `Total ${valueLabel(value)}` : valueLabel(value) })
+  })
+
+  const block = [[...rows.map(header), ...dataColumns.map(column => column.label)]]
+  const totalRow = anchor.row + rowGroups.length + 1
+
+  rowGroups.forEach((group, i) => {
+    const row = anchor.row + i + 1
+    // Each group's criteria read its label cells, e.g. "="&$A2
+    const rowCriteria = rows.map((letter, k) => [dataRange(letter), `"="&$${indexToColumnLetter(anchor.col + k)}${row + 1}`])
+    block.push([
+      ...group,
+      ...dataColumns.map(({ value, group: columnGroup }) => aggregate(value, [
+        ...rowCriteria,
+        ...(columnGroup !== undefined ? [[dataRange(columns[0]), criteriaLiteral(columnGroup)]] : [])
+      ], dataRange, rows))
+    ])
+  })
+
+  // Sums and counts add up the groups above; the rest aggregate the whole column group
+  block.push([
+    'Total',
+    ...rows.slice(1).map(() => null),
+    ...dataColumns.map(({ value, group: columnGroup }, j) => {
+      if (value.aggregation === 'sum' || value.aggregation === 'count') {
+        const letter = indexToColumnLetter(anchor.col + rows.length + j)
+        return `=SUM(${letter}${anchor.row + 2}:${letter}${totalRow})`
+      }
+      return aggregate(value, columnGroup !== undefined ? [[dataRange(columns[0]), criteriaLiteral(columnGroup)]] : [], dataRange, rows)
+    })
+  ])
+
+  return { values: block, groups: rowGroups.length, columnGroups: columnGroups.length }
+}
+
+// The range a block of values covers, e.g. "A1:D12"
+export function blockRange(anchor, values) {
+  const width = Math.max(...values.map(row => row.length))
+  return `${toCellRef(anchor.row, anchor.col)}:${toCellRef(anchor.row + values.length - 1, anchor.col + width - 1)}`
+}
+
+// The source range grown down over the filled rows right below it, so a
+// refreshed summary takes in rows added to the table since it was built
+export function grownRange(sheetValues, range) {
+  const bounds = parseRange(range)
+  let endRow = bounds.endRow
+  const filled = row => (sheetValues[row] || []).slice(bounds.startCol, bounds.endCol + 1)
+    .some(value => value !== '' && value !== null && value !== undefined)
+  while (endRow + 1 < sheetValues.length && filled(endRow + 1)) endRow++
+  return `${toCellRef(bounds.startRow, bounds.startCol)}:${toCellRef(endRow, bounds.endCol)}`
+}
+
+function aggregate({ column, aggregation }, criteria, dataRange, rows) {
+  const valueRange = dataRange(column)
+  const args = criteria.flat().join(',')
+  if (criteria.length === 0) {
+    switch (aggregation) {
+      case 'sum': return `=SUM(${valueRange})`
+      case 'count': return `=COUNTA(${dataRange(rows[0])})`
+      case 'average': return `=IFERROR(AVERAGE(${valueRange}),"")`
+      case 'min': return `=MIN(${valueRange})`
+      case 'max': return `=MAX(${valueRange})`
+    }
+  }
+  switch (aggregation) {
+    case 'sum': return `=SUMIFS(${valueRange},${args})`
+    case 'count': return `=COUNTIFS(${args})`
+    // AVERAGEIFS is not available everywhere the formulas are computed
+    case 'average': return `=IFERROR(SUMIFS(${valueRange},${args})/COUNTIFS(${args},${valueRange},"<>"),"")`
+    case 'min': return `=MINIFS(${valueRange},${args})`
+    case 'max': return `=MAXIFS(${valueRange},${args})`
+  }
+}
+
+// Criteria that matches one value exactly, e.g. "=Norte" or "=2024"
+function criteriaLiteral(value) {
+  return `"=${String(value).replace(/"/g, '""')}"`
+}
+
+// Distinct non-blank keys of rows first..last, sorted like Excel sorts
+function distinct(first, last, keyOf) {
+  const seen = new Map()
+  for (let r = first; r <= last; r++) {
+    const key = keyOf(r)
+    if (key.some(value => value === '' || value === null || value === undefined)) continue
+    const id = JSON.stringify(key)
+    if (!seen.has(id)) seen.set(id, key)
+  }
+  const keys = [...seen.values()]
+  const order = sortRowOrder(keys, keys[0]?.map((value, index) => ({ index, descending: false })) || [])
+  return order.map(index => keys[index])
+}
@@ -0,0 +1,81 @@
+import { SHEET_CHANGE_TYPES, applySheetOperation } from '../src/utils/sheetOperations.js'
+import { applyChangesToWorkbook } from '../src/utils/changeEngine.js'
+import { sameSheet } from '../src/utils/formulaReferences.js'
+import { NAME_CHANGE_TYPES, applyChangeToNames } from '../src/utils/namedRanges.js'
+
+// Per-request working copy of the workbook.
+// Write tools apply their change here as they run, so reads later in the
+// same turn (get_cell_range, get_sheet_info) see the edits already made.
+
+// Deep-copy the spreadsheet data sent by the client
+export function createWorkingCopy(spreadsheetData) {
+  const { sheets = [], activeSheet = 0, namedRanges = {}, dropdownLists = {} } = spreadsheetData || {}
+
+  return {
+    activeSheet,
+    // Defined names, { name: ref }
+    namedRanges: { ...namedRanges },
+    // Read-only lookup for dropdown sources
+    dropdownLists,
+    // Bumped on every applied change, so derived state (the formula engine) knows to rebuild
+    version: 0,
+    sheets: sheets.map(sheet => ({
+      name: sheet.name,
+      data: (sheet.data || []).map(row => [...(row || [])]),
+      formulas: { ...(sheet.formulas || {}) },
+      styles: { ...(sheet.styles || {}) },
+      dropdowns: [...(sheet.dropdowns || [])],
+      validations: [...(sheet.validations || [])],
+      merges: sheet.merges || [],
+      autoFilter: sheet.autoFilter || null,
+      summaryTables: sheet.summaryTables || [],
+      charts: sheet.charts || []
+    }))
+  }
+}
+
+// Find a sheet by name, falling back to the active sheet when no name is given
+export function resolveSheet(workbook, sheetName) {
+  if (!sheetName) return workbook.sheets[workbook.activeSheet] || null
+  return workbook.sheets.find(s => s.name === sheetName) || null
+}
+
+// Apply a change (the same object sent to the client) to the working copy.
+// Throws if the change cannot be applied, so the tool can report it to Claude.
+export function applyChange(workbook, change) {
+  if (NAME_CHANGE_TYPES.has(change.type)) {
+    workbook.namedRanges = applyChangeToNames(workbook.namedRanges, change)
+    workbook.version++
+    return
+  }
+
+  if (SHEET_CHANGE_TYPES.has(change.type)) {
+    const sheets = workbook.sheets
+    applySheetChange(workbook, change)
+    workbook.namedRanges = applyChangeToNames(workbook.namedRanges, change, sheets)
+    workbook.version++
+    return
+  }
+
+  const sheet = resolveSheet(workbook, change.sheet)
+  if (!sheet) {
+    throw new Error(`Sheet "${change.sheet}" not found`)
+  }
+
+  // Inserted or deleted rows and columns also move references from other sheets and names
+  const sheets = workbook.sheets
+  workbook.sheets = applyChangesToWorkbook(sheets, sheet.name, [change])
+  workbook.namedRanges = applyChangeToNames(workbook.namedRanges, { ...change, sheet: sheet.name }, sheets)
+  workbook.version++
+}
+
+// Add, rename, duplicate, delete or move a sheet, keeping the same sheet active
+function applySheetChange(workbook, change) {
+  const active = workbook.sheets[workbook.activeSheet]
+  workbook.sheets = applySheetOperation(workbook.sheets, change)
+
+  // Sheets may have moved, so find the active one again by name
+  const activeName = change.type === 'renameSheet' && sameSheet(active?.name, change.sheet) ? change.newName : active?.name
+  const index = workbook.sheets.findIndex(s => s.name === activeName)
+  workbook.activeSheet = index === -1 ? Math.min(workbook.activeSheet, workbook.sheets.length - 1) : index
+}
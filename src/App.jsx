@@ -1,55 +1,245 @@
-import { useState, useRef, useCallback } from 'react'
+import { useState, useRef, useCallback, useMemo, useEffect } from 'react'
 import FileUpload from './components/FileUpload'
 import Spreadsheet from './components/Spreadsheet'
 import SheetTabs from './components/SheetTabs'
 import ChatPanel from './components/ChatPanel'
 import DownloadButton from './components/DownloadButton'
+import DropdownDialog from './components/DropdownDialog'
+import NamedRangesPanel from './components/NamedRangesPanel'
+import DataQualityPanel from './components/DataQualityPanel'
+import FindPanel from './components/FindPanel'
+import ChartPanel from './components/ChartPanel'
+import VersionHistoryPanel from './components/VersionHistoryPanel'
 import { parseExcelFile } from './utils/excelParser'
+import { getChangeHighlights } from './utils/changeReview'
+import { SHEET_CHANGE_TYPES, applySheetOperation } from './utils/sheetOperations'
+import { STRUCTURAL_CHANGE_TYPES, isContentChange, applyChangesToWorkbook } from './utils/changeEngine'
+import { sameSheet, toAbsoluteReference, tokenizeFormula } from './utils/formulaReferences'
+import { NAME_CHANGE_TYPES, applyChangeToNames, validateName } from './utils/namedRanges'
+import { buildListFormula, resolveListOptions } from './utils/dataValidation'
+import { indexToColumnLetter } from './utils/cellRefs'
+import { findCells } from './utils/findReplace'
+import { typedValues } from './utils/columnProfile'
+import { saveWorkbook, loadWorkbook, listRecentWorkbooks, deleteWorkbook, saveSnapshot, listSnapshots, deleteSnapshots } from './utils/workbookStore'
 import { FileSpreadsheet, Sparkles } from 'lucide-react'
 
+// Wait after the last edit before saving the workbook in the browser
+const AUTOSAVE_DELAY = 1500
+// Versions kept besides the original file. Past it the oldest automatic one (AI turn
+// or "before restoring") is dropped, or the oldest checkpoint when all are checkpoints.
+const MAX_SNAPSHOTS = 30
+const AUTOMATIC_KINDS = ['turn', 'restore']
+
+// Sheets with their data and formulas copied, so later grid edits never write into a stored copy
+function copySheets(sheets) {
+  return sheets.map(sheet => ({
+    ...sheet,
+    data: sheet.data.map(row => [...row]),
+    formulas: { ...sheet.formulas }
+  }))
+}
+
 function App() {
   const [workbook, setWorkbook] = useState(null)
   const [activeSheet, setActiveSheet] = useState(0)
   const [isLoading, setIsLoading] = useState(false)
   const [fileName, setFileName] = useState('')
+  // Changes awaiting review in the chat, highlighted in the grid
+  const [proposedChanges, setProposedChanges] = useState(null)
+  // AI turns that changed the workbook, oldest first: [{ id, undone }]
+  const [turnHistory, setTurnHistory] = useState([])
+  // Column dropdown being created from the grid: { range, options }
+  const [dropdownDialog, setDropdownDialog] = useState(null)
+  // Range to select in the grid, e.g. after picking a defined name: { range, keepFocus? }
+  const [focusRange, setFocusRange] = useState(null)
+  // Ctrl+F panel and its results: { matches, total, index }
+  const [isFindOpen, setIsFindOpen] = useState(false)
+  const [search, setSearch] = useState(null)
+  // Workbooks saved in the browser, most recent first, and whether to offer reopening the latest
+  const [recentWorkbooks, setRecentWorkbooks] = useState([])
+  const [offerRestore, setOfferRestore] = useState(true)
+  // Workbook being edited, as saved in the browser: { id, chat } with the chat it was saved with
+  const [openedWorkbook, setOpenedWorkbook] = useState(null)
+  // Version history, oldest first: [{ id, kind: 'original'|'turn'|'restore'|'checkpoint', name, createdAt, workbook: { sheets, namedRanges } }]
+  const [snapshots, setSnapshots] = useState([])
+  // Version history as last set, ahead of React state, so pruning knows what it drops
+  const snapshotsRef = useRef([])
+  // Computed values of the active sheet, kept only while it has charts to draw
+  const [gridValues, setGridValues] = useState([])
   const spreadsheetRef = useRef(null)
+  // Latest workbook and active sheet, ahead of React state: applyChanges can
+  // run several times (one per streamed change) before the next render
+  const workbookRef = useRef(null)
+  const activeSheetRef = useRef(0)
+  // True while the grid still shows a sheet object that was replaced since the last render
+  const gridStaleRef = useRef(false)
+  // Before/after snapshots of each AI turn, keyed by turn id
+  const transactionsRef = useRef({})
+  // Latest chat of the open workbook ({ sessionId, messages }) and the pending autosave
+  const chatRef = useRef(null)
+  const saveTimerRef = useRef(null)
+
+  const updateWorkbook = useCallback((update) => {
+    const prev = workbookRef.current
+    const next = typeof update === 'function' ? update(prev) : update
+    if (next?.sheets[activeSheetRef.current] !== prev?.sheets[activeSheetRef.current]) {
+      gridStaleRef.current = true
+    }
+    workbookRef.current = next
+    setWorkbook(next)
+  }, [])
+
+  const selectSheet = useCallback((index) => {
+    if (index !== activeSheetRef.current) gridStaleRef.current = true
+    activeSheetRef.current = index
+    setActiveSheet(index)
+  }, [])
+
+  // The grid shows the workbook's active sheet again once it has re-rendered
+  useEffect(() => {
+    gridStaleRef.current = false
+  }, [workbook, activeSheet])
 
   const handleFileUpload = useCallback(async (file) => {
     setIsLoading(true)
     try {
       const parsed = await parseExcelFile(file)
-      setWorkbook(parsed)
-      setActiveSheet(0)
+      updateWorkbook(parsed)
+      selectSheet(0)
       setFileName(file.name)
+      setTurnHistory([])
+      transactionsRef.current = {}
+      chatRef.current = null
+      const id = crypto.randomUUID()
+      setOpenedWorkbook({ id, chat: null })
+      const original = {
+        id: crypto.randomUUID(),
+        kind: 'original',
+        name: 'Archivo original',
+        createdAt: new Date(),
+        workbook: { sheets: copySheets(parsed.sheets), namedRanges: parsed.namedRanges }
+      }
+      snapshotsRef.current = [original]
+      setSnapshots(snapshotsRef.current)
+      saveSnapshot(id, original).catch(error => console.error('Error saving version:', error))
     } catch (error) {
       console.error('Error parsing file:', error)
       alert('Error parsing Excel file. Please try another file.')
     } finally {
       setIsLoading(false)
     }
+  }, [updateWorkbook, selectSheet])
+
+  // Reopen a workbook saved in the browser, with its chat
+  const openSavedWorkbook = useCallback(async (id) => {
+    setIsLoading(true)
+    try {
+      const [saved, savedSnapshots] = await Promise.all([loadWorkbook(id), listSnapshots(id)])
+      if (!saved) {
+        setRecentWorkbooks(await listRecentWorkbooks())
+        return
+      }
+      updateWorkbook(saved.workbook)
+      selectSheet(Math.min(saved.activeSheet, saved.workbook.sheets.length - 1))
+      setFileName(saved.fileName)
+      setTurnHistory([])
+      transactionsRef.current = {}
+      chatRef.current = saved.chat
+      setOpenedWorkbook({ id: saved.id, chat: saved.chat })
+      snapshotsRef.current = savedSnapshots
+      setSnapshots(savedSnapshots)
+    } catch (error) {
+      console.error('Error opening saved workbook:', error)
+      alert('No se pudo abrir la planilla guardada.')
+    } finally {
+      setIsLoading(false)
+    }
+  }, [updateWorkbook, selectSheet])
+
+  const deleteSavedWorkbook = useCallback(async (id) => {
+    try {
+      await deleteWorkbook(id)
+      setRecentWorkbooks(await listRecentWorkbooks())
+    } catch (error) {
+      console.error('Error deleting saved workbook:', error)
+    }
+  }, [])
+
+  // Workbooks saved by an earlier visit
+  useEffect(() => {
+    listRecentWorkbooks()
+      .then(setRecentWorkbooks)
+      .catch(error => console.error('Error listing saved workbooks:', error))
+  }, [])
+
+  // Workbook sheets with the active one read back from the grid (raw contents, formulas as typed)
+  const syncedSheets = useCallback(() => {
+    const sheets = [...workbookRef.current.sheets]
+    const index = activeSheetRef.current
+    if (spreadsheetRef.current && !gridStaleRef.current) {
+      sheets[index] = {
+        ...sheets[index],
+        data: spreadsheetRef.current.getSourceData(),
+        formulas: spreadsheetRef.current.getFormulas()
+      }
+    }
+    return sheets
   }, [])
 
+  // Save the open workbook now, the active sheet read back from the grid
+  const saveNow = useCallback(() => {
+    clearTimeout(saveTimerRef.current)
+    saveTimerRef.current = null
+    if (!workbookRef.current || !openedWorkbook) return
+    // The parsed SheetJS workbook is not needed again: export reads the original bytes
+    const { originalWorkbook, ...workbook } = workbookRef.current
+    saveWorkbook({
+      id: openedWorkbook.id,
+      fileName: workbook.fileName,
+      activeSheet: activeSheetRef.current,
+      workbook: { ...workbook, sheets: syncedSheets() },
+      chat: chatRef.current
+    }).catch(error => console.error('Autosave error:', error))
+  }, [openedWorkbook, syncedSheets])
+
+  const scheduleSave = useCallback(() => {
+    clearTimeout(saveTimerRef.current)
+    saveTimerRef.current = setTimeout(saveNow, AUTOSAVE_DELAY)
+  }, [saveNow])
+
+  const handleChatChange = useCallback((chat) => {
+    chatRef.current = chat
+    scheduleSave()
+  }, [scheduleSave])
+
+  useEffect(() => {
+    if (workbook) scheduleSave()
+  }, [workbook, activeSheet, scheduleSave])
+
+  // Save right away when the tab is hidden or closed, without waiting for the delay
+  useEffect(() => {
+    const flush = () => {
+      if (saveTimerRef.current) saveNow()
+    }
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') flush()
+    }
+    document.addEventListener('visibilitychange', handleVisibility)
+    window.addEventListener('pagehide', flush)
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility)
+      window.removeEventListener('pagehide', flush)
+    }
+  }, [saveNow])
+
   const handleSheetChange = useCallback((index) => {
     // Before switching, sync current sheet data to workbook state
-    if (spreadsheetRef.current && workbook) {
-      const currentData = spreadsheetRef.current.getData()
-      const currentFormulas = spreadsheetRef.current.getFormulas()
-      
-      setWorkbook(prev => {
-        if (!prev) return prev
-        const updated = { ...prev }
-        updated.sheets = [...prev.sheets]
-        updated.sheets[activeSheet] = {
-          ...updated.sheets[activeSheet],
-          data: currentData,
-          formulas: currentFormulas
-        }
-        return updated
-      })
+    if (workbookRef.current) {
+      const sheets = syncedSheets()
+      updateWorkbook(prev => ({ ...prev, sheets }))
     }
-    
-    setActiveSheet(index)
-  }, [workbook, activeSheet])
+    selectSheet(index)
+  }, [syncedSheets, updateWorkbook, selectSheet])
 
   const getSpreadsheetData = useCallback(() => {
     if (!workbook) return null
@@ -61,19 +251,123 @@ function App() {
           : sheet.data,
         formulas: idx === activeSheet && spreadsheetRef.current
           ? spreadsheetRef.current.getFormulas()
-          : sheet.formulas
+          : sheet.formulas,
+        dropdowns: sheet.dropdowns || [],
+        validations: sheet.validations || [],
+        merges: sheet.merges || [],
+        // Fills, fonts and number formats, so server tools that merge styles keep them
+        styles: sheet.styles || {},
+        autoFilter: sheet.autoFilter || null,
+        summaryTables: sheet.summaryTables || [],
+        charts: sheet.charts || []
       })),
-      activeSheet
+      activeSheet,
+      namedRanges: workbook.namedRanges || {},
+      dropdownLists: workbook.dropdownLists || {}
     }
   }, [workbook, activeSheet])
 
-  const applyChanges = useCallback((changes) => {
-    if (!workbook) return
-    
+  // Copy every sheet's raw data and formulas, taking the active sheet from the grid,
+  // along with the defined names
+  const snapshotWorkbook = useCallback(() => {
+    if (!workbookRef.current) return { sheets: [], namedRanges: {} }
+    return {
+      sheets: copySheets(syncedSheets()),
+      namedRanges: workbookRef.current.namedRanges
+    }
+  }, [syncedSheets])
+
+  // Replace every sheet and the names with a snapshot. The snapshot is copied so
+  // later grid edits never write into a stored transaction.
+  const restoreWorkbook = useCallback(({ sheets, namedRanges }) => {
+    const restored = copySheets(sheets)
+    updateWorkbook(prev => prev && { ...prev, sheets: restored, namedRanges })
+    selectSheet(Math.min(activeSheetRef.current, restored.length - 1))
+  }, [updateWorkbook, selectSheet])
+
+  // Record the state before the first change of an AI turn, so the whole turn can be undone
+  const beginTransaction = useCallback((transactionId) => {
+    if (transactionsRef.current[transactionId]) return
+
+    transactionsRef.current[transactionId] = { before: snapshotWorkbook(), after: null }
+    setTurnHistory(prev => {
+      // A new turn discards whatever could still be redone
+      prev.filter(t => t.undone).forEach(t => delete transactionsRef.current[t.id])
+      return [...prev.filter(t => !t.undone), { id: transactionId, undone: false }]
+    })
+  }, [snapshotWorkbook])
+
+  const undoTurn = useCallback((transactionId) => {
+    const transaction = transactionsRef.current[transactionId]
+    if (!transaction) return
+    transaction.after = snapshotWorkbook()
+    restoreWorkbook(transaction.before)
+    setTurnHistory(prev => prev.map(t => t.id === transactionId ? { ...t, undone: true } : t))
+  }, [snapshotWorkbook, restoreWorkbook])
+
+  const redoTurn = useCallback((transactionId) => {
+    const transaction = transactionsRef.current[transactionId]
+    if (!transaction?.after) return
+    transaction.before = snapshotWorkbook()
+    restoreWorkbook(transaction.after)
+    setTurnHistory(prev => prev.map(t => t.id === transactionId ? { ...t, undone: false } : t))
+  }, [snapshotWorkbook, restoreWorkbook])
+
+  // Snapshots are saved in the browser on their own, once, rather than with every autosave
+  const addSnapshot = useCallback((kind, name) => {
+    const snapshot = { id: crypto.randomUUID(), kind, name, createdAt: new Date(), workbook: snapshotWorkbook() }
+    const next = [...snapshotsRef.current, snapshot]
+    const droppable = next.filter(s => s.kind !== 'original')
+    const dropped = []
+    while (droppable.length - dropped.length > MAX_SNAPSHOTS) {
+      const remaining = droppable.filter(s => !dropped.includes(s))
+      dropped.push(remaining.find(s => AUTOMATIC_KINDS.includes(s.kind)) || remaining[0])
+    }
+    snapshotsRef.current = next.filter(s => !dropped.includes(s))
+    setSnapshots(snapshotsRef.current)
+    saveSnapshot(openedWorkbook.id, snapshot)
+      .then(() => deleteSnapshots(dropped.map(s => s.id)))
+      .catch(error => console.error('Error saving version:', error))
+  }, [openedWorkbook, snapshotWorkbook])
+
+  // One snapshot per AI turn that changed the workbook, named after the request
+  const handleTurnApplied = useCallback(({ id, prompt }) => {
+    if (transactionsRef.current[id]) addSnapshot('turn', prompt)
+  }, [addSnapshot])
+
+  // Go back to a snapshot. The current state is kept as a checkpoint first, so
+  // restoring can itself be undone from the history.
+  const restoreSnapshot = useCallback((id) => {
+    const snapshot = snapshots.find(s => s.id === id)
+    if (!snapshot) return
+    addSnapshot('restore', `Antes de restaurar "${snapshot.name}"`)
+    restoreWorkbook(snapshot.workbook)
+    // Undoing an earlier turn would bring back a state from before the restore
+    setTurnHistory([])
+    transactionsRef.current = {}
+  }, [snapshots, addSnapshot, restoreWorkbook])
+
+  // Add, rename, duplicate, delete or move a sheet, keeping the same sheet active
+  const applySheetChange = useCallback((change) => {
+    const current = workbookRef.current
+    const active = current.sheets[activeSheetRef.current]
+    const sheets = applySheetOperation(syncedSheets(), change)
+    const namedRanges = applyChangeToNames(current.namedRanges, change, current.sheets)
+
+    const activeName = change.type === 'renameSheet' && sameSheet(active.name, change.sheet) ? change.newName : active.name
+    const index = sheets.findIndex(s => s.name === activeName)
+    updateWorkbook({ ...current, sheets, namedRanges })
+    selectSheet(index === -1 ? Math.min(activeSheetRef.current, sheets.length - 1) : index)
+  }, [syncedSheets, updateWorkbook, selectSheet])
+
+  const applyCellChanges = useCallback((changes) => {
+    const current = workbookRef.current
+    const activeIndex = activeSheetRef.current
+
     // Group changes by sheet
     const changesBySheet = {}
     changes.forEach(change => {
-      const sheetName = change.sheet || workbook.sheets[activeSheet].name
+      const sheetName = change.sheet || current.sheets[activeIndex].name
       if (!changesBySheet[sheetName]) {
         changesBySheet[sheetName] = []
       }
@@ -82,66 +376,241 @@ function App() {
     
     // Apply changes to each sheet
     Object.entries(changesBySheet).forEach(([sheetName, sheetChanges]) => {
-      const sheetIndex = workbook.sheets.findIndex(s => s.name === sheetName)
+      const sheetIndex = workbookRef.current.sheets.findIndex(s => s.name === sheetName)
       if (sheetIndex === -1) return
+
+      // Inserted or deleted rows and columns move references all over the workbook
+      const isStructural = sheetChanges.some(change => STRUCTURAL_CHANGE_TYPES.has(change.type))
+      // The grid only holds data and formulas; styles and the rest live in the workbook
+      const isContentOnly = sheetChanges.every(isContentChange)
+      const isActive = sheetIndex === activeIndex
       
-      if (sheetIndex === activeSheet && spreadsheetRef.current) {
+      if (isActive && spreadsheetRef.current && !gridStaleRef.current && isContentOnly) {
         // Active sheet - apply via Handsontable
         spreadsheetRef.current.applyChanges(sheetChanges)
       } else {
-        // Other sheet - update workbook data directly
-        setWorkbook(prev => {
-          const updated = { ...prev }
-          updated.sheets = [...prev.sheets]
-          const sheet = { ...updated.sheets[sheetIndex] }
-          const data = sheet.data.map(row => [...row])
-          const formulas = { ...sheet.formulas }
-          
-          sheetChanges.forEach(change => {
-            const { type, cell, value, formula, range, afterColumn, header } = change
-            
-            if (type === 'setCellValue' && cell) {
-              const match = cell.match(/^([A-Z]+)(\d+)$/)
-              if (match) {
-                const col = columnToIndex(match[1])
-                const row = parseInt(match[2]) - 1
-                while (data.length <= row) data.push([])
-                while (data[row].length <= col) data[row].push('')
-                data[row][col] = value
-              }
-            }
-            
-            if (type === 'setFormula' && cell && formula) {
-              const match = cell.match(/^([A-Z]+)(\d+)$/)
-              if (match) {
-                const col = columnToIndex(match[1])
-                const row = parseInt(match[2]) - 1
-                while (data.length <= row) data.push([])
-                while (data[row].length <= col) data[row].push('')
-                data[row][col] = formula
-                formulas[cell] = formula
-              }
-            }
-          })
-          
-          sheet.data = data
-          sheet.formulas = formulas
-          updated.sheets[sheetIndex] = sheet
-          return updated
-        })
+        // Whole workbook, with the active sheet read back from the grid first
+        const base = isStructural || isActive ? syncedSheets() : workbookRef.current.sheets
+        const sheets = applyChangesToWorkbook(base, sheetName, sheetChanges)
+        const namedRanges = sheetChanges.reduce(
+          (names, change) => applyChangeToNames(names, { ...change, sheet: sheetName }, base),
+          workbookRef.current.namedRanges
+        )
+        updateWorkbook(prev => ({ ...prev, sheets, namedRanges }))
       }
     })
-  }, [workbook, activeSheet])
+  }, [syncedSheets, updateWorkbook])
+
+  const applyChanges = useCallback((changes, { transactionId } = {}) => {
+    if (!workbookRef.current) return
+
+    if (transactionId !== undefined) {
+      beginTransaction(transactionId)
+    }
+
+    // Sheet-level changes run in order with the cell changes around them
+    let cellChanges = []
+    const flushCellChanges = () => {
+      if (cellChanges.length > 0) applyCellChanges(cellChanges)
+      cellChanges = []
+    }
+    changes.forEach(change => {
+      if (NAME_CHANGE_TYPES.has(change.type)) {
+        flushCellChanges()
+        const namedRanges = applyChangeToNames(workbookRef.current.namedRanges, change)
+        updateWorkbook(prev => ({ ...prev, namedRanges }))
+      } else if (SHEET_CHANGE_TYPES.has(change.type)) {
+        flushCellChanges()
+        applySheetChange(change)
+      } else {
+        cellChanges.push(change)
+      }
+    })
+    flushCellChanges()
+    scheduleSave()
+  }, [beginTransaction, applyCellChanges, applySheetChange, updateWorkbook, scheduleSave])
+
+  // Sheet changes made from the tabs; new sheets are opened right away
+  const handleSheetOperation = useCallback((change) => {
+    try {
+      applyChanges([change])
+    } catch (error) {
+      alert(error.message)
+      return
+    }
+    if (change.type === 'addSheet' || change.type === 'duplicateSheet') {
+      const newName = change.type === 'addSheet' ? change.name : change.newName
+      selectSheet(workbookRef.current.sheets.findIndex(s => s.name === newName))
+    }
+  }, [applyChanges, selectSheet])
   
-  // Helper function
-  const columnToIndex = (col) => {
-    let result = 0
-    for (let i = 0; i < col.length; i++) {
-      result = result * 26 + (col.charCodeAt(i) - 64)
+  // Defined names added from the names panel. Throws with the reason so the panel can show it.
+  const defineName = useCallback((name, range) => {
+    const { sheets, namedRanges } = workbookRef.current
+    const ref = toAbsoluteReference(range, sheets[activeSheetRef.current].name)
+    if (!ref) throw new Error(`Rango inválido "${range}"`)
+    const target = tokenizeFormula(ref)[0].sheet
+    if (!sheets.some(s => sameSheet(s.name, target))) throw new Error(`No existe la hoja "${target}"`)
+    const error = validateName(name, namedRanges)
+    if (error) throw new Error(error)
+    applyChanges([{ type: 'defineName', name, ref }])
+  }, [applyChanges])
+
+  const deleteName = useCallback((name) => {
+    applyChanges([{ type: 'deleteName', name }])
+  }, [applyChanges])
+
+  const deleteChart = useCallback((id) => {
+    applyChanges([{ type: 'deleteChart', sheet: workbookRef.current.sheets[activeSheetRef.current].name, id }])
+  }, [applyChanges])
+
+  // Open the sheet a name points at and select its cells
+  const goToName = useCallback((name) => {
+    const [reference] = tokenizeFormula(workbookRef.current.namedRanges?.[name] || '')
+      .filter(token => token.type === 'reference')
+    if (!reference) return
+    const index = workbookRef.current.sheets.findIndex(s => sameSheet(s.name, reference.sheet))
+    if (index === -1) return
+    if (index !== activeSheetRef.current) handleSheetChange(index)
+    setFocusRange({ range: reference.body.replace(/\$/g, '') })
+  }, [handleSheetChange])
+
+  // Dropdown actions from the grid's column menu
+  const handleColumnAction = useCallback((action, col) => {
+    const sheet = syncedSheets()[activeSheetRef.current]
+    const column = indexToColumnLetter(col)
+
+    if (action === 'removeDropdown') {
+      applyChanges([{ type: 'removeDropdown', sheet: sheet.name, range: `${column}1:${column}${sheet.data.length}` }])
+      return
+    }
+
+    // Below the header, down to the last row with data in any column
+    let lastRow = sheet.data.length - 1
+    while (lastRow > 1 && sheet.data[lastRow].every(value => value === '' || value == null)) lastRow--
+    const existing = (sheet.dropdowns || []).find(d => d.range.match(/^([A-Z]+)\d/)?.[1] === column)
+    setDropdownDialog({
+      range: existing?.range || `${column}2:${column}${lastRow + 1}`,
+      options: existing?.options || []
+    })
+  }, [syncedSheets, applyChanges])
+
+  // Rows and columns inserted or deleted from the grid's menus, on the sheet being shown
+  const handleGridStructureChange = useCallback((changes) => {
+    const sheetName = workbookRef.current.sheets[activeSheetRef.current].name
+    try {
+      applyChanges(changes.map(change => ({ ...change, sheet: sheetName })))
+    } catch (error) {
+      alert(error.message)
+    }
+  }, [applyChanges])
+
+  // Throws with the reason when the list is not valid, so the dialog can show it
+  const createDropdown = useCallback(({ range, options, sourceRange, allowOther }) => {
+    const sheets = syncedSheets()
+    const sheet = sheets[activeSheetRef.current]
+    const formula = buildListFormula({ options, sourceRange }, sheet.name)
+    const resolved = resolveListOptions(formula, {
+      sheets,
+      sheetName: sheet.name,
+      namedRanges: workbookRef.current.namedRanges,
+      dropdownLists: workbookRef.current.dropdownLists
+    })
+    if (resolved.length === 0) throw new Error('El rango no tiene valores')
+
+    applyChanges([{ type: 'createDropdown', sheet: sheet.name, range, formula, options: resolved, allowOther: allowOther || undefined }])
+    setDropdownDialog(null)
+  }, [syncedSheets, applyChanges])
+
+  // Ctrl+F opens the find panel instead of the browser's search
+  useEffect(() => {
+    const handleKey = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f' && workbookRef.current) {
+        e.preventDefault()
+        setIsFindOpen(true)
+      }
     }
-    return result - 1
-  }
+    window.addEventListener('keydown', handleKey, true)
+    return () => window.removeEventListener('keydown', handleKey, true)
+  }, [])
 
+  // Select a match, switching tabs when it is on another sheet
+  const showMatch = useCallback((match) => {
+    const index = workbookRef.current.sheets.findIndex(s => s.name === match.sheet)
+    if (index === -1) return
+    if (index !== activeSheetRef.current) handleSheetChange(index)
+    setFocusRange({ range: match.cell, keepFocus: true })
+  }, [handleSheetChange])
+
+  // Search every sheet, starting from the first match on the sheet being shown
+  const searchWorkbook = useCallback((criteria) => {
+    if (!criteria) {
+      setSearch(null)
+      return
+    }
+    let result
+    try {
+      result = findCells(getSpreadsheetData().sheets, criteria)
+    } catch {
+      throw new Error('Expresión regular inválida')
+    }
+    const activeName = workbookRef.current.sheets[activeSheetRef.current]?.name
+    const index = Math.max(result.matches.findIndex(match => match.sheet === activeName), 0)
+    setSearch({ ...result, index })
+    if (result.matches.length > 0) showMatch(result.matches[index])
+  }, [getSpreadsheetData, showMatch])
+
+  const navigateSearch = useCallback((step) => {
+    if (!search?.matches.length) return
+    const index = (search.index + step + search.matches.length) % search.matches.length
+    setSearch({ ...search, index })
+    showMatch(search.matches[index])
+  }, [search, showMatch])
+
+  // Replace in constants and formula text on every sheet, like Excel's "Replace all"
+  const replaceAll = useCallback((criteria, replacement) => {
+    let count = 0
+    const changes = []
+    syncedSheets().forEach(sheet => {
+      const { total } = findCells([sheet], { ...criteria, lookIn: 'formulas' }, 0)
+      if (total === 0) return
+      count += total
+      changes.push({
+        type: 'replaceInCells',
+        sheet: sheet.name,
+        find: criteria.query,
+        replace: replacement,
+        regex: criteria.regex || undefined,
+        matchCase: criteria.matchCase || undefined,
+        wholeCell: criteria.wholeCell || undefined
+      })
+    })
+    if (changes.length > 0) applyChanges(changes)
+    setSearch(null)
+    return count
+  }, [syncedSheets, applyChanges])
+
+  const closeFind = useCallback(() => {
+    setIsFindOpen(false)
+    setSearch(null)
+  }, [])
+
+  const searchHighlights = useMemo(() => {
+    if (!search || !workbook) return null
+    const sheetName = workbook.sheets[activeSheet]?.name
+    const current = search.matches[search.index]
+    return {
+      cells: new Set(search.matches.filter(match => match.sheet === sheetName).map(match => `${match.row},${match.col}`)),
+      current: current?.sheet === sheetName ? `${current.row},${current.col}` : null
+    }
+  }, [search, workbook, activeSheet])
+
+  const charts = workbook?.sheets[activeSheet]?.charts || []
+
+  const highlights = useMemo(() => {
+    if (!workbook) return null
+    return getChangeHighlights(proposedChanges, workbook.sheets, workbook.sheets[activeSheet]?.name)
+  }, [proposedChanges, workbook, activeSheet])
 
   return (
     <div className="h-screen flex flex-col bg-midnight">
@@ -160,6 +629,32 @@ function App() {
         </div>
         
         <div className="flex items-center gap-4">
+          {workbook && (
+            <DataQualityPanel
+              sheetName={workbook.sheets[activeSheet]?.name}
+              getValues={() => typedValues(spreadsheetRef.current?.getData() || [], spreadsheetRef.current?.getSourceData() || [])}
+              onSelectCell={cell => setFocusRange({ range: cell })}
+            />
+          )}
+          {workbook && (
+            <VersionHistoryPanel
+              snapshots={snapshots}
+              maxSnapshots={MAX_SNAPSHOTS}
+              getCurrent={snapshotWorkbook}
+              onCreate={name => addSnapshot('checkpoint', name)}
+              onRestore={restoreSnapshot}
+              onSelectCell={(sheet, cell) => showMatch({ sheet, cell })}
+            />
+          )}
+          {workbook && (
+            <NamedRangesPanel
+              namedRanges={workbook.namedRanges}
+              getSelectedRange={() => spreadsheetRef.current?.getSelectedRange()}
+              onDefine={defineName}
+              onDelete={deleteName}
+              onSelect={goToName}
+            />
+          )}
           {workbook && <DownloadButton workbook={workbook} spreadsheetRef={spreadsheetRef} activeSheet={activeSheet} />}
         </div>
       </header>
@@ -167,7 +662,15 @@ function App() {
       {/* Main content */}
       <div className="flex-1 flex overflow-hidden">
         {!workbook ? (
-          <FileUpload onFileUpload={handleFileUpload} isLoading={isLoading} />
+          <FileUpload
+            onFileUpload={handleFileUpload}
+            isLoading={isLoading}
+            recentWorkbooks={recentWorkbooks}
+            offerRestore={offerRestore}
+            onDismissRestore={() => setOfferRestore(false)}
+            onOpenRecent={openSavedWorkbook}
+            onDeleteRecent={deleteSavedWorkbook}
+          />
         ) : (
           <>
             {/* Spreadsheet area */}
@@ -176,22 +679,71 @@ function App() {
                 sheets={workbook.sheets} 
                 activeSheet={activeSheet} 
                 onSheetChange={handleSheetChange} 
+                onSheetOperation={handleSheetOperation}
               />
-              <div className="flex-1 overflow-hidden">
-                <Spreadsheet 
-                  ref={spreadsheetRef}
-                  sheet={workbook.sheets[activeSheet]}
-                />
+              <div className="flex-1 flex overflow-hidden">
+                <div className="flex-1 overflow-hidden relative min-w-0">
+                  <Spreadsheet 
+                    ref={spreadsheetRef}
+                    sheet={workbook.sheets[activeSheet]}
+                    sheets={workbook.sheets}
+                    namedRanges={workbook.namedRanges}
+                    focusRange={focusRange}
+                    highlights={highlights}
+                    searchHighlights={searchHighlights}
+                    onColumnAction={handleColumnAction}
+                    onStructureChange={handleGridStructureChange}
+                    onValuesChange={charts.length > 0 ? setGridValues : undefined}
+                    onEdit={scheduleSave}
+                  />
+                  {isFindOpen && (
+                    <FindPanel
+                      total={search?.total}
+                      shown={search?.matches.length}
+                      currentIndex={search?.index}
+                      onSearch={searchWorkbook}
+                      onNavigate={navigateSearch}
+                      onReplaceAll={replaceAll}
+                      onClose={closeFind}
+                    />
+                  )}
+                </div>
+                {charts.length > 0 && (
+                  <ChartPanel
+                    charts={charts}
+                    values={gridValues}
+                    styles={workbook.sheets[activeSheet]?.styles}
+                    onSelectRange={range => setFocusRange({ range })}
+                    onDelete={deleteChart}
+                  />
+                )}
               </div>
             </div>
 
             {/* Chat panel */}
             <ChatPanel 
+              key={openedWorkbook?.id}
               getSpreadsheetData={getSpreadsheetData}
               applyChanges={applyChanges}
+              onPreviewChanges={setProposedChanges}
+              turnHistory={turnHistory}
+              onUndoTurn={undoTurn}
+              onRedoTurn={redoTurn}
               activeSheet={activeSheet}
               sheetName={workbook.sheets[activeSheet]?.name}
+              workbookName={fileName}
+              initialChat={openedWorkbook?.chat}
+              onChatChange={handleChatChange}
+              onTurnApplied={handleTurnApplied}
             />
+
+            {dropdownDialog && (
+              <DropdownDialog
+                {...dropdownDialog}
+                onSubmit={createDropdown}
+                onClose={() => setDropdownDialog(null)}
+              />
+            )}
           </>
         )}
       </div>
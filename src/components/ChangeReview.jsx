@@ -0,0 +1,103 @@
+import { Check, X, ListChecks, Trash2 } from 'lucide-react'
+
+const STATUS_LABELS = {
+  applied: 'Cambios aplicados',
+  partial: 'Se aplicaron algunos cambios',
+  rejected: 'Cambios descartados',
+  failed: 'No se pudieron aplicar los cambios'
+}
+
+export default function ChangeReview({ proposal, onToggle, onAcceptAll, onAcceptSelected, onRejectAll }) {
+  const { items, selected, status, dependencies = [] } = proposal
+  const selectedCount = selected.filter(Boolean).length
+  const isPending = status === 'pending'
+  // Unselected changes that rely on an earlier change left out, which cannot be applied alone
+  const isBlocked = idx => !selected[idx] && (dependencies[idx] || []).some(i => !selected[i])
+
+  return (
+    <div className="mt-3 rounded-lg border border-warning/30 bg-warning/5">
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-warning/20 text-xs text-warning">
+        <ListChecks className="w-3 h-3" />
+        <span>
+          {isPending
+            ? `${items.length} ${items.length === 1 ? 'cambio propuesto' : 'cambios propuestos'}`
+            : STATUS_LABELS[status]}
+        </span>
+      </div>
+      {status === 'failed' && proposal.error && (
+        <p className="px-3 py-2 text-xs text-red-400 border-b border-warning/20">
+          {proposal.error}. Los cambios anteriores al error quedaron aplicados y se pueden deshacer.
+        </p>
+      )}
+
+      <div className="max-h-64 overflow-y-auto divide-y divide-surface-light">
+        {items.map((item, idx) => (
+          <label
+            key={idx}
+            className={`flex items-start gap-2 px-3 py-2 text-xs ${isPending && !isBlocked(idx) ? 'cursor-pointer hover:bg-surface-light/50' : ''}
+              ${(!isPending || isBlocked(idx)) && !selected[idx] ? 'opacity-40' : ''}`}
+          >
+            <input
+              type="checkbox"
+              checked={selected[idx]}
+              disabled={!isPending || isBlocked(idx)}
+              onChange={() => onToggle(idx)}
+              className="mt-0.5 accent-accent"
+            />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-2">
+                <span className={`font-mono ${item.destructive ? 'text-red-400' : 'text-accent'}`}>
+                  {item.kind === 'cell' ? item.label : ''}
+                </span>
+                <span className="text-gray-600 truncate">{item.sheet}</span>
+              </div>
+              {item.kind === 'cell' ? (
+                <div className="mt-1 font-mono break-all">
+                  <span className="text-red-400/80 line-through">{item.before}</span>
+                  <span className="text-gray-600"> → </span>
+                  <span className="text-success">{item.after}</span>
+                </div>
+              ) : (
+                <div className={`mt-1 ${item.destructive ? 'text-red-400' : 'text-gray-300'}`}>
+                  {item.destructive && <Trash2 className="inline w-3 h-3 mr-1" />}
+                  {item.label}
+                </div>
+              )}
+              {isPending && isBlocked(idx) && (
+                <div className="mt-1 text-gray-500">Depende de un cambio anterior que no está seleccionado</div>
+              )}
+            </div>
+          </label>
+        ))}
+      </div>
+
+      {isPending && (
+        <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-t border-warning/20">
+          <button
+            onClick={onAcceptAll}
+            className="flex items-center gap-1 px-2 py-1 rounded-md text-xs bg-success/10 text-success hover:bg-success/20 transition-colors"
+          >
+            <Check className="w-3 h-3" />
+            Aplicar todo
+          </button>
+          {selectedCount > 0 && selectedCount < items.length && (
+            <button
+              onClick={onAcceptSelected}
+              className="flex items-center gap-1 px-2 py-1 rounded-md text-xs bg-accent/10 text-accent hover:bg-accent/20 transition-colors"
+            >
+              <Check className="w-3 h-3" />
+              Aplicar {selectedCount} {selectedCount === 1 ? 'seleccionado' : 'seleccionados'}
+            </button>
+          )}
+          <button
+            onClick={onRejectAll}
+            className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors ml-auto"
+          >
+            <X className="w-3 h-3" />
+            Descartar
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,243 @@
+import { useState, useMemo } from 'react'
+import { ChartColumn, ChartLine, ChartPie, ChartScatter, PanelRightClose, PanelRightOpen, Trash2 } from 'lucide-react'
+import * as XLSX from 'xlsx'
+import { getChartData } from '../utils/charts'
+
+const TYPE_ICONS = { bar: ChartColumn, line: ChartLine, pie: ChartPie, scatter: ChartScatter }
+const COLORS = ['#00d9ff', '#00ff88', '#ffaa00', '#ff5c8a', '#a78bfa', '#f472b6', '#34d399', '#fbbf24']
+
+// Plot size in SVG units; the chart scales to the panel's width
+const WIDTH = 300
+const HEIGHT = 190
+const PLOT = { left: 40, right: 8, top: 8, bottom: 24 }
+
+export default function ChartPanel({ charts = [], values = [], styles = {}, onSelectRange, onDelete }) {
+  const [isCollapsed, setIsCollapsed] = useState(false)
+
+  if (isCollapsed) {
+    return (
+      <div className="w-10 flex flex-col items-center py-3 border-l border-surface-light bg-surface">
+        <button onClick={() => setIsCollapsed(false)} title="Mostrar gráficos" className="p-1 text-gray-500 hover:text-white transition-colors">
+          <PanelRightOpen className="w-4 h-4" />
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="w-80 flex flex-col border-l border-surface-light bg-surface">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-surface-light">
+        <span className="text-sm font-medium text-gray-300">Gráficos ({charts.length})</span>
+        <button onClick={() => setIsCollapsed(true)} title="Ocultar gráficos" className="p-1 text-gray-500 hover:text-white transition-colors">
+          <PanelRightClose className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-3 space-y-3">
+        {charts.map(chart => (
+          <ChartCard
+            key={chart.id}
+            chart={chart}
+            values={values}
+            styles={styles}
+            onSelectRange={onSelectRange}
+            onDelete={onDelete}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function ChartCard({ chart, values, styles, onSelectRange, onDelete }) {
+  const Icon = TYPE_ICONS[chart.type] || ChartColumn
+  // Category labels show as the cells do, e.g. dates with their number format
+  const data = useMemo(() => getChartData(values, chart, (value, cell) => {
+    const numFmt = styles[cell]?.numFmt
+    if (!numFmt || typeof value !== 'number') return value
+    try {
+      return XLSX.SSF.format(numFmt, value)
+    } catch {
+      return value
+    }
+  }), [values, chart, styles])
+
+  const hasPoints = data.series.some(series => series.values.some(value => value !== null))
+
+  return (
+    <div className="group rounded-xl bg-midnight border border-surface-light">
+      <div className="flex items-center gap-2 px-3 pt-2">
+        <Icon className="w-4 h-4 text-accent shrink-0" />
+        <button
+          onClick={() => onSelectRange(chart.range)}
+          title="Seleccionar los datos"
+          className="flex-1 min-w-0 text-left text-sm text-white truncate hover:text-accent transition-colors"
+        >
+          {chart.title || `Gráfico de ${chart.range}`}
+        </button>
+        <span className="text-xs text-gray-500 font-mono">{chart.range}</span>
+        <button
+          onClick={() => onDelete(chart.id)}
+          title="Eliminar gráfico"
+          className="p-0.5 text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-all"
+        >
+          <Trash2 className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      {hasPoints ? (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+          {chart.type === 'pie' ? <PiePlot data={data} /> : <AxesPlot type={chart.type} data={data} />}
+        </svg>
+      ) : (
+        <p className="px-3 py-6 text-xs text-center text-gray-500">No hay números para graficar en {chart.range}</p>
+      )}
+      {chart.type !== 'pie' && data.series.length > 1 && <Legend names={data.series.map(series => series.name)} />}
+    </div>
+  )
+}
+
+// Bars, lines and scatter points over a value axis with gridlines
+function AxesPlot({ type, data }) {
+  const { categories, series } = data
+  const points = series.flatMap(s => s.values).filter(value => value !== null)
+  const [min, max] = niceBounds(Math.min(0, ...points), Math.max(0, ...points))
+  const plotWidth = WIDTH - PLOT.left - PLOT.right
+  const plotHeight = HEIGHT - PLOT.top - PLOT.bottom
+  const y = value => PLOT.top + plotHeight - ((value - min) / (max - min)) * plotHeight
+
+  // Scatter places points by their x value; the others spread categories evenly
+  const xs = categories.filter(value => value !== null)
+  const [xMin, xMax] = type === 'scatter' && xs.length > 0 ? niceBounds(Math.min(...xs), Math.max(...xs)) : [0, 1]
+  const band = plotWidth / Math.max(categories.length, 1)
+  const x = i => type === 'scatter'
+    ? PLOT.left + ((categories[i] - xMin) / (xMax - xMin)) * plotWidth
+    : PLOT.left + band * (i + 0.5)
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(step => min + (max - min) * step)
+  const labelEvery = Math.ceil(categories.length / 6)
+
+  return (
+    <g fontSize="9" fill="#9ca3af">
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={PLOT.left} x2={WIDTH - PLOT.right} y1={y(tick)} y2={y(tick)} stroke="#1a1a24" />
+          <text x={PLOT.left - 4} y={y(tick) + 3} textAnchor="end">{formatNumber(tick)}</text>
+        </g>
+      ))}
+      {type !== 'scatter' && categories.map((category, i) => i % labelEvery === 0 && (
+        <text key={i} x={x(i)} y={HEIGHT - 8} textAnchor="middle">{truncate(String(category), 10)}</text>
+      ))}
+      {type === 'scatter' && [xMin, (xMin + xMax) / 2, xMax].map(tick => (
+        <text key={tick} x={PLOT.left + ((tick - xMin) / (xMax - xMin)) * plotWidth} y={HEIGHT - 8} textAnchor="middle">{formatNumber(tick)}</text>
+      ))}
+
+      {series.map((s, k) => {
+        const color = COLORS[k % COLORS.length]
+        if (type === 'bar') {
+          const barWidth = (band * 0.8) / series.length
+          return s.values.map((value, i) => value !== null && (
+            <rect
+              key={`${k}-${i}`}
+              x={PLOT.left + band * i + band * 0.1 + barWidth * k}
+              y={Math.min(y(value), y(0))}
+              width={Math.max(barWidth - 1, 1)}
+              height={Math.abs(y(0) - y(value))}
+              fill={color}
+            >
+              <title>{`${s.name} · ${categories[i]}: ${formatNumber(value)}`}</title>
+            </rect>
+          ))
+        }
+        const dots = s.values
+          .map((value, i) => ({ value, i }))
+          .filter(({ value, i }) => value !== null && (type !== 'scatter' || categories[i] !== null))
+        return (
+          <g key={k}>
+            {type === 'line' && (
+              <polyline fill="none" stroke={color} strokeWidth="2" points={dots.map(({ value, i }) => `${x(i)},${y(value)}`).join(' ')} />
+            )}
+            {dots.map(({ value, i }) => (
+              <circle key={i} cx={x(i)} cy={y(value)} r={type === 'scatter' ? 3 : 2.5} fill={color}>
+                <title>{`${s.name} · ${categories[i]}: ${formatNumber(value)}`}</title>
+              </circle>
+            ))}
+          </g>
+        )
+      })}
+    </g>
+  )
+}
+
+// One slice per category, from the first series; negative and blank values are left out
+function PiePlot({ data }) {
+  const slices = data.categories
+    .map((category, i) => ({ category, value: data.series[0]?.values[i] }))
+    .filter(({ value }) => value > 0)
+  const total = slices.reduce((sum, { value }) => sum + value, 0)
+  const cx = 80
+  const cy = HEIGHT / 2
+  const r = 70
+
+  let angle = -Math.PI / 2
+  return (
+    <g fontSize="9" fill="#9ca3af">
+      {slices.map(({ category, value }, i) => {
+        const start = angle
+        angle += (value / total) * Math.PI * 2
+        const color = COLORS[i % COLORS.length]
+        const path = slices.length === 1
+          ? <circle cx={cx} cy={cy} r={r} fill={color} />
+          : (
+            <path
+              d={`M ${cx} ${cy} L ${cx + r * Math.cos(start)} ${cy + r * Math.sin(start)} ` +
+                `A ${r} ${r} 0 ${angle - start > Math.PI ? 1 : 0} 1 ${cx + r * Math.cos(angle)} ${cy + r * Math.sin(angle)} Z`}
+              fill={color}
+              stroke="#0a0a0f"
+            />
+          )
+        return (
+          <g key={i}>
+            {path}
+            <title>{`${category}: ${formatNumber(value)} (${Math.round((value / total) * 100)}%)`}</title>
+            {i < 10 && (
+              <>
+                <rect x={170} y={14 + i * 16} width={8} height={8} fill={color} />
+                <text x={182} y={21 + i * 16}>{truncate(String(category), 14)} {Math.round((value / total) * 100)}%</text>
+              </>
+            )}
+          </g>
+        )
+      })}
+    </g>
+  )
+}
+
+function Legend({ names }) {
+  return (
+    <div className="flex flex-wrap gap-x-3 gap-y-1 px-3 pb-2 text-xs text-gray-400">
+      {names.map((name, k) => (
+        <span key={k} className="flex items-center gap-1">
+          <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: COLORS[k % COLORS.length] }} />
+          {name}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+// Axis bounds rounded to a step of 1, 2 or 5 times a power of ten
+function niceBounds(min, max) {
+  if (min === max) return [min - 1, max + 1]
+  const magnitude = Math.pow(10, Math.floor(Math.log10((max - min) / 4)))
+  const step = [1, 2, 5, 10].map(n => n * magnitude).find(s => (max - min) / s <= 4)
+  return [Math.floor(min / step) * step, Math.ceil(max / step) * step]
+}
+
+function formatNumber(value) {
+  if (Math.abs(value) >= 1000000) return `${Number((value / 1000000).toFixed(1))}M`
+  if (Math.abs(value) >= 1000) return `${Number((value / 1000).toFixed(1))}k`
+  return String(Number(value.toFixed(2)))
+}
+
+function truncate(text, length) {
+  return text.length > length ? text.slice(0, length - 1) + '…' : text
+}
@@ -1,12 +1,36 @@
 import { useState, useRef, useEffect } from 'react'
-import { Send, Loader2, Sparkles, User, Bot, Wrench, ChevronDown, ChevronRight } from 'lucide-react'
+import { Send, Loader2, Sparkles, User, Bot, Wrench, ChevronDown, ChevronRight, Check, ShieldCheck, Undo2, Redo2, History, MessageSquarePlus, Pencil, Trash2, X } from 'lucide-react'
+import ChangeReview from './ChangeReview'
+import { readChatStream } from '../utils/chatStream'
+import { listSessions, loadSession, renameSession, deleteSession } from '../utils/chatSessions'
+import { describeChanges, findChangeDependencies } from '../utils/changeReview'
+import { dateReplacer } from '../utils/changeEngine'
 
-export default function ChatPanel({ getSpreadsheetData, applyChanges, activeSheet, sheetName }) {
-  const [messages, setMessages] = useState([])
+export default function ChatPanel({ 
+  getSpreadsheetData, 
+  applyChanges, 
+  onPreviewChanges, 
+  turnHistory = [], 
+  onUndoTurn, 
+  onRedoTurn, 
+  activeSheet, 
+  sheetName,
+  workbookName,
+  initialChat,
+  onChatChange,
+  onTurnApplied
+}) {
+  const [messages, setMessages] = useState(() => initialChat?.messages || [])
   const [input, setInput] = useState('')
   const [isLoading, setIsLoading] = useState(false)
-  const [conversationHistory, setConversationHistory] = useState([])
+  // Saved session the conversation continues; null until the first answer creates one
+  const [sessionId, setSessionId] = useState(() => initialChat?.sessionId ?? null)
+  // Saved sessions of this workbook, most recent first
+  const [sessions, setSessions] = useState([])
+  // In review mode changes are proposed for approval instead of applied right away
+  const [reviewMode, setReviewMode] = useState(false)
   const messagesEndRef = useRef(null)
+  const nextMessageId = useRef(0)
   const inputRef = useRef(null)
 
   const scrollToBottom = () => {
@@ -17,9 +41,145 @@ export default function ChatPanel({ getSpreadsheetData, applyChanges, activeShee
     scrollToBottom()
   }, [messages])
 
+  const refreshSessions = async () => {
+    try {
+      const list = await listSessions(workbookName)
+      setSessions(list)
+      return list
+    } catch (error) {
+      console.error('Sessions error:', error)
+      return []
+    }
+  }
+
+  const openSession = async (id) => {
+    try {
+      const session = await loadSession(id)
+      setSessionId(session.id)
+      setMessages(session.transcript.map(msg => ({ ...msg, timestamp: new Date(msg.timestamp) })))
+    } catch (error) {
+      console.error('Sessions error:', error)
+    }
+  }
+
+  const startNewSession = () => {
+    setSessionId(null)
+    setMessages([])
+  }
+
+  // Pick up the chat saved with the workbook in the browser or, for a new file,
+  // the latest conversation about the same workbook
+  useEffect(() => {
+    let cancelled = false
+    if (!initialChat) startNewSession()
+    listSessions(workbookName)
+      .then(list => {
+        if (cancelled) return
+        setSessions(list)
+        if (!initialChat && list.length > 0) openSession(list[0].id)
+      })
+      .catch(error => console.error('Sessions error:', error))
+    return () => { cancelled = true }
+  }, [workbookName])
+
+  // Report the chat once each answer is complete, so it is saved with the workbook
+  useEffect(() => {
+    if (isLoading) return
+    onChatChange?.({
+      sessionId,
+      messages: messages.map(({ role, content, toolCalls, timestamp }) => ({
+        role,
+        content,
+        toolCalls: toolCalls?.map(({ tool, input, error }) => ({ tool, input, error })),
+        timestamp
+      }))
+    })
+  }, [messages, sessionId, isLoading])
+
+  const handleRenameSession = async (id, title) => {
+    try {
+      await renameSession(id, title)
+    } catch (error) {
+      console.error('Sessions error:', error)
+    }
+    refreshSessions()
+  }
+
+  const handleDeleteSession = async (id) => {
+    try {
+      await deleteSession(id)
+      if (id === sessionId) startNewSession()
+    } catch (error) {
+      console.error('Sessions error:', error)
+    }
+    refreshSessions()
+  }
+
+  // Only one proposal can wait for a decision at a time
+  const pendingProposal = messages.find(msg => msg.proposal?.status === 'pending')?.proposal
+
+  // Highlight the selected proposed changes in the grid
+  useEffect(() => {
+    if (!onPreviewChanges) return
+    onPreviewChanges(pendingProposal
+      ? pendingProposal.changes.filter((_, idx) => pendingProposal.selected[idx])
+      : null)
+  }, [pendingProposal, onPreviewChanges])
+
+  const updateProposal = (messageId, update) => {
+    setMessages(prev => prev.map(msg => 
+      msg.id === messageId ? { ...msg, proposal: { ...msg.proposal, ...update(msg.proposal) } } : msg
+    ))
+  }
+
+  // Changes that rely on an earlier one are unselected with it, and can only be
+  // selected again once everything they rely on is
+  const toggleProposalChange = (messageId, idx) => {
+    updateProposal(messageId, proposal => {
+      const { dependencies = [] } = proposal
+      const selected = [...proposal.selected]
+      if (selected[idx]) {
+        selected[idx] = false
+        dependencies.forEach((needed, j) => {
+          if (needed.includes(idx)) selected[j] = false
+        })
+      } else if ((dependencies[idx] || []).every(i => selected[i])) {
+        selected[idx] = true
+      }
+      return { selected }
+    })
+  }
+
+  // mode: 'all' | 'selected' | 'none'
+  const resolveProposal = (message, mode) => {
+    const { changes, selected } = message.proposal
+    const accepted = mode === 'all' ? changes
+      : mode === 'selected' ? changes.filter((_, idx) => selected[idx])
+      : []
+
+    const selection = changes.map(change => accepted.includes(change))
+    try {
+      if (accepted.length > 0) {
+        applyChanges(accepted, { transactionId: message.id })
+        const request = messages[messages.findIndex(msg => msg.id === message.id) - 1]
+        onTurnApplied?.({ id: message.id, prompt: request?.content || 'Cambios aprobados' })
+      }
+    } catch (error) {
+      // Changes before the failing one are already in; the turn's undo takes them back
+      console.error('Change error:', error)
+      updateProposal(message.id, () => ({ status: 'failed', error: error.message, selected: selection }))
+      return
+    }
+
+    const status = accepted.length === 0 ? 'rejected'
+      : accepted.length === changes.length ? 'applied'
+      : 'partial'
+    updateProposal(message.id, () => ({ status, selected: selection }))
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
-    if (!input.trim() || isLoading) return
+    if (!input.trim() || isLoading || pendingProposal) return
 
     const userMessage = input.trim()
     setInput('')
@@ -33,6 +193,25 @@ export default function ChatPanel({ getSpreadsheetData, applyChanges, activeShee
 
     setIsLoading(true)
 
+    // Placeholder that fills in as the response streams
+    const assistantId = nextMessageId.current++
+    setMessages(prev => [...prev, {
+      id: assistantId,
+      role: 'assistant',
+      content: '',
+      toolCalls: [],
+      streaming: true,
+      timestamp: new Date()
+    }])
+
+    const updateAssistant = (update) => {
+      setMessages(prev => prev.map(msg => 
+        msg.id === assistantId ? { ...msg, ...update(msg) } : msg
+      ))
+    }
+
+    const proposedChanges = []
+
     try {
       // Get current spreadsheet data
       const spreadsheetData = getSpreadsheetData()
@@ -40,48 +219,123 @@ export default function ChatPanel({ getSpreadsheetData, applyChanges, activeShee
       const response = await fetch('/api/chat', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
+        // Dates go as the local date they show, not shifted to UTC
         body: JSON.stringify({
           message: userMessage,
           spreadsheetData,
-          conversationHistory
-        })
+          sessionId,
+          workbook: workbookName,
+          stream: true
+        }, dateReplacer)
       })
 
       if (!response.ok) {
+        // The session was deleted elsewhere: the next message starts a new one
+        if (response.status === 404) setSessionId(null)
         const errorData = await response.json()
         throw new Error(errorData.error || 'Failed to get response')
       }
 
-      const data = await response.json()
+      await readChatStream(response, (event) => {
+        switch (event.type) {
+          case 'text':
+            updateAssistant(msg => ({ content: msg.content + event.delta }))
+            break
 
-      // Apply changes to spreadsheet
-      if (data.changes && data.changes.length > 0) {
-        applyChanges(data.changes)
-      }
+          case 'tool_start':
+            updateAssistant(msg => ({
+              toolCalls: [...msg.toolCalls, { id: event.id, tool: event.tool, input: event.input, status: 'running' }]
+            }))
+            break
 
-      // Update conversation history
-      setConversationHistory(data.conversationHistory || [])
+          case 'tool_end':
+            updateAssistant(msg => ({
+              toolCalls: msg.toolCalls.map(tc => 
+                tc.id === event.id ? { ...tc, result: event.result, status: 'done' } : tc
+              )
+            }))
+            break
 
-      // Add assistant message to UI
-      setMessages(prev => [...prev, {
-        role: 'assistant',
-        content: data.message,
-        toolCalls: data.toolCalls,
-        timestamp: new Date()
-      }])
+          case 'change':
+            if (reviewMode) {
+              proposedChanges.push(event.change)
+            } else {
+              // Apply each edit as soon as it is produced. One that fails here is marked
+              // on the tool call that made it (changes follow their tool's end) and the
+              // rest of the response keeps streaming.
+              try {
+                applyChanges([event.change], { transactionId: assistantId })
+              } catch (error) {
+                console.error('Change error:', error)
+                updateAssistant(msg => ({
+                  toolCalls: msg.toolCalls.map((tc, idx) => idx === msg.toolCalls.length - 1
+                    ? { ...tc, status: 'failed', error: error.message }
+                    : tc)
+                }))
+              }
+            }
+            break
+
+          case 'done':
+            // The server saved the turn; a new session shows up in the list
+            if (event.sessionId) {
+              if (event.sessionId !== sessionId) refreshSessions()
+              setSessionId(event.sessionId)
+            }
+            updateAssistant(msg => ({
+              content: msg.content || event.message,
+              streaming: false,
+              proposal: proposedChanges.length > 0 ? {
+                changes: proposedChanges,
+                items: describeChanges(proposedChanges, spreadsheetData),
+                dependencies: findChangeDependencies(proposedChanges, spreadsheetData.sheets[spreadsheetData.activeSheet]?.name),
+                selected: proposedChanges.map(() => true),
+                status: 'pending'
+              } : undefined
+            }))
+            // Changes streamed in live all come before 'done', so the turn is complete.
+            // A failed or aborted turn gets no snapshot.
+            if (!reviewMode) onTurnApplied?.({ id: assistantId, prompt: userMessage })
+            break
+
+          case 'error':
+            throw new Error(event.error)
+        }
+      })
 
     } catch (error) {
       console.error('Chat error:', error)
+      // Keep whatever was streamed before the failure, drop an empty placeholder
+      setMessages(prev => prev
+        .filter(msg => msg.id !== assistantId || msg.content || msg.toolCalls.length > 0)
+        .map(msg => msg.id === assistantId ? { ...msg, streaming: false } : msg)
+      )
       setMessages(prev => [...prev, {
         role: 'error',
         content: error.message || 'An error occurred. Please try again.',
         timestamp: new Date()
       }])
     } finally {
+      updateAssistant(() => ({ streaming: false }))
       setIsLoading(false)
     }
   }
 
+  // Turns undo/redo as a stack: only the latest applied turn can be undone,
+  // only the earliest undone turn can be redone
+  const getTurnActions = (messageId) => {
+    const idx = turnHistory.findIndex(t => t.id === messageId)
+    if (idx === -1 || isLoading) return { undone: turnHistory[idx]?.undone }
+    const turn = turnHistory[idx]
+    const isLatestApplied = !turn.undone && turnHistory.slice(idx + 1).every(t => t.undone)
+    const isEarliestUndone = turn.undone && turnHistory.slice(0, idx).every(t => !t.undone)
+    return {
+      undone: turn.undone,
+      onUndo: isLatestApplied ? () => onUndoTurn(messageId) : null,
+      onRedo: isEarliestUndone ? () => onRedoTurn(messageId) : null
+    }
+  }
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -97,10 +351,32 @@ export default function ChatPanel({ getSpreadsheetData, applyChanges, activeShee
           <div className="w-8 h-8 rounded-lg bg-gradient-to-br from-accent to-success flex items-center justify-center">
             <Sparkles className="w-4 h-4 text-midnight" />
           </div>
-          <div>
+          <div className="flex-1 min-w-0">
             <h2 className="font-semibold text-white text-sm">Asistente de Tomi</h2>
             <p className="text-xs text-gray-500">Editando: {sheetName}</p>
           </div>
+          <SessionMenu
+            sessions={sessions}
+            currentId={sessionId}
+            disabled={isLoading || !!pendingProposal}
+            onOpen={refreshSessions}
+            onSelect={openSession}
+            onNew={startNewSession}
+            onRename={handleRenameSession}
+            onDelete={handleDeleteSession}
+          />
+          <button
+            onClick={() => setReviewMode(!reviewMode)}
+            title="Revisar los cambios antes de aplicarlos"
+            className={`flex items-center gap-1 px-2 py-1 rounded-lg text-xs transition-colors
+              ${reviewMode 
+                ? 'bg-warning/10 text-warning border border-warning/30' 
+                : 'text-gray-500 hover:text-gray-300 hover:bg-surface-light'
+              }`}
+          >
+            <ShieldCheck className="w-3 h-3" />
+            <span>Revisar</span>
+          </button>
         </div>
       </div>
 
@@ -137,18 +413,15 @@ export default function ChatPanel({ getSpreadsheetData, applyChanges, activeShee
         )}
 
         {messages.map((msg, idx) => (
-          <Message key={idx} message={msg} />
+          <Message 
+            key={idx} 
+            message={msg} 
+            turnActions={getTurnActions(msg.id)}
+            onToggleProposalChange={(changeIdx) => toggleProposalChange(msg.id, changeIdx)}
+            onResolveProposal={(mode) => resolveProposal(msg, mode)}
+          />
         ))}
 
-        {isLoading && (
-          <div className="flex items-center gap-3 text-gray-400">
-            <div className="w-8 h-8 rounded-lg bg-success/10 flex items-center justify-center">
-              <Loader2 className="w-4 h-4 text-success animate-spin" />
-            </div>
-            <span className="text-sm">Pensando...</span>
-          </div>
-        )}
-
         <div ref={messagesEndRef} />
       </div>
 
@@ -160,15 +433,15 @@ export default function ChatPanel({ getSpreadsheetData, applyChanges, activeShee
             value={input}
             onChange={(e) => setInput(e.target.value)}
             onKeyDown={handleKeyDown}
-            placeholder="Contame qué necesitás..."
+            placeholder={pendingProposal ? 'Aplicá o descartá los cambios propuestos...' : 'Contame qué necesitás...'}
             rows={2}
             className="w-full px-4 py-3 pr-12 bg-surface-light rounded-xl text-white placeholder-gray-500 
               resize-none focus:outline-none focus:ring-2 focus:ring-accent/50 text-sm"
-            disabled={isLoading}
+            disabled={isLoading || !!pendingProposal}
           />
           <button
             type="submit"
-            disabled={!input.trim() || isLoading}
+            disabled={!input.trim() || isLoading || !!pendingProposal}
             className="absolute right-2 bottom-2 p-2 rounded-lg bg-accent/10 text-accent 
               hover:bg-accent/20 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
           >
@@ -187,8 +460,120 @@ export default function ChatPanel({ getSpreadsheetData, applyChanges, activeShee
   )
 }
 
-function Message({ message }) {
+// Saved conversations of the workbook: resume, rename, delete or start a new one
+function SessionMenu({ sessions, currentId, disabled, onOpen, onSelect, onNew, onRename, onDelete }) {
+  const [isOpen, setIsOpen] = useState(false)
+  // Session being renamed: { id, title }
+  const [editing, setEditing] = useState(null)
+  const menuRef = useRef(null)
+
+  // Close on any click outside the menu or on Escape
+  useEffect(() => {
+    if (!isOpen) return
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false)
+    }
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+    window.addEventListener('mousedown', handleClick)
+    window.addEventListener('keydown', handleKey)
+    return () => {
+      window.removeEventListener('mousedown', handleClick)
+      window.removeEventListener('keydown', handleKey)
+    }
+  }, [isOpen])
+
+  const toggle = () => {
+    if (!isOpen) onOpen()
+    setIsOpen(!isOpen)
+    setEditing(null)
+  }
+
+  const choose = (action) => {
+    action()
+    setIsOpen(false)
+  }
+
+  const submitRename = (e) => {
+    e.preventDefault()
+    if (editing.title.trim()) onRename(editing.id, editing.title.trim())
+    setEditing(null)
+  }
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={toggle}
+        disabled={disabled}
+        title="Conversaciones guardadas"
+        className={`p-1.5 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+          ${isOpen ? 'bg-accent/10 text-accent' : 'text-gray-500 hover:text-gray-300 hover:bg-surface-light'}`}
+      >
+        <History className="w-4 h-4" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-2 z-50 w-72 rounded-xl bg-surface border border-surface-light shadow-xl">
+          <button
+            onClick={() => choose(onNew)}
+            className="flex items-center gap-2 w-full px-3 py-2 text-xs text-accent hover:bg-surface-light border-b border-surface-light transition-colors"
+          >
+            <MessageSquarePlus className="w-3.5 h-3.5" />
+            Nueva conversación
+          </button>
+          <div className="max-h-72 overflow-y-auto py-1">
+            {sessions.length === 0 ? (
+              <p className="px-3 py-2 text-xs text-gray-500">Todavía no hay conversaciones guardadas</p>
+            ) : sessions.map(session => editing?.id === session.id ? (
+              <form key={session.id} onSubmit={submitRename} className="px-3 py-1.5">
+                <input
+                  autoFocus
+                  value={editing.title}
+                  onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                  onBlur={submitRename}
+                  className="w-full px-2 py-1 rounded-md text-xs bg-midnight text-white outline-none border border-accent/50"
+                />
+              </form>
+            ) : (
+              <div
+                key={session.id}
+                className={`group flex items-center gap-2 px-3 py-1.5 hover:bg-surface-light ${session.id === currentId ? 'bg-accent/5' : ''}`}
+              >
+                <button onClick={() => choose(() => onSelect(session.id))} className="flex-1 min-w-0 text-left">
+                  <div className={`text-sm truncate ${session.id === currentId ? 'text-accent' : 'text-white'}`}>{session.title}</div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(session.updatedAt).toLocaleString('es-AR', { dateStyle: 'short', timeStyle: 'short' })}
+                    {' · '}{Math.ceil(session.messageCount / 2)} {session.messageCount > 2 ? 'mensajes' : 'mensaje'}
+                  </div>
+                </button>
+                <button
+                  onClick={() => setEditing({ id: session.id, title: session.title })}
+                  title="Renombrar"
+                  className="p-1 rounded text-gray-500 opacity-0 group-hover:opacity-100 hover:text-white transition-all"
+                >
+                  <Pencil className="w-3.5 h-3.5" />
+                </button>
+                <button
+                  onClick={() => onDelete(session.id)}
+                  title="Eliminar conversación"
+                  className="p-1 rounded text-gray-500 opacity-0 group-hover:opacity-100 hover:text-red-400 transition-all"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function Message({ message, turnActions = {}, onToggleProposalChange, onResolveProposal }) {
   const [showTools, setShowTools] = useState(false)
+  // Tool calls whose changes could not be applied to the grid
+  const failedCount = message.toolCalls?.filter(tc => tc.error).length || 0
   
   if (message.role === 'user') {
     return (
@@ -221,9 +606,73 @@ function Message({ message }) {
           <Bot className="w-4 h-4 text-success" />
         </div>
         <div className="flex-1 min-w-0">
-          <p className="text-white text-sm whitespace-pre-wrap">{message.content}</p>
+          {message.content ? (
+            <p className="text-white text-sm whitespace-pre-wrap">{message.content}</p>
+          ) : message.streaming && (
+            <p className="flex items-center gap-2 text-gray-400 text-sm">
+              <Loader2 className="w-4 h-4 text-success animate-spin" />
+              Pensando...
+            </p>
+          )}
           
-          {message.toolCalls && message.toolCalls.length > 0 && (
+          {/* Live tool activity while the response streams */}
+          {message.streaming && message.toolCalls?.length > 0 && (
+            <div className="mt-3 space-y-1">
+              {message.toolCalls.map(tc => (
+                <div key={tc.id} className="flex items-center gap-2 text-xs text-gray-400">
+                  {tc.status === 'running' ? (
+                    <Loader2 className="w-3 h-3 text-accent animate-spin flex-shrink-0" />
+                  ) : tc.status === 'failed' ? (
+                    <X className="w-3 h-3 text-red-400 flex-shrink-0" />
+                  ) : (
+                    <Check className="w-3 h-3 text-success flex-shrink-0" />
+                  )}
+                  <span className="font-mono text-accent">{tc.tool}</span>
+                  <span className="truncate text-gray-500">{summarizeToolInput(tc.input)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {message.proposal && (
+            <ChangeReview
+              proposal={message.proposal}
+              onToggle={onToggleProposalChange}
+              onAcceptAll={() => onResolveProposal('all')}
+              onAcceptSelected={() => onResolveProposal('selected')}
+              onRejectAll={() => onResolveProposal('none')}
+            />
+          )}
+
+          {(turnActions.onUndo || turnActions.onRedo || turnActions.undone) && (
+            <div className="flex items-center gap-2 mt-3">
+              {turnActions.undone && (
+                <span className="text-xs text-gray-500">Cambios deshechos</span>
+              )}
+              {turnActions.onUndo && (
+                <button
+                  onClick={turnActions.onUndo}
+                  className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-gray-400 
+                    hover:text-warning hover:bg-warning/10 transition-colors"
+                >
+                  <Undo2 className="w-3 h-3" />
+                  Deshacer
+                </button>
+              )}
+              {turnActions.onRedo && (
+                <button
+                  onClick={turnActions.onRedo}
+                  className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-gray-400 
+                    hover:text-accent hover:bg-accent/10 transition-colors"
+                >
+                  <Redo2 className="w-3 h-3" />
+                  Rehacer
+                </button>
+              )}
+            </div>
+          )}
+
+          {!message.streaming && message.toolCalls && message.toolCalls.length > 0 && (
             <button
               onClick={() => setShowTools(!showTools)}
               className="flex items-center gap-1 mt-3 text-xs text-gray-500 hover:text-gray-300 transition-colors"
@@ -231,10 +680,15 @@ function Message({ message }) {
               {showTools ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
               <Wrench className="w-3 h-3" />
               <span>{message.toolCalls.length} {message.toolCalls.length > 1 ? 'acciones' : 'acción'}</span>
+              {failedCount > 0 && (
+                <span className="text-red-400">
+                  · {failedCount} {failedCount > 1 ? 'no se aplicaron' : 'no se aplicó'}
+                </span>
+              )}
             </button>
           )}
           
-          {showTools && message.toolCalls && (
+          {showTools && !message.streaming && message.toolCalls && (
             <div className="mt-2 space-y-2">
               {message.toolCalls.map((tc, idx) => (
                 <div key={idx} className="text-xs bg-surface-light rounded-lg p-2">
@@ -242,6 +696,9 @@ function Message({ message }) {
                   <div className="text-gray-500 mt-1 truncate">
                     {JSON.stringify(tc.input)}
                   </div>
+                  {tc.error && (
+                    <div className="text-red-400 mt-1">No se pudo aplicar: {tc.error}</div>
+                  )}
                 </div>
               ))}
             </div>
@@ -252,6 +709,15 @@ function Message({ message }) {
   )
 }
 
+// Short one-line description of a tool call's arguments
+function summarizeToolInput(input) {
+  if (!input) return ''
+  return Object.entries(input)
+    .filter(([key]) => key !== 'sheet')
+    .map(([, value]) => typeof value === 'string' ? value : JSON.stringify(value))
+    .join(' · ')
+}
+
 function SuggestionButton({ onClick, text }) {
   return (
     <button
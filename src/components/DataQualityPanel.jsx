@@ -0,0 +1,115 @@
+import { useState, useEffect, useRef } from 'react'
+import { ClipboardCheck, RefreshCw, CircleAlert, Copy, Type, Square, TrendingUp } from 'lucide-react'
+import { profileColumns, findDataIssues } from '../utils/columnProfile'
+
+const KIND_ICONS = { errors: CircleAlert, mixed: Type, empty: Square, duplicates: Copy, outliers: TrendingUp }
+const KIND_COLORS = { errors: 'text-red-400', mixed: 'text-warning', empty: 'text-gray-400', duplicates: 'text-accent', outliers: 'text-warning' }
+
+// Cell links shown per issue before "y más"
+const SHOWN_CELLS = 8
+
+export default function DataQualityPanel({ sheetName, getValues, onSelectCell }) {
+  const [isOpen, setIsOpen] = useState(false)
+  // Checks of the sheet as it was when the panel opened: { sheetName, rows, issues }
+  const [report, setReport] = useState(null)
+  const panelRef = useRef(null)
+
+  // Close on any click outside the panel or on Escape
+  useEffect(() => {
+    if (!isOpen) return
+    const handleClick = (e) => {
+      if (!panelRef.current?.contains(e.target)) setIsOpen(false)
+    }
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+    window.addEventListener('mousedown', handleClick)
+    window.addEventListener('keydown', handleKey)
+    return () => {
+      window.removeEventListener('mousedown', handleClick)
+      window.removeEventListener('keydown', handleKey)
+    }
+  }, [isOpen])
+
+  const analyze = () => {
+    const profile = profileColumns(getValues())
+    setReport({ sheetName, rows: profile.rows, issues: findDataIssues(profile) })
+  }
+
+  const toggle = () => {
+    if (!isOpen) analyze()
+    setIsOpen(!isOpen)
+  }
+
+  // Stale once the user switches sheets with the panel open
+  useEffect(() => {
+    if (isOpen && report && report.sheetName !== sheetName) analyze()
+  }, [isOpen, sheetName])
+
+  return (
+    <div ref={panelRef} className="relative">
+      <button
+        onClick={toggle}
+        className={`flex items-center gap-2 px-4 py-2.5 rounded-xl text-sm font-medium border transition-all
+          ${isOpen
+            ? 'bg-accent/10 text-accent border-accent/30'
+            : 'text-gray-400 border-surface-light hover:text-white hover:bg-surface-light'
+          }`}
+      >
+        <ClipboardCheck className="w-4 h-4" />
+        <span>Calidad de datos</span>
+      </button>
+
+      {isOpen && report && (
+        <div className="absolute right-0 top-full mt-2 z-50 w-96 rounded-xl bg-surface border border-surface-light shadow-xl">
+          <div className="flex items-center justify-between px-3 py-2 border-b border-surface-light">
+            <span className="text-xs text-gray-400 truncate">
+              "{report.sheetName}" · {report.rows} {report.rows === 1 ? 'fila' : 'filas'} de datos
+            </span>
+            <button
+              onClick={analyze}
+              title="Volver a revisar"
+              className="p-1 rounded text-gray-500 hover:text-white transition-colors"
+            >
+              <RefreshCw className="w-3.5 h-3.5" />
+            </button>
+          </div>
+          <div className="max-h-96 overflow-y-auto py-1">
+            {report.issues.length === 0 ? (
+              <p className="px-3 py-2 text-xs text-gray-500">No se encontraron problemas en esta hoja</p>
+            ) : report.issues.map((issue, i) => {
+              const Icon = KIND_ICONS[issue.kind]
+              return (
+                <div key={i} className="flex gap-2 px-3 py-2 hover:bg-surface-light">
+                  <Icon className={`w-4 h-4 mt-0.5 shrink-0 ${KIND_COLORS[issue.kind]}`} />
+                  <div className="min-w-0">
+                    <div className="text-sm text-white">
+                      <span className="font-mono text-gray-400">{issue.column}</span>
+                      {issue.header !== '' && <span className="text-gray-400"> ({String(issue.header)})</span>}
+                      {': '}{issue.message}
+                    </div>
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {issue.cells.slice(0, SHOWN_CELLS).map(cell => (
+                        <button
+                          key={cell}
+                          onClick={() => onSelectCell(cell)}
+                          title="Ir a la celda"
+                          className="px-1.5 py-0.5 rounded text-xs font-mono bg-midnight text-accent hover:bg-accent/20 transition-colors"
+                        >
+                          {cell}
+                        </button>
+                      ))}
+                      {(issue.cells.length > SHOWN_CELLS || issue.count > issue.cells.length) && (
+                        <span className="px-1 py-0.5 text-xs text-gray-500">y más</span>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -14,7 +14,7 @@ export default function DownloadButton({ workbook, spreadsheetRef, activeSheet }
       const exportWorkbook = getExportData(spreadsheetRef, workbook, activeSheet)
       
       // Export using original file as base (preserves all Excel features)
-      downloadExcel(exportWorkbook, spreadsheetRef, workbook.fileName || 'export.xlsx')
+      await downloadExcel(exportWorkbook, spreadsheetRef, workbook.fileName || 'export.xlsx')
     } catch (error) {
       console.error('Export error:', error)
       alert('Error al exportar: ' + error.message)
@@ -0,0 +1,115 @@
+import { useState } from 'react'
+import { ListChecks, X } from 'lucide-react'
+
+export default function DropdownDialog({ range: initialRange, options: initialOptions = [], onSubmit, onClose }) {
+  const [range, setRange] = useState(initialRange)
+  // Where the options come from: 'options' (typed here) or 'range' (cells in the workbook)
+  const [source, setSource] = useState('options')
+  const [options, setOptions] = useState(initialOptions.join('\n'))
+  const [sourceRange, setSourceRange] = useState('')
+  const [allowOther, setAllowOther] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    try {
+      onSubmit({
+        range: range.trim().toUpperCase(),
+        ...(source === 'options'
+          ? { options: options.split('\n').map(option => option.trim()).filter(Boolean) }
+          : { sourceRange: sourceRange.trim() }),
+        allowOther
+      })
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-1.5 rounded-lg text-sm bg-midnight text-white outline-none border border-surface-light focus:border-accent/50'
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onMouseDown={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={(e) => e.key === 'Escape' && onClose()}
+        className="w-96 rounded-xl bg-surface border border-surface-light shadow-xl"
+      >
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-surface-light">
+          <ListChecks className="w-4 h-4 text-accent" />
+          <h2 className="flex-1 text-sm font-medium text-white">Lista desplegable</h2>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-white transition-colors">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex flex-col gap-3 px-4 py-3 text-sm text-gray-300">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-gray-500">Celdas</span>
+            <input
+              autoFocus
+              value={range}
+              onChange={(e) => { setRange(e.target.value); setError(null) }}
+              className={`${inputClass} font-mono`}
+            />
+          </label>
+
+          <div className="flex gap-4 text-xs">
+            <label className="flex items-center gap-1 cursor-pointer">
+              <input type="radio" checked={source === 'options'} onChange={() => setSource('options')} className="accent-accent" />
+              Opciones
+            </label>
+            <label className="flex items-center gap-1 cursor-pointer">
+              <input type="radio" checked={source === 'range'} onChange={() => setSource('range')} className="accent-accent" />
+              Rango de celdas
+            </label>
+          </div>
+
+          {source === 'options' ? (
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-500">Una opción por línea</span>
+              <textarea
+                rows={5}
+                value={options}
+                onChange={(e) => { setOptions(e.target.value); setError(null) }}
+                className={`${inputClass} resize-none`}
+              />
+            </label>
+          ) : (
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-gray-500">Rango con las opciones (ej: Listas!A2:A20)</span>
+              <input
+                value={sourceRange}
+                onChange={(e) => { setSourceRange(e.target.value); setError(null) }}
+                className={`${inputClass} font-mono`}
+              />
+            </label>
+          )}
+
+          <label className="flex items-center gap-2 text-xs cursor-pointer">
+            <input type="checkbox" checked={allowOther} onChange={(e) => setAllowOther(e.target.checked)} className="accent-accent" />
+            Permitir otros valores
+          </label>
+
+          {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+
+        <div className="flex justify-end gap-2 px-4 py-3 border-t border-surface-light">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-md text-xs text-gray-400 hover:text-white hover:bg-surface-light transition-colors"
+          >
+            Cancelar
+          </button>
+          <button
+            type="submit"
+            className="px-3 py-1.5 rounded-md text-xs bg-accent/10 text-accent hover:bg-accent/20 transition-colors"
+          >
+            Crear lista
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
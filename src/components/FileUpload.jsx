@@ -1,7 +1,15 @@
 import { useState, useCallback } from 'react'
-import { Upload, FileSpreadsheet, Loader2 } from 'lucide-react'
+import { Upload, FileSpreadsheet, Loader2, History, Trash2 } from 'lucide-react'
 
-export default function FileUpload({ onFileUpload, isLoading }) {
+export default function FileUpload({
+  onFileUpload,
+  isLoading,
+  recentWorkbooks = [],
+  offerRestore,
+  onDismissRestore,
+  onOpenRecent,
+  onDeleteRecent
+}) {
   const [isDragging, setIsDragging] = useState(false)
 
   const handleDrag = useCallback((e) => {
@@ -63,10 +71,37 @@ export default function FileUpload({ onFileUpload, isLoading }) {
            validExtensions.some(ext => file.name.toLowerCase().endsWith(ext))
   }
 
+  const latest = recentWorkbooks[0]
+
   return (
-    <div className="flex-1 flex items-center justify-center p-8">
+    <div className="flex-1 flex flex-col items-center justify-center gap-6 p-8 overflow-y-auto">
+      {/* Offer to continue with the workbook left open last time */}
+      {offerRestore && latest && !isLoading && (
+        <div className="w-full max-w-2xl flex items-center gap-4 px-4 py-3 rounded-xl bg-accent/10 border border-accent/30">
+          <History className="w-5 h-5 text-accent flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-white">¿Seguís donde quedaste?</p>
+            <p className="text-xs text-gray-400 truncate">
+              <span className="font-mono">{latest.fileName}</span> · guardado {formatSavedAt(latest.savedAt)}
+            </p>
+          </div>
+          <button
+            onClick={() => onOpenRecent(latest.id)}
+            className="px-3 py-1.5 rounded-lg bg-accent text-midnight text-sm font-medium hover:bg-accent/90 transition-colors"
+          >
+            Restaurar
+          </button>
+          <button
+            onClick={onDismissRestore}
+            className="px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:text-white hover:bg-surface-light transition-colors"
+          >
+            Ahora no
+          </button>
+        </div>
+      )}
+
       <div
-        className={`drop-zone w-full max-w-2xl aspect-[4/3] rounded-2xl border-2 border-dashed 
+        className={`drop-zone w-full max-w-2xl aspect-[4/3] flex-shrink-0 rounded-2xl border-2 border-dashed 
           ${isDragging ? 'active border-accent' : 'border-surface-light'} 
           flex flex-col items-center justify-center gap-6 transition-all duration-300
           ${isLoading ? 'pointer-events-none opacity-50' : 'cursor-pointer hover:border-accent/50'}`}
@@ -114,6 +149,40 @@ export default function FileUpload({ onFileUpload, isLoading }) {
           </div>
         )}
       </div>
+
+      {/* Workbooks saved in this browser */}
+      {recentWorkbooks.length > 0 && !isLoading && (
+        <div className="w-full max-w-2xl">
+          <h3 className="text-sm font-medium text-gray-400 mb-2">Recientes</h3>
+          <ul className="rounded-xl border border-surface-light divide-y divide-surface-light overflow-hidden">
+            {recentWorkbooks.map(recent => (
+              <li key={recent.id} className="group flex items-center gap-3 px-4 py-2.5 hover:bg-surface transition-colors">
+                <FileSpreadsheet className="w-4 h-4 text-gray-500 flex-shrink-0" />
+                <button
+                  onClick={() => onOpenRecent(recent.id)}
+                  className="flex-1 min-w-0 text-left"
+                >
+                  <div className="text-sm text-white font-mono truncate">{recent.fileName}</div>
+                  <div className="text-xs text-gray-500">
+                    {recent.sheetCount} {recent.sheetCount === 1 ? 'hoja' : 'hojas'} · {formatSavedAt(recent.savedAt)}
+                  </div>
+                </button>
+                <button
+                  onClick={() => onDeleteRecent(recent.id)}
+                  className="p-1.5 rounded text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                  title="Borrar del navegador"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   )
 }
+
+function formatSavedAt(date) {
+  return date.toLocaleString('es-AR', { dateStyle: 'short', timeStyle: 'short' })
+}
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react'
+import { Search, ChevronUp, ChevronDown, CaseSensitive, WholeWord, Regex, Replace, X } from 'lucide-react'
+
+export default function FindPanel({ total = 0, shown = 0, currentIndex = 0, onSearch, onNavigate, onReplaceAll, onClose }) {
+  const [query, setQuery] = useState('')
+  const [options, setOptions] = useState({ matchCase: false, wholeCell: false, regex: false, lookIn: 'values' })
+  const [showReplace, setShowReplace] = useState(false)
+  const [replacement, setReplacement] = useState('')
+  const [error, setError] = useState(null)
+  // Result of the last "replace all"
+  const [message, setMessage] = useState(null)
+
+  // Search again whenever the text or an option changes
+  useEffect(() => {
+    try {
+      onSearch(query ? { query, ...options } : null)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [query, options])
+
+  const toggle = (key) => {
+    setOptions({ ...options, [key]: !options[key] })
+    setMessage(null)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') onClose()
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      if (total > 0) onNavigate(e.shiftKey ? -1 : 1)
+    }
+  }
+
+  const replaceAll = () => {
+    try {
+      const count = onReplaceAll({ query, ...options }, replacement)
+      setMessage(count === 1 ? '1 celda reemplazada' : `${count} celdas reemplazadas`)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const optionClass = (active) => `p-1 rounded transition-colors ${active ? 'bg-accent/20 text-accent' : 'text-gray-500 hover:text-white'}`
+  const inputClass = 'flex-1 min-w-0 px-2 py-1 rounded-md text-sm bg-midnight text-white outline-none border border-surface-light focus:border-accent/50'
+
+  let status = ''
+  if (query && !error) {
+    status = total === 0 ? 'Sin resultados' : `${currentIndex + 1} de ${total}`
+    if (total > shown) status += ` (se muestran ${shown})`
+  }
+
+  return (
+    <div
+      onKeyDown={handleKeyDown}
+      className="absolute top-2 right-4 z-30 w-96 flex flex-col gap-2 p-2 rounded-xl bg-surface border border-surface-light shadow-xl"
+    >
+      <div className="flex items-center gap-1">
+        <button
+          onClick={() => setShowReplace(!showReplace)}
+          title="Reemplazar"
+          className={optionClass(showReplace)}
+        >
+          <Replace className="w-4 h-4" />
+        </button>
+        <input
+          autoFocus
+          placeholder="Buscar en el libro"
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setMessage(null) }}
+          className={inputClass}
+        />
+        <button onClick={() => toggle('matchCase')} title="Coincidir mayúsculas y minúsculas" className={optionClass(options.matchCase)}>
+          <CaseSensitive className="w-4 h-4" />
+        </button>
+        <button onClick={() => toggle('wholeCell')} title="Celda completa" className={optionClass(options.wholeCell)}>
+          <WholeWord className="w-4 h-4" />
+        </button>
+        <button onClick={() => toggle('regex')} title="Expresión regular" className={optionClass(options.regex)}>
+          <Regex className="w-4 h-4" />
+        </button>
+        <button onClick={onClose} title="Cerrar (Esc)" className="p-1 text-gray-500 hover:text-white transition-colors">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {showReplace && (
+        <div className="flex items-center gap-1 pl-7">
+          <input
+            placeholder="Reemplazar con"
+            value={replacement}
+            onChange={(e) => setReplacement(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            onClick={replaceAll}
+            disabled={!query || total === 0}
+            className="px-2 py-1 rounded-md text-xs bg-accent/10 text-accent hover:bg-accent/20 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+          >
+            Reemplazar todo
+          </button>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 pl-7 text-xs text-gray-500">
+        <Search className="w-3 h-3" />
+        <select
+          value={options.lookIn}
+          onChange={(e) => setOptions({ ...options, lookIn: e.target.value })}
+          className="bg-midnight text-gray-300 rounded px-1 py-0.5 outline-none border border-surface-light"
+        >
+          <option value="values">Valores</option>
+          <option value="formulas">Fórmulas</option>
+        </select>
+        <span className={`flex-1 truncate ${error ? 'text-red-400' : ''}`}>{error || message || status}</span>
+        <button onClick={() => onNavigate(-1)} disabled={total === 0} title="Anterior (Shift+Enter)" className="p-0.5 hover:text-white disabled:opacity-40">
+          <ChevronUp className="w-4 h-4" />
+        </button>
+        <button onClick={() => onNavigate(1)} disabled={total === 0} title="Siguiente (Enter)" className="p-0.5 hover:text-white disabled:opacity-40">
+          <ChevronDown className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,144 @@
+import { useState, useEffect, useRef } from 'react'
+import { Tag, Plus, Trash2 } from 'lucide-react'
+import { isBuiltInName } from '../utils/namedRanges'
+
+export default function NamedRangesPanel({ namedRanges = {}, getSelectedRange, onDefine, onDelete, onSelect }) {
+  const [isOpen, setIsOpen] = useState(false)
+  // New name being added: { name, range, error }
+  const [draft, setDraft] = useState(null)
+  const panelRef = useRef(null)
+
+  const names = Object.entries(namedRanges)
+    .filter(([name]) => !isBuiltInName(name))
+    .sort(([a], [b]) => a.localeCompare(b))
+
+  // Close on any click outside the panel or on Escape
+  useEffect(() => {
+    if (!isOpen) return
+    const handleClick = (e) => {
+      if (!panelRef.current?.contains(e.target)) setIsOpen(false)
+    }
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+    window.addEventListener('mousedown', handleClick)
+    window.addEventListener('keydown', handleKey)
+    return () => {
+      window.removeEventListener('mousedown', handleClick)
+      window.removeEventListener('keydown', handleKey)
+    }
+  }, [isOpen])
+
+  const toggle = () => {
+    setIsOpen(!isOpen)
+    setDraft(null)
+  }
+
+  // Start with the cells selected in the grid
+  const startDraft = () => {
+    setDraft({ name: '', range: getSelectedRange() || '', error: null })
+  }
+
+  const submitDraft = (e) => {
+    e.preventDefault()
+    try {
+      onDefine(draft.name.trim(), draft.range.trim())
+      setDraft(null)
+    } catch (error) {
+      setDraft({ ...draft, error: error.message })
+    }
+  }
+
+  const inputClass = 'w-full px-2 py-1 rounded-md text-xs bg-midnight text-white outline-none border border-surface-light focus:border-accent/50'
+
+  return (
+    <div ref={panelRef} className="relative">
+      <button
+        onClick={toggle}
+        className={`flex items-center gap-2 px-4 py-2.5 rounded-xl text-sm font-medium border transition-all
+          ${isOpen
+            ? 'bg-accent/10 text-accent border-accent/30'
+            : 'text-gray-400 border-surface-light hover:text-white hover:bg-surface-light'
+          }`}
+      >
+        <Tag className="w-4 h-4" />
+        <span>Nombres{names.length > 0 ? ` (${names.length})` : ''}</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-2 z-50 w-80 rounded-xl bg-surface border border-surface-light shadow-xl">
+          <div className="max-h-72 overflow-y-auto py-1">
+            {names.length === 0 ? (
+              <p className="px-3 py-2 text-xs text-gray-500">Todavía no hay rangos con nombre</p>
+            ) : names.map(([name, ref]) => (
+              <div key={name} className="group flex items-center gap-2 px-3 py-1.5 hover:bg-surface-light">
+                <button
+                  onClick={() => {
+                    onSelect(name)
+                    setIsOpen(false)
+                  }}
+                  title="Ir al rango"
+                  className="flex-1 min-w-0 text-left"
+                >
+                  <div className="text-sm text-white truncate">{name}</div>
+                  <div className="text-xs text-gray-500 font-mono truncate">{ref}</div>
+                </button>
+                <button
+                  onClick={() => onDelete(name)}
+                  title="Eliminar nombre"
+                  className="p-1 rounded text-gray-500 opacity-0 group-hover:opacity-100 hover:text-red-400 transition-all"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="border-t border-surface-light px-3 py-2">
+            {draft ? (
+              <form onSubmit={submitDraft} className="flex flex-col gap-2">
+                <input
+                  autoFocus
+                  placeholder="Nombre (ej: Ventas)"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value, error: null })}
+                  className={inputClass}
+                />
+                <input
+                  placeholder="Rango (ej: B2:B100 o Hoja2!A1)"
+                  value={draft.range}
+                  onChange={(e) => setDraft({ ...draft, range: e.target.value, error: null })}
+                  className={`${inputClass} font-mono`}
+                />
+                {draft.error && <p className="text-xs text-red-400">{draft.error}</p>}
+                <div className="flex justify-end gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setDraft(null)}
+                    className="px-2 py-1 rounded-md text-xs text-gray-400 hover:text-white hover:bg-surface-light transition-colors"
+                  >
+                    Cancelar
+                  </button>
+                  <button
+                    type="submit"
+                    className="px-2 py-1 rounded-md text-xs bg-accent/10 text-accent hover:bg-accent/20 transition-colors"
+                  >
+                    Guardar
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <button
+                onClick={startDraft}
+                className="flex items-center gap-1 text-xs text-accent hover:text-white transition-colors"
+              >
+                <Plus className="w-3 h-3" />
+                Nuevo nombre
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
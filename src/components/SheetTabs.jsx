@@ -1,22 +1,161 @@
-import { Table2 } from 'lucide-react'
+import { useState, useEffect, useRef } from 'react'
+import { Table2, Plus, Pencil, Copy, ArrowLeft, ArrowRight, Trash2 } from 'lucide-react'
+import { validateSheetName, nextSheetName } from '../utils/sheetOperations'
+
+export default function SheetTabs({ sheets, activeSheet, onSheetChange, onSheetOperation }) {
+  // Open context menu: { index, x, y }
+  const [menu, setMenu] = useState(null)
+  // Tab being renamed: { index, value, error }
+  const [renaming, setRenaming] = useState(null)
+  const menuRef = useRef(null)
+
+  // Close the menu on any click outside it or on Escape
+  useEffect(() => {
+    if (!menu) return
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setMenu(null)
+    }
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setMenu(null)
+    }
+    window.addEventListener('mousedown', handleClick)
+    window.addEventListener('keydown', handleKey)
+    return () => {
+      window.removeEventListener('mousedown', handleClick)
+      window.removeEventListener('keydown', handleKey)
+    }
+  }, [menu])
+
+  const openMenu = (e, index) => {
+    e.preventDefault()
+    setMenu({ index, x: e.clientX, y: e.clientY })
+  }
+
+  const runAction = (action) => {
+    const index = menu.index
+    const name = sheets[index].name
+    setMenu(null)
+
+    switch (action) {
+      case 'rename':
+        setRenaming({ index, value: name, error: null })
+        break
+      case 'duplicate':
+        onSheetOperation({ type: 'duplicateSheet', sheet: name, newName: nextSheetName(sheets, name) })
+        break
+      case 'moveLeft':
+        onSheetOperation({ type: 'moveSheet', sheet: name, index: index - 1 })
+        break
+      case 'moveRight':
+        onSheetOperation({ type: 'moveSheet', sheet: name, index: index + 1 })
+        break
+      case 'delete':
+        if (window.confirm(`¿Eliminar la hoja "${name}"? Las fórmulas que la usan van a quedar con #REF!`)) {
+          onSheetOperation({ type: 'deleteSheet', sheet: name })
+        }
+        break
+    }
+  }
+
+  const commitRename = () => {
+    if (!renaming) return
+    const { index, value } = renaming
+    const oldName = sheets[index].name
+    const newName = value.trim()
+    if (newName === oldName) {
+      setRenaming(null)
+      return
+    }
+    const error = validateSheetName(newName, sheets, oldName)
+    if (error) {
+      setRenaming({ ...renaming, error })
+      return
+    }
+    setRenaming(null)
+    onSheetOperation({ type: 'renameSheet', sheet: oldName, newName })
+  }
+
+  const addSheet = () => {
+    onSheetOperation({ type: 'addSheet', name: nextSheetName(sheets, `Hoja ${sheets.length + 1}`) })
+  }
+
+  const menuItems = menu ? [
+    { action: 'rename', label: 'Renombrar', icon: Pencil },
+    { action: 'duplicate', label: 'Duplicar', icon: Copy },
+    { action: 'moveLeft', label: 'Mover a la izquierda', icon: ArrowLeft, disabled: menu.index === 0 },
+    { action: 'moveRight', label: 'Mover a la derecha', icon: ArrowRight, disabled: menu.index === sheets.length - 1 },
+    { action: 'delete', label: 'Eliminar', icon: Trash2, disabled: sheets.length === 1, destructive: true }
+  ] : []
 
-export default function SheetTabs({ sheets, activeSheet, onSheetChange }) {
   return (
     <div className="flex items-center gap-1 px-4 py-2 bg-surface border-b border-surface-light overflow-x-auto">
       {sheets.map((sheet, index) => (
-        <button
-          key={index}
-          onClick={() => onSheetChange(index)}
-          className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all
-            ${index === activeSheet 
-              ? 'bg-accent/10 text-accent border border-accent/30' 
-              : 'text-gray-400 hover:text-white hover:bg-surface-light'
-            }`}
-        >
-          <Table2 className="w-4 h-4" />
-          <span className="whitespace-nowrap">{sheet.name}</span>
-        </button>
+        renaming?.index === index ? (
+          <input
+            key={index}
+            autoFocus
+            value={renaming.value}
+            onChange={(e) => setRenaming({ ...renaming, value: e.target.value, error: null })}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitRename()
+              if (e.key === 'Escape') setRenaming(null)
+            }}
+            onBlur={commitRename}
+            title={renaming.error || ''}
+            className={`px-3 py-1.5 w-40 rounded-lg text-sm bg-midnight text-white outline-none border
+              ${renaming.error ? 'border-red-500' : 'border-accent/50'}`}
+          />
+        ) : (
+          <button
+            key={index}
+            onClick={() => onSheetChange(index)}
+            onContextMenu={(e) => openMenu(e, index)}
+            onDoubleClick={() => setRenaming({ index, value: sheet.name, error: null })}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all
+              ${index === activeSheet
+                ? 'bg-accent/10 text-accent border border-accent/30'
+                : 'text-gray-400 hover:text-white hover:bg-surface-light'
+              }`}
+          >
+            <Table2 className="w-4 h-4" />
+            <span className="whitespace-nowrap">{sheet.name}</span>
+          </button>
+        )
       ))}
+
+      <button
+        onClick={addSheet}
+        title="Agregar hoja"
+        className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-surface-light transition-colors"
+      >
+        <Plus className="w-4 h-4" />
+      </button>
+
+      {renaming?.error && (
+        <span className="ml-2 text-xs text-red-400 whitespace-nowrap">{renaming.error}</span>
+      )}
+
+      {menu && (
+        <div
+          ref={menuRef}
+          style={{ left: menu.x, top: menu.y }}
+          className="fixed z-50 min-w-[180px] py-1 rounded-lg bg-surface border border-surface-light shadow-xl"
+        >
+          {menuItems.map(({ action, label, icon: Icon, disabled, destructive }) => (
+            <button
+              key={action}
+              disabled={disabled}
+              onClick={() => runAction(action)}
+              className={`w-full flex items-center gap-2 px-3 py-1.5 text-sm text-left transition-colors
+                disabled:opacity-40 disabled:cursor-not-allowed
+                ${destructive ? 'text-red-400 hover:bg-red-500/10' : 'text-gray-300 hover:bg-surface-light'}`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   )
 }
@@ -1,25 +1,113 @@
 import { useState, useEffect, useRef, forwardRef, useImperativeHandle, useMemo, useCallback } from 'react'
 import { HotTable } from '@handsontable/react'
 import { HyperFormula } from 'hyperformula'
+import { X } from 'lucide-react'
 import { registerAllModules } from 'handsontable/registry'
+import { getRenderer } from 'handsontable/renderers'
+import * as XLSX from 'xlsx'
 import 'handsontable/dist/handsontable.full.min.css'
-import { indexToColumnLetter, columnLetterToIndex, parseCellReference, parseRangeReference } from '../utils/excelParser'
+import { indexToColumnLetter, parseCellReference, parseRangeReference, parseRange } from '../utils/cellRefs'
+import { applyChangesToSheet, toCellValue } from '../utils/changeEngine'
+import { checkValidation } from '../utils/dataValidation'
+import { toGridNamedExpressions } from '../utils/namedRanges'
+import { getHiddenRows } from '../utils/sortFilter'
 
 // Register all Handsontable modules
 registerAllModules()
 
-const Spreadsheet = forwardRef(function Spreadsheet({ sheet }, ref) {
+const BORDER_WIDTHS = { thin: 1, medium: 2, thick: 3 }
+
+// Render a cell with its Excel style: number format, font, fill, alignment and borders.
+// Used for every cell, since Handsontable reuses <td> elements while scrolling.
+function styledRenderer(instance, td, row, col, prop, value, cellProperties) {
+  const style = cellProperties.cellStyle || {}
+
+  let displayValue = value
+  if (style.numFmt && (typeof value === 'number' || value instanceof Date)) {
+    try {
+      displayValue = XLSX.SSF.format(style.numFmt, value)
+    } catch {
+      displayValue = value
+    }
+  }
+  getRenderer(cellProperties.type === 'dropdown' ? 'dropdown' : 'text')(
+    instance, td, row, col, prop, displayValue, cellProperties
+  )
+
+  const isHighlighted = cellProperties.className?.startsWith('cell-proposed')
+  td.style.fontWeight = style.bold ? 'bold' : ''
+  td.style.fontStyle = style.italic ? 'italic' : ''
+  td.style.color = style.fontColor || ''
+  td.style.backgroundColor = style.fillColor && !isHighlighted ? style.fillColor : ''
+  td.style.textAlign = style.align || ''
+  td.style.boxShadow = style.border ? `inset 0 0 0 ${BORDER_WIDTHS[style.border]}px #000` : ''
+}
+
+// Handsontable validator for whole, decimal, date, time and textLength validations.
+// Operands that reference a cell read its computed value.
+function validationValidator(value, callback) {
+  const instance = this.instance
+  callback(checkValidation(this.validation, value, ref => {
+    const cell = parseCellReference(ref)
+    return cell ? instance.getDataAtCell(cell.row, cell.col) : undefined
+  }))
+}
+
+// Computed values in source row order, however the grid's rows are sorted or hidden
+function computedValues(hot) {
+  const { engine, sheetId } = hot.getPlugin('formulas')
+  return hot.getSourceData().map((row, r) => row.map((value, c) => {
+    const result = engine.getCellValue({ sheet: sheetId, row: r, col: c })
+    // Errors come back as objects; keep their text (#DIV/0!)
+    return result !== null && typeof result === 'object' && 'value' in result ? result.value : result
+  }))
+}
+
+// setRangeValues changes as [row, col, value] with source rows, the last write to a cell winning.
+// Null when a row is hidden by the grid's own filter, which the full update handles.
+function toCellUpdates(hot, changes) {
+  const cells = new Map()
+  for (const change of changes) {
+    const start = parseCellReference(change.cell || '')
+    if (!start) throw new Error(`Invalid cell "${change.cell}"`)
+    if (!Array.isArray(change.values) || change.values.some(row => !Array.isArray(row))) {
+      throw new Error('values must be an array of rows, each an array of values')
+    }
+    change.values.forEach((rowValues, i) => {
+      rowValues.forEach((value, j) => {
+        cells.set(`${start.row + i},${start.col + j}`, [start.row + i, start.col + j, toCellValue(value)])
+      })
+    })
+  }
+  const rowCount = hot.countSourceRows()
+  const updates = [...cells.values()]
+  return updates.every(([row]) => row >= rowCount || hot.toVisualRow(row) !== null) ? updates : null
+}
+
+const Spreadsheet = forwardRef(function Spreadsheet({ sheet, sheets, namedRanges, focusRange, highlights, searchHighlights, onColumnAction, onStructureChange, onValuesChange, onEdit }, ref) {
   const hotRef = useRef(null)
   const formulasRef = useRef({})
   const isApplyingChanges = useRef(false)
   const [selectedCell, setSelectedCell] = useState({ cell: '', value: '', formula: '' })
+  // Error message of the last value a validation rejected: { title, message }
+  const [validationError, setValidationError] = useState(null)
+  // Latest handlers, so the column menu and the engine listener below are only set up once
+  const onColumnActionRef = useRef(onColumnAction)
+  onColumnActionRef.current = onColumnAction
+  const onStructureChangeRef = useRef(onStructureChange)
+  onStructureChangeRef.current = onStructureChange
+  const onValuesChangeRef = useRef(onValuesChange)
+  onValuesChangeRef.current = onValuesChange
+  const onEditRef = useRef(onEdit)
+  onEditRef.current = onEdit
 
-  // Initialize formulas from sheet data on mount
+  // Initialize formulas from sheet data when a sheet is loaded or restored
   useEffect(() => {
     if (sheet?.formulas) {
       formulasRef.current = { ...sheet.formulas }
     }
-  }, [sheet?.name])
+    setValidationError(null)
+  }, [sheet])
 
   // Create HyperFormula instance - only once
   const hyperformulaInstance = useMemo(() => {
@@ -28,26 +116,105 @@ const Spreadsheet = forwardRef(function Spreadsheet({ sheet }, ref) {
     })
   }, [])
 
-  // Adjust formula row references (e.g., =A2-B2 becomes =A3-B3)
-  const adjustFormulaForRow = useCallback((formula, offset) => {
-    return formula.replace(/([A-Z]+)(\d+)/g, (match, col, row) => {
-      const newRow = parseInt(row, 10) + offset - 1
-      return col + newRow
+  // Defined names as HyperFormula named expressions, so =SUM(Ventas) works in the grid
+  useEffect(() => {
+    const hot = hotRef.current?.hotInstance
+    const engineSheetName = hot?.getPlugin('formulas').sheetName
+    if (!engineSheetName) return
+
+    const expressions = toGridNamedExpressions(namedRanges, {
+      sheets,
+      activeSheetName: sheet?.name,
+      engineSheetName
     })
-  }, [])
+    hyperformulaInstance.batch(() => {
+      hyperformulaInstance.listNamedExpressions().forEach(name => hyperformulaInstance.removeNamedExpression(name))
+      expressions.forEach(({ name, expression }) => {
+        if (hyperformulaInstance.isItPossibleToAddNamedExpression(name, expression)) {
+          hyperformulaInstance.addNamedExpression(name, expression)
+        }
+      })
+    })
+    hot.render()
+  }, [namedRanges, sheets, sheet?.name, hyperformulaInstance])
+
+  // Select a range asked for from outside, e.g. a defined name. With keepFocus the
+  // keyboard stays where it was (the find panel), so typing does not edit the grid.
+  useEffect(() => {
+    const hot = hotRef.current?.hotInstance
+    const range = focusRange && parseRangeReference(focusRange.range)
+    if (!hot || !range?.start || !range?.end) return
+    hot.selectCell(
+      hot.toVisualRow(range.start.row) ?? 0, range.start.col,
+      hot.toVisualRow(range.end.row) ?? 0, range.end.col,
+      true, !focusRange.keepFocus
+    )
+  }, [focusRange])
+
+  // Hide the rows the sheet's filter leaves out, like Excel's AutoFilter
+  useEffect(() => {
+    const hot = hotRef.current?.hotInstance
+    const plugin = hot?.getPlugin('hiddenRows')
+    if (!plugin) return
+    const hidden = getHiddenRows(computedValues(hot), sheet?.autoFilter)
+    plugin.showRows(plugin.getHiddenRows())
+    plugin.hideRows(hidden.map(row => hot.toVisualRow(row)).filter(row => row !== null))
+    hot.render()
+  }, [sheet?.autoFilter, sheet?.data])
+
+  // Report what the cells compute each time HyperFormula recalculates (e.g. for charts),
+  // at most once per frame
+  const wantsValues = Boolean(onValuesChange)
+  useEffect(() => {
+    if (!wantsValues) return
+    let frame = null
+    const notify = () => {
+      cancelAnimationFrame(frame)
+      frame = requestAnimationFrame(() => {
+        const hot = hotRef.current?.hotInstance
+        if (hot && !hot.isDestroyed) onValuesChangeRef.current?.(computedValues(hot))
+      })
+    }
+    hyperformulaInstance.on('valuesUpdated', notify)
+    notify()
+    return () => {
+      hyperformulaInstance.off('valuesUpdated', notify)
+      cancelAnimationFrame(frame)
+    }
+  }, [wantsValues, sheet, hyperformulaInstance])
 
   // Expose methods to parent
   useImperativeHandle(ref, () => ({
     getData: () => {
       const hot = hotRef.current?.hotInstance
       if (!hot) return sheet?.data || []
-      return hot.getData()
+      return computedValues(hot)
+    },
+    
+    // Raw cell contents (formulas as typed, not their results)
+    getSourceData: () => {
+      const hot = hotRef.current?.hotInstance
+      if (!hot) return sheet?.data || []
+      return hot.getSourceData()
     },
     
     getFormulas: () => {
       return { ...formulasRef.current }
     },
     
+    // Selected cells as "B2:C10" (or "B2"), or null when nothing is selected
+    getSelectedRange: () => {
+      const hot = hotRef.current?.hotInstance
+      const selection = hot?.getSelectedRangeLast()
+      if (!selection) return null
+      const from = selection.getTopStartCorner()
+      const to = selection.getBottomEndCorner()
+      const rowOf = (row) => (hot.toPhysicalRow(Math.max(row, 0)) ?? 0) + 1
+      const start = indexToColumnLetter(Math.max(from.col, 0)) + rowOf(from.row)
+      const end = indexToColumnLetter(Math.max(to.col, 0)) + rowOf(to.row)
+      return start === end ? start : `${start}:${end}`
+    },
+    
     applyChanges: (changes) => {
       const hot = hotRef.current?.hotInstance
       if (!hot) return
@@ -56,77 +223,25 @@ const Spreadsheet = forwardRef(function Spreadsheet({ sheet }, ref) {
       isApplyingChanges.current = true
       
       try {
-        changes.forEach(change => {
-          const { type, cell, value, formula, range, afterColumn, header } = change
-          
-          switch (type) {
-            case 'setCellValue': {
-              const cellRef = parseCellReference(cell)
-              if (cellRef) {
-                hot.setDataAtCell(cellRef.row, cellRef.col, value, 'programmatic')
-              }
-              break
-            }
-            
-            case 'setFormula': {
-              const cellRef = parseCellReference(cell)
-              if (cellRef) {
-                formulasRef.current[cell] = formula
-                hot.setDataAtCell(cellRef.row, cellRef.col, formula, 'programmatic')
-              }
-              break
-            }
-            
-            case 'insertColumn': {
-              const colIndex = afterColumn ? 
-                afterColumn.charCodeAt(0) - 64 :
-                hot.countCols()
-              hot.alter('insert_col_start', colIndex)
-              if (header) {
-                hot.setDataAtCell(0, colIndex, header, 'programmatic')
-              }
-              break
-            }
-            
-            case 'insertRow': {
-              const rowIndex = change.afterRow || hot.countRows()
-              hot.alter('insert_row_below', rowIndex)
-              break
-            }
-            
-            case 'applyFormulaToRange': {
-              const rangeRef = parseRangeReference(range)
-              if (rangeRef) {
-                const { start, end } = rangeRef
-                const cellChanges = []
-                for (let r = start.row; r <= end.row; r++) {
-                  const adjustedFormula = adjustFormulaForRow(formula, r - start.row + 1)
-                  const cellRefStr = indexToColumnLetter(start.col) + (r + 1)
-                  formulasRef.current[cellRefStr] = adjustedFormula
-                  cellChanges.push([r, start.col, adjustedFormula])
-                }
-                hot.setDataAtCell(cellChanges, 'programmatic')
-              }
-              break
-            }
-            
-            case 'deleteColumn': {
-              const cellRef = parseCellReference(cell || 'A1')
-              if (cellRef) {
-                hot.alter('remove_col', cellRef.col)
-              }
-              break
-            }
-            
-            case 'deleteRow': {
-              const rowNum = change.row || 0
-              hot.alter('remove_row', rowNum)
-              break
-            }
-          }
-        })
-        
-        hot.render()
+        // Blocks of values go straight into their cells in one batch, without reloading the grid
+        const cells = changes.every(change => change.type === 'setRangeValues') && toCellUpdates(hot, changes)
+        if (cells) {
+          cells.forEach(([row, col, value]) => {
+            const cellRef = indexToColumnLetter(col) + (row + 1)
+            if (typeof value === 'string' && value.startsWith('=')) formulasRef.current[cellRef] = value
+            else delete formulasRef.current[cellRef]
+          })
+          hot.setDataAtCell(cells.map(([row, col, value]) => [hot.toVisualRow(row) ?? row, col, value]), 'programmatic')
+          return
+        }
+
+        // Same engine as background sheets, run on the grid's raw contents
+        const { data, formulas } = applyChangesToSheet(
+          { name: sheet?.name, data: hot.getSourceData(), formulas: formulasRef.current },
+          changes
+        )
+        formulasRef.current = formulas
+        hot.updateData(data, 'programmatic')
       } finally {
         // Reset flag after a short delay to allow React to settle
         setTimeout(() => {
@@ -160,7 +275,7 @@ const Spreadsheet = forwardRef(function Spreadsheet({ sheet }, ref) {
       }
       return data
     }
-  }), [sheet, adjustFormulaForRow])
+  }), [sheet])
 
   // Handle cell changes - only for user edits
   const handleAfterChange = useCallback((changes, source) => {
@@ -172,68 +287,182 @@ const Spreadsheet = forwardRef(function Spreadsheet({ sheet }, ref) {
     const hot = hotRef.current?.hotInstance
     if (!hot || !changes) return
     
-    // Update formulas ref for any formula changes
+    // Update formulas ref for any formula changes; rows may be sorted or hidden, so use source rows
     changes.forEach(([row, col, oldValue, newValue]) => {
-      const cellRef = indexToColumnLetter(col) + (row + 1)
+      const cellRef = indexToColumnLetter(col) + (hot.toPhysicalRow(row) + 1)
       if (typeof newValue === 'string' && newValue.startsWith('=')) {
         formulasRef.current[cellRef] = newValue
       } else if (formulasRef.current[cellRef]) {
         delete formulasRef.current[cellRef]
       }
     })
+    onEditRef.current?.()
+  }, [])
+
+  // Rows and columns the grid adds by itself, e.g. when pasting past the last row
+  const handleStructureChange = useCallback(() => {
+    onEditRef.current?.()
   }, [])
 
-  // Generate column headers (A, B, C, ... AA, AB, etc.)
-  const colHeaders = useMemo(() => {
-    const numCols = sheet?.data?.[0]?.length || 26
-    return Array.from({ length: numCols }, (_, i) => indexToColumnLetter(i))
-  }, [sheet?.data?.[0]?.length])
+  // Column headers (A, B, C, ... AA, AB, etc.), also for columns inserted after loading
+  const colHeaders = useCallback((index) => indexToColumnLetter(index), [])
 
-  // Parse dropdown configurations from sheet.dropdowns
-  const dropdownColumns = useMemo(() => {
-    if (!sheet?.dropdowns || sheet.dropdowns.length === 0) return {}
-    
-    const config = {}
-    sheet.dropdowns.forEach(dropdown => {
-      // Parse range like "D2:D501" to get column
-      const rangeMatch = dropdown.range.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/)
-      if (rangeMatch) {
-        const colLetter = rangeMatch[1]
-        const colIndex = columnLetterToIndex(colLetter)
-        const startRow = parseInt(rangeMatch[2]) - 1
-        const endRow = parseInt(rangeMatch[4]) - 1
-        
-        config[colIndex] = {
-          options: dropdown.options,
-          startRow,
-          endRow,
-          listName: dropdown.listName
+  // Cell bounds of the sheet's dropdowns and other validations
+  const validationRanges = useMemo(() => {
+    const ranges = []
+    const addRange = (range, entry) => {
+      const bounds = parseRange(range)
+      if (bounds) ranges.push({ ...bounds, ...entry })
+    }
+    ;(sheet?.dropdowns || []).forEach(dropdown => addRange(dropdown.range, { dropdown }))
+    ;(sheet?.validations || []).forEach(validation => addRange(validation.range, { validation }))
+    return ranges
+  }, [sheet?.dropdowns, sheet?.validations])
+
+  const validationAt = useCallback((row, col) => validationRanges.find(range =>
+    row >= range.startRow && row <= range.endRow && col >= range.startCol && col <= range.endCol
+  ), [validationRanges])
+
+  // Insert and delete rows and columns as changes for the change engine, like the AI's,
+  // so formulas, styles, dropdowns and defined names move along with the cells
+  const structureItems = useMemo(() => {
+    // Selected source rows or columns, in order
+    const selectedIndices = (selection, axis) => {
+      const hot = hotRef.current?.hotInstance
+      const indices = new Set()
+      selection.forEach(({ start, end }) => {
+        for (let i = Math.max(Math.min(start[axis], end[axis]), 0); i <= Math.max(start[axis], end[axis]); i++) {
+          indices.add(axis === 'row' ? hot.toPhysicalRow(i) : i)
         }
+      })
+      return [...indices].filter(index => index !== null).sort((a, b) => a - b)
+    }
+    const item = (key, name, toChanges, disabled) => ({
+      key,
+      name,
+      disabled,
+      callback: (menuKey, selection) => {
+        const changes = toChanges(selection)
+        if (changes.length > 0) onStructureChangeRef.current?.(changes)
       }
     })
-    return config
-  }, [sheet?.dropdowns])
+    const first = (selection, axis) => selectedIndices(selection, axis).slice(0, 1)
+    const last = (selection, axis) => selectedIndices(selection, axis).slice(-1)
+    // Like Handsontable's own items: a whole column selected is not a place for rows, nor the other way round
+    const byColumnHeader = () => hotRef.current?.hotInstance.selection.isSelectedByColumnHeader()
+    const byRowHeader = () => hotRef.current?.hotInstance.selection.isSelectedByRowHeader()
+    return {
+      rowAbove: item('insert_row_above', 'Insertar fila arriba',
+        selection => first(selection, 'row').map(row => ({ type: 'insertRow', afterRow: row })), byColumnHeader),
+      rowBelow: item('insert_row_below', 'Insertar fila abajo',
+        selection => last(selection, 'row').map(row => ({ type: 'insertRow', afterRow: row + 1 })), byColumnHeader),
+      // insertColumn goes after a column, so there is no inserting before A
+      colLeft: item('insert_col_left', 'Insertar columna a la izquierda',
+        selection => first(selection, 'col').map(col => ({ type: 'insertColumn', afterColumn: indexToColumnLetter(col - 1) })),
+        () => byRowHeader() || (hotRef.current?.hotInstance.getSelectedRangeLast()?.getTopStartCorner().col ?? 0) <= 0),
+      colRight: item('insert_col_right', 'Insertar columna a la derecha',
+        selection => last(selection, 'col').map(col => ({ type: 'insertColumn', afterColumn: indexToColumnLetter(col) })), byRowHeader),
+      // Last first, so each deletion leaves the rows and columns still to delete in place
+      removeRows: item('delete_rows', 'Eliminar filas',
+        selection => selectedIndices(selection, 'row').reverse().map(row => ({ type: 'deleteRow', row })), byColumnHeader),
+      removeCols: item('delete_cols', 'Eliminar columnas',
+        selection => selectedIndices(selection, 'col').reverse().map(col => ({ type: 'deleteColumn', cell: `${indexToColumnLetter(col)}1` })), byRowHeader)
+    }
+  }, [])
+
+  // Cell menu: rows and columns, undo and Handsontable's cell options
+  const contextMenu = useMemo(() => ({
+    items: [
+      structureItems.rowAbove, structureItems.rowBelow, '---------',
+      structureItems.colLeft, structureItems.colRight, '---------',
+      structureItems.removeRows, structureItems.removeCols, '---------',
+      'undo', 'redo', '---------', 'make_read_only', '---------', 'alignment'
+    ]
+  }), [structureItems])
+
+  // Column menu: columns, Handsontable's defaults and filters, plus dropdown list actions
+  const dropdownMenu = useMemo(() => {
+    const columnAction = (action) => (key, selection) => {
+      onColumnActionRef.current?.(action, selection[0].start.col)
+    }
+    return {
+      items: [
+        structureItems.colLeft, structureItems.colRight, '---------', structureItems.removeCols, '---------', 'clear_column', '---------',
+        'make_read_only', '---------', 'alignment', '---------',
+        { key: 'create_dropdown', name: 'Crear lista desplegable…', callback: columnAction('createDropdown') },
+        { key: 'remove_dropdown', name: 'Quitar lista desplegable', callback: columnAction('removeDropdown') },
+        '---------',
+        'filter_by_condition', 'filter_operators', 'filter_by_condition2', 'filter_by_value', 'filter_action_bar'
+      ]
+    }
+  }, [structureItems])
 
-  // Cell renderer to apply dropdown type to specific cells
+  // Cell properties: Excel styles, dropdown type, change-review and search highlights
   const cells = useCallback((row, col) => {
-    const dropdownConfig = dropdownColumns[col]
-    if (dropdownConfig && row >= dropdownConfig.startRow && row <= dropdownConfig.endRow) {
-      return {
+    const cellProperties = {
+      renderer: styledRenderer,
+      cellStyle: sheet?.styles?.[indexToColumnLetter(col) + (row + 1)]
+    }
+
+    const entry = validationAt(row, col)
+    if (entry?.dropdown?.options.length > 0) {
+      const { options, allowOther, errorStyle = 'stop' } = entry.dropdown
+      Object.assign(cellProperties, {
         type: 'dropdown',
-        source: dropdownConfig.options,
-        strict: false, // Allow values not in the list
-        allowInvalid: true
+        source: options,
+        strict: !allowOther,
+        // Excel's "stop" rejects the value; "warning" and "information" keep it, marked invalid
+        allowInvalid: allowOther || errorStyle !== 'stop'
+      })
+    } else if (entry?.validation && entry.validation.showErrorMessage) {
+      Object.assign(cellProperties, {
+        validator: validationValidator,
+        validation: entry.validation,
+        allowInvalid: entry.validation.errorStyle !== 'stop'
+      })
+    }
+
+    if (highlights) {
+      if (highlights.rows.has(row) || highlights.columns.has(col)) {
+        cellProperties.className = 'cell-proposed-delete'
+      } else if (highlights.cells.has(`${row},${col}`)) {
+        cellProperties.className = 'cell-proposed'
+      }
+    }
+
+    if (searchHighlights && !cellProperties.className) {
+      if (searchHighlights.current === `${row},${col}`) {
+        cellProperties.className = 'cell-search-current'
+      } else if (searchHighlights.cells.has(`${row},${col}`)) {
+        cellProperties.className = 'cell-search-match'
       }
     }
-    return {}
-  }, [dropdownColumns])
+
+    return cellProperties
+  }, [validationAt, highlights, searchHighlights, sheet?.styles])
+
+  // Show the file's error message when an edit fails its validation
+  const handleAfterValidate = useCallback((isValid, value, row, prop) => {
+    if (isValid) {
+      setValidationError(null)
+      return
+    }
+    const hot = hotRef.current?.hotInstance
+    const col = typeof prop === 'number' ? prop : hot?.propToCol(prop)
+    const entry = validationAt(hot ? hot.toPhysicalRow(row) : row, col)
+    const { errorTitle, error } = entry?.dropdown || entry?.validation || {}
+    setValidationError({
+      title: errorTitle || '',
+      message: error || (entry?.dropdown ? 'El valor no está en la lista' : 'El valor no cumple la validación de la celda')
+    })
+  }, [validationAt])
 
   // Handle cell selection to show formula
   const handleAfterSelectionEnd = useCallback((row, col) => {
     const hot = hotRef.current?.hotInstance
     if (!hot) return
     
-    const cellRef = indexToColumnLetter(col) + (row + 1)
+    const cellRef = indexToColumnLetter(col) + (hot.toPhysicalRow(row) + 1)
     const cellValue = hot.getDataAtCell(row, col)
     const formula = formulasRef.current[cellRef] || ''
     
@@ -259,6 +488,18 @@ const Spreadsheet = forwardRef(function Spreadsheet({ sheet }, ref) {
         </div>
       </div>
       
+      {validationError && (
+        <div className="flex items-center gap-2 px-3 py-1.5 bg-red-500/10 border-b border-red-500/20 text-xs text-red-400">
+          <span className="flex-1">
+            {validationError.title && <strong className="mr-1">{validationError.title}:</strong>}
+            {validationError.message}
+          </span>
+          <button onClick={() => setValidationError(null)} className="hover:text-white transition-colors">
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      )}
+      
       {/* Spreadsheet */}
       <div className="flex-1 overflow-hidden">
         <HotTable
@@ -277,12 +518,18 @@ const Spreadsheet = forwardRef(function Spreadsheet({ sheet }, ref) {
           autoWrapCol={true}
           manualColumnResize={true}
           manualRowResize={true}
-          contextMenu={true}
-          dropdownMenu={true}
+          contextMenu={contextMenu}
+          dropdownMenu={dropdownMenu}
           filters={true}
+          hiddenRows={{ indicators: true }}
           multiColumnSorting={true}
           undo={true}
           afterChange={handleAfterChange}
+          afterCreateRow={handleStructureChange}
+          afterRemoveRow={handleStructureChange}
+          afterCreateCol={handleStructureChange}
+          afterRemoveCol={handleStructureChange}
+          afterValidate={handleAfterValidate}
           afterSelectionEnd={handleAfterSelectionEnd}
           cells={cells}
           className="htDark"
@@ -0,0 +1,299 @@
+import { useState, useEffect, useRef } from 'react'
+import { History, BookmarkPlus, Bookmark, Sparkles, FileSpreadsheet, GitCompare, RotateCcw, X } from 'lucide-react'
+import { diffWorkbooks } from '../utils/workbookDiff'
+
+const KIND_ICONS = { original: FileSpreadsheet, turn: Sparkles, restore: RotateCcw, checkpoint: Bookmark }
+const KIND_COLORS = { original: 'text-success', turn: 'text-accent', restore: 'text-gray-400', checkpoint: 'text-warning' }
+const STATUS_LABELS = { added: 'hoja nueva', removed: 'hoja eliminada', renamed: 'renombrada', changed: 'modificada' }
+
+// Changed cells listed per sheet before "y N más"
+const SHOWN_CELLS = 200
+
+export default function VersionHistoryPanel({ snapshots, maxSnapshots, getCurrent, onCreate, onRestore, onSelectCell }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [name, setName] = useState('')
+  // Snapshots picked to compare with each other, at most two
+  const [selected, setSelected] = useState([])
+  // Open comparison: { from, to, diff, isCurrent }
+  const [comparison, setComparison] = useState(null)
+  const panelRef = useRef(null)
+
+  // Close on any click outside the panel or on Escape
+  useEffect(() => {
+    if (!isOpen) return
+    const handleClick = (e) => {
+      if (!panelRef.current?.contains(e.target)) setIsOpen(false)
+    }
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+    window.addEventListener('mousedown', handleClick)
+    window.addEventListener('keydown', handleKey)
+    return () => {
+      window.removeEventListener('mousedown', handleClick)
+      window.removeEventListener('keydown', handleKey)
+    }
+  }, [isOpen])
+
+  // Forget picks of snapshots that were dropped from the history
+  useEffect(() => {
+    setSelected(prev => prev.filter(id => snapshots.some(s => s.id === id)))
+  }, [snapshots])
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    onCreate(name.trim() || `Versión ${snapshots.filter(s => s.kind === 'checkpoint').length + 1}`)
+    setName('')
+  }
+
+  const toggleSelected = (id) => {
+    setSelected(prev => prev.includes(id) ? prev.filter(s => s !== id) : [...prev.slice(-1), id])
+  }
+
+  const compareWithCurrent = (snapshot) => {
+    setComparison({
+      from: snapshot.name,
+      to: 'Estado actual',
+      diff: diffWorkbooks(snapshot.workbook, getCurrent()),
+      isCurrent: true
+    })
+    setIsOpen(false)
+  }
+
+  // The older of the two picked snapshots is the starting point
+  const compareSelected = () => {
+    const [from, to] = snapshots.filter(s => selected.includes(s.id))
+    setComparison({ from: from.name, to: to.name, diff: diffWorkbooks(from.workbook, to.workbook), isCurrent: false })
+    setIsOpen(false)
+  }
+
+  const restore = (snapshot) => {
+    onRestore(snapshot.id)
+    setIsOpen(false)
+  }
+
+  return (
+    <div ref={panelRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-2 px-4 py-2.5 rounded-xl text-sm font-medium border transition-all
+          ${isOpen
+            ? 'bg-accent/10 text-accent border-accent/30'
+            : 'text-gray-400 border-surface-light hover:text-white hover:bg-surface-light'
+          }`}
+      >
+        <History className="w-4 h-4" />
+        <span>Versiones</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-2 z-50 w-96 rounded-xl bg-surface border border-surface-light shadow-xl">
+          <form onSubmit={handleCreate} className="flex items-center gap-2 px-3 py-2 border-b border-surface-light">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Nombre de la versión"
+              className="flex-1 min-w-0 px-2 py-1 rounded-lg text-sm bg-midnight text-white outline-none border border-surface-light focus:border-accent/50"
+            />
+            <button
+              type="submit"
+              title="Guardar el estado actual como versión"
+              className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-accent hover:bg-accent/10 transition-colors"
+            >
+              <BookmarkPlus className="w-4 h-4" />
+              Guardar
+            </button>
+          </form>
+
+          <div className="max-h-96 overflow-y-auto py-1">
+            {[...snapshots].reverse().map(snapshot => {
+              const Icon = KIND_ICONS[snapshot.kind]
+              return (
+                <div key={snapshot.id} className="group flex items-center gap-2 px-3 py-1.5 hover:bg-surface-light">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(snapshot.id)}
+                    onChange={() => toggleSelected(snapshot.id)}
+                    title="Elegir para comparar"
+                    className="accent-accent"
+                  />
+                  <Icon className={`w-4 h-4 shrink-0 ${KIND_COLORS[snapshot.kind]}`} />
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm text-white truncate" title={snapshot.name}>{snapshot.name}</div>
+                    <div className="text-xs text-gray-500">{formatTime(snapshot.createdAt)}</div>
+                  </div>
+                  <button
+                    onClick={() => compareWithCurrent(snapshot)}
+                    title="Comparar con el estado actual"
+                    className="p-1 rounded text-gray-500 hover:text-accent opacity-0 group-hover:opacity-100 transition-opacity"
+                  >
+                    <GitCompare className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    onClick={() => restore(snapshot)}
+                    title="Restaurar esta versión"
+                    className="p-1 rounded text-gray-500 hover:text-warning opacity-0 group-hover:opacity-100 transition-opacity"
+                  >
+                    <RotateCcw className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              )
+            })}
+          </div>
+
+          <p className="px-3 py-2 border-t border-surface-light text-xs text-gray-500">
+            Se guardan hasta {maxSnapshots} versiones además del original; al pasarse
+            se borran primero las automáticas más viejas.
+          </p>
+
+          {selected.length === 2 && (
+            <div className="px-3 py-2 border-t border-surface-light">
+              <button
+                onClick={compareSelected}
+                className="w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-lg text-sm text-accent bg-accent/10 hover:bg-accent/20 transition-colors"
+              >
+                <GitCompare className="w-4 h-4" />
+                Comparar las dos elegidas
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {comparison && (
+        <DiffDialog
+          {...comparison}
+          onSelectCell={comparison.isCurrent ? onSelectCell : undefined}
+          onClose={() => setComparison(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+// Changes between two versions, sheet by sheet. Cells link to the grid only when
+// the newer side is the workbook as it is now.
+function DiffDialog({ from, to, diff, onSelectCell, onClose }) {
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [onClose])
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onMouseDown={onClose}>
+      <div
+        onMouseDown={(e) => e.stopPropagation()}
+        className="w-[40rem] max-h-[80vh] flex flex-col rounded-xl bg-surface border border-surface-light shadow-xl"
+      >
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-surface-light">
+          <GitCompare className="w-4 h-4 text-accent" />
+          <h2 className="flex-1 min-w-0 text-sm font-medium text-white truncate">
+            {from} → {to}
+          </h2>
+          <span className="text-xs text-gray-500">
+            {diff.changeCount} {diff.changeCount === 1 ? 'cambio' : 'cambios'}
+          </span>
+          <button onClick={onClose} className="text-gray-500 hover:text-white transition-colors">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-3 flex flex-col gap-4 text-sm">
+          {diff.changeCount === 0 && (
+            <p className="text-gray-500">No hay diferencias entre las dos versiones</p>
+          )}
+
+          {diff.sheets.map(sheet => (
+            <section key={sheet.name}>
+              <h3 className="flex items-baseline gap-2 mb-1">
+                <span className="text-white font-medium">{sheet.name}</span>
+                <span className={`text-xs ${sheet.status === 'removed' ? 'text-red-400' : sheet.status === 'added' ? 'text-success' : 'text-gray-500'}`}>
+                  {STATUS_LABELS[sheet.status]}{sheet.previousName && ` (antes "${sheet.previousName}")`}
+                </span>
+              </h3>
+              {sheet.cells && (
+                <>
+                  <StructureLine label="Filas agregadas" items={sheet.rows.added} className="text-success" />
+                  <StructureLine label="Filas eliminadas" items={sheet.rows.removed} className="text-red-400" />
+                  <StructureLine label="Columnas agregadas" items={sheet.columns.added} className="text-success" />
+                  <StructureLine label="Columnas eliminadas" items={sheet.columns.removed} className="text-red-400" />
+                  {sheet.cells.length > 0 && (
+                    <table className="w-full mt-1 text-xs font-mono">
+                      <tbody>
+                        {sheet.cells.slice(0, SHOWN_CELLS).map(change => (
+                          <tr key={change.cell} className="border-t border-surface-light/50 align-top">
+                            <td className="py-1 pr-3 w-16">
+                              {onSelectCell ? (
+                                <button
+                                  onClick={() => { onSelectCell(sheet.name, change.cell); onClose() }}
+                                  title="Ir a la celda"
+                                  className="text-accent hover:underline"
+                                >
+                                  {change.cell}
+                                </button>
+                              ) : (
+                                <span className="text-gray-400">{change.cell}</span>
+                              )}
+                            </td>
+                            <td className="py-1 pr-3 text-red-400/80 line-through break-all">{change.before}</td>
+                            <td className="py-1 text-gray-200 break-all">{change.after}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {sheet.cells.length > SHOWN_CELLS && (
+                    <p className="mt-1 text-xs text-gray-500">y {sheet.cells.length - SHOWN_CELLS} celdas más</p>
+                  )}
+                </>
+              )}
+            </section>
+          ))}
+
+          {diff.names.length > 0 && (
+            <section>
+              <h3 className="text-white font-medium mb-1">Nombres definidos</h3>
+              {diff.names.map(change => (
+                <div key={change.name} className="text-xs font-mono py-0.5">
+                  <span className="text-gray-300">{change.name}</span>{': '}
+                  {change.before === null ? (
+                    <span className="text-success">{change.after}</span>
+                  ) : change.after === null ? (
+                    <span className="text-red-400 line-through">{change.before}</span>
+                  ) : (
+                    <>
+                      <span className="text-red-400/80 line-through">{change.before}</span>
+                      {' → '}
+                      <span className="text-gray-200">{change.after}</span>
+                    </>
+                  )}
+                </div>
+              ))}
+            </section>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function StructureLine({ label, items, className }) {
+  if (items.length === 0) return null
+  return (
+    <p className="text-xs text-gray-400">
+      {label}: <span className={`font-mono ${className}`}>{summarizeItems(items)}</span>
+    </p>
+  )
+}
+
+// "2, 5, 9" or "2, 5, 9, … (40)" for long lists
+function summarizeItems(items) {
+  return items.length > 10 ? `${items.slice(0, 10).join(', ')}, … (${items.length})` : items.join(', ')
+}
+
+function formatTime(date) {
+  return date.toLocaleString('es-AR', { dateStyle: 'short', timeStyle: 'short' })
+}
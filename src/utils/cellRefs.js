@@ -0,0 +1,61 @@
+/**
+ * A1-style cell reference helpers, shared by the browser and the server.
+ * Rows and columns are 0-based; references are uppercase, without `$` anchors
+ * or a sheet name.
+ */
+
+/**
+ * Convert column letters to an index (A=0, B=1, AA=26)
+ */
+export function columnLetterToIndex(letters) {
+  let index = 0
+  for (let i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.charCodeAt(i) - 64)
+  }
+  return index - 1
+}
+
+/**
+ * Convert a column index to letters (0=A, 1=B, 26=AA)
+ */
+export function indexToColumnLetter(index) {
+  let letters = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters
+  }
+  return letters
+}
+
+/**
+ * Cell reference from 0-based indices: (4, 1) -> "B5"
+ */
+export function toCellRef(row, col) {
+  return indexToColumnLetter(col) + (row + 1)
+}
+
+/**
+ * Parse a cell reference like "A1" into { row, col }, or null when it is not one
+ */
+export function parseCellReference(ref) {
+  const match = String(ref).match(/^([A-Z]+)(\d+)$/)
+  if (!match) return null
+  return { row: parseInt(match[2], 10) - 1, col: columnLetterToIndex(match[1]) }
+}
+
+/**
+ * Parse a range reference like "A1:B10", or a single cell, into { start, end }
+ */
+export function parseRangeReference(range) {
+  const [start, end = start] = String(range).split(':')
+  return { start: parseCellReference(start), end: parseCellReference(end) }
+}
+
+/**
+ * Bounds of a range like "A1:D10", or a single cell
+ * @returns {Object|null} { startRow, startCol, endRow, endCol }, null when it is not a range
+ */
+export function parseRange(range) {
+  const { start, end } = parseRangeReference(range)
+  if (!start || !end) return null
+  return { startRow: start.row, startCol: start.col, endRow: end.row, endCol: end.col }
+}
@@ -0,0 +1,645 @@
+/**
+ * Cell and structure changes (the change objects returned by /api/chat) applied to one sheet.
+ * Pure functions over { data, formulas }, used for the sheet shown in the grid, for
+ * sheets in the background and for the server's working copy, so every change
+ * behaves the same wherever it lands.
+ */
+import { shiftReferencesInFormula, shiftReferenceBody, shiftInterval, offsetFormula, sameSheet } from './formulaReferences.js'
+import { rangesOverlap } from './dataValidation.js'
+import { FILTER_OPERATORS, sortRowOrder } from './sortFilter.js'
+import { createMatcher, replaceInContent } from './findReplace.js'
+import { validateChart } from './charts.js'
+import { columnLetterToIndex, indexToColumnLetter, parseCellReference, parseRange, toCellRef } from './cellRefs.js'
+
+// Changes that insert or delete rows or columns, moving references to the cells around them
+export const STRUCTURAL_CHANGE_TYPES = new Set(['insertColumn', 'insertRow', 'deleteColumn', 'deleteRow'])
+
+// Changes that only touch cell contents (data and formulas), which the grid can apply by itself
+export const CONTENT_CHANGE_TYPES = new Set(['setCellValue', 'setFormula', 'applyFormulaToRange', 'replaceInCells', 'setRangeValues'])
+
+// Format given to dates written by setRangeValues into cells without a number format
+const DEFAULT_DATE_FORMAT = 'dd/mm/yyyy'
+
+// Cell style properties set by setCellStyle
+export const STYLE_PROPERTIES = ['bold', 'italic', 'fontColor', 'fillColor', 'align', 'border']
+
+/**
+ * Apply changes to a sheet without modifying it.
+ * Inserted or deleted rows and columns also move the sheet's own formula references,
+ * validation ranges, the filter and merges; use applyChangesToWorkbook to update other sheets too.
+ * @param {Object} sheet - { name, data: 2D array, formulas: { A1: '=...' }, styles?, dropdowns?, validations?, autoFilter?, merges?, summaryTables?, charts? }
+ *   where styles maps cells to { numFmt, bold, italic, fontColor, fillColor, align, border }
+ * @param {Array} changes - Change objects, applied in order
+ * @returns {Object} New { data, formulas }, plus styles, dropdowns, validations, autoFilter, merges, summaryTables and charts when the sheet has them
+ * @throws {Error} If a change has an invalid reference or an unknown type
+ */
+export function applyChangesToSheet(sheet, changes) {
+  const state = {
+    data: (sheet.data || []).map(row => [...(row || [])]),
+    formulas: { ...(sheet.formulas || {}) }
+  }
+  if (sheet.styles) state.styles = sheet.styles
+  if (sheet.dropdowns) state.dropdowns = sheet.dropdowns
+  if (sheet.validations) state.validations = sheet.validations
+  if (sheet.autoFilter) state.autoFilter = sheet.autoFilter
+  if (sheet.merges) state.merges = sheet.merges
+  if (sheet.summaryTables) state.summaryTables = sheet.summaryTables
+  if (sheet.charts) state.charts = sheet.charts
+
+  changes.forEach(change => {
+    const shift = applyInPlace(state, change)
+    if (shift) shiftOwnReferences(state, { ...shift, sheet: sheet.name }, sheet.name)
+  })
+  return state
+}
+
+/**
+ * Whether a change only touches values and formulas, so the grid can apply it by itself.
+ * Blocks with dates also give those cells a date format.
+ */
+export function isContentChange(change) {
+  if (change.type === 'setRangeValues') {
+    return !(change.values || []).some(row => Array.isArray(row) && row.some(value => toCellValue(value) instanceof Date))
+  }
+  return CONTENT_CHANGE_TYPES.has(change.type)
+}
+
+/**
+ * A value from a setRangeValues block as stored in a cell: null clears the cell and
+ * ISO dates ('2024-03-15', '2024-03-15 14:30') become dates, as when typed into Excel.
+ * Dates are local wall-clock times, like the ones SheetJS reads from a file; see dateReplacer.
+ */
+export function toCellValue(value) {
+  if (value === null || value === undefined) return ''
+  const date = typeof value === 'string' &&
+    value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/)
+  if (!date) return value
+  const [year, month, day, hours, minutes, seconds] = date.slice(1).map(part => Number(part || 0))
+  return new Date(year, month - 1, day, hours, minutes, seconds)
+}
+
+/**
+ * JSON.stringify replacer that writes dates as the local date and time they stand for
+ * ('2024-03-01T00:00:00'), instead of Date#toJSON's UTC time, which is the previous or
+ * next day for a date at local midnight anywhere but UTC. Text without a zone reads back
+ * as the same wall-clock time on the other side, whatever its timezone.
+ * @example JSON.stringify({ spreadsheetData }, dateReplacer)
+ */
+export function dateReplacer(key, value) {
+  const raw = this[key]
+  if (!(raw instanceof Date) || Number.isNaN(raw.getTime())) return value
+  const pad = n => String(n).padStart(2, '0')
+  return `${raw.getFullYear()}-${pad(raw.getMonth() + 1)}-${pad(raw.getDate())}` +
+    `T${pad(raw.getHours())}:${pad(raw.getMinutes())}:${pad(raw.getSeconds())}`
+}
+
+/**
+ * Apply a single change to a sheet without modifying it
+ */
+export function applyChangeToSheet(sheet, change) {
+  return applyChangesToSheet(sheet, [change])
+}
+
+/**
+ * Apply changes to one sheet of a workbook, moving references to it from every other
+ * sheet when rows or columns are inserted or deleted
+ * @param {Array} sheets - Workbook sheets
+ * @param {string} sheetName - Sheet the changes target
+ * @param {Array} changes - Change objects, applied in order
+ * @returns {Array} New sheets array; sheets without changes keep their identity
+ */
+export function applyChangesToWorkbook(sheets, sheetName, changes) {
+  let next = [...sheets]
+  const targetIndex = next.findIndex(s => s.name === sheetName)
+  if (targetIndex === -1) throw new Error(`Sheet "${sheetName}" not found`)
+
+  changes.forEach(change => {
+    const target = next[targetIndex]
+    next[targetIndex] = { ...target, ...applyChangeToSheet(target, change) }
+
+    const shift = getShift(target, change)
+    if (!shift) return
+    next = next.map((sheet, idx) => {
+      const moved = idx === targetIndex
+        ? sheet
+        : rewriteSheetFormulas(sheet, formula => shiftReferencesInFormula(formula, { ...shift, sheet: sheetName }, sheet.name))
+      return shiftSummarySources(moved, shift, sheetName)
+    })
+  })
+  return next
+}
+
+/**
+ * Rows or columns a change inserts or deletes, as { axis, index, count }, or null for cell changes
+ */
+export function getShift(sheet, change) {
+  switch (change.type) {
+    case 'insertColumn':
+      if (change.afterColumn && !/^[A-Z]+$/.test(change.afterColumn)) {
+        throw new Error(`Invalid column "${change.afterColumn}"`)
+      }
+      return {
+        axis: 'col',
+        index: change.afterColumn ? columnLetterToIndex(change.afterColumn) + 1 : sheetWidth(sheet),
+        count: 1
+      }
+    case 'insertRow': {
+      // The new row lands at index afterRow, i.e. right below 1-indexed row afterRow
+      const index = change.afterRow ?? (sheet.data || []).length
+      if (index < 0) throw new Error(`Invalid row ${index}`)
+      return { axis: 'row', index, count: 1 }
+    }
+    case 'deleteColumn':
+      return { axis: 'col', index: requireCell(change.cell || 'A1').col, count: -1 }
+    case 'deleteRow': {
+      const index = change.row ?? 0
+      if (index < 0) throw new Error(`Invalid row ${index + 1}`)
+      return { axis: 'row', index, count: -1 }
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Rows a sortRange change moves: row firstRow + i ends up holding the row that was at
+ * firstRow + order[i]. Null when the range has fewer than two rows to sort.
+ * @returns {Object|null} { range, firstRow, lastRow, order } with range as given by parseRange
+ */
+export function getSortOrder(sheet, change) {
+  const data = sheet.data || []
+  const range = parseRange(change.range)
+  if (!range) throw new Error(`Invalid range "${change.range}"`)
+  const firstRow = range.startRow + (change.hasHeader ? 1 : 0)
+  const lastRow = Math.min(range.endRow, data.length - 1)
+  if (lastRow <= firstRow) return null
+
+  // The caller passes `order` when it sorted by computed values; otherwise sort the raw contents
+  const order = change.order || sortRowOrder(
+    data.slice(firstRow, lastRow + 1).map(row => (row || []).slice(range.startCol, range.endCol + 1)),
+    (change.keys || []).map(key => {
+      const col = requireCell(`${key.column}1`).col
+      if (col < range.startCol || col > range.endCol) throw new Error(`Column ${key.column} is outside ${change.range}`)
+      return { index: col - range.startCol, descending: Boolean(key.descending) }
+    })
+  )
+  const count = lastRow - firstRow + 1
+  if (order.length !== count || new Set(order).size !== count || order.some(i => !(i >= 0 && i < count))) {
+    throw new Error(`Sort order must list each of the ${count} rows once`)
+  }
+  return { range, firstRow, lastRow, order }
+}
+
+// Apply one change to the mutable state, returning its shift for structural changes
+function applyInPlace(state, change) {
+  const shift = getShift(state, change)
+
+  switch (change.type) {
+    case 'setCellValue': {
+      const ref = requireCell(change.cell)
+      writeCell(state, ref.row, ref.col, change.value)
+      delete state.formulas[change.cell]
+      break
+    }
+
+    case 'setFormula': {
+      const ref = requireCell(change.cell)
+      writeCell(state, ref.row, ref.col, change.formula)
+      state.formulas[change.cell] = change.formula
+      break
+    }
+
+    case 'insertColumn': {
+      const colIndex = shift.index
+      state.data.forEach(row => {
+        while (row.length < colIndex) row.push('')
+        row.splice(colIndex, 0, '')
+      })
+      remapCellKeys(state, (row, col) => ({ row, col: col >= colIndex ? col + 1 : col }))
+      if (change.header) {
+        writeCell(state, 0, colIndex, change.header)
+      }
+      break
+    }
+
+    case 'insertRow': {
+      const rowIndex = shift.index
+      while (state.data.length < rowIndex) state.data.push(new Array(sheetWidth(state)).fill(''))
+      state.data.splice(rowIndex, 0, new Array(sheetWidth(state)).fill(''))
+      remapCellKeys(state, (row, col) => ({ row: row >= rowIndex ? row + 1 : row, col }))
+      break
+    }
+
+    case 'applyFormulaToRange': {
+      const range = parseRange(change.range)
+      if (!range) throw new Error(`Invalid range "${change.range}"`)
+
+      // The formula is written as-is in the top-left cell and filled down and right
+      for (let r = range.startRow; r <= range.endRow; r++) {
+        for (let c = range.startCol; c <= range.endCol; c++) {
+          const filledFormula = offsetFormula(change.formula, r - range.startRow, c - range.startCol)
+          writeCell(state, r, c, filledFormula)
+          state.formulas[toCellRef(r, c)] = filledFormula
+        }
+      }
+      break
+    }
+
+    case 'setNumberFormat': {
+      // "General" (or no format) goes back to the default
+      const numFmt = change.format && change.format !== 'General' ? change.format : null
+      updateStyles(state, change.range, { numFmt })
+      break
+    }
+
+    case 'setCellStyle': {
+      const style = {}
+      STYLE_PROPERTIES.forEach(key => {
+        if (key in (change.style || {})) style[key] = change.style[key]
+      })
+      validateStyle(style)
+      updateStyles(state, change.range, style)
+      break
+    }
+
+    case 'createDropdown': {
+      const bounds = parseRange(change.range)
+      if (!bounds) throw new Error(`Invalid range "${change.range}"`)
+      if (!change.formula) throw new Error('A dropdown needs a list formula')
+      // Always "D2:D100", also for a single cell
+      const range = `${toCellRef(bounds.startRow, bounds.startCol)}:${toCellRef(bounds.endRow, bounds.endCol)}`
+      const dropdown = { range, formula: change.formula, options: change.options || [] }
+      if (change.allowOther) dropdown.allowOther = true
+      // A new dropdown replaces the validations it overlaps
+      state.dropdowns = [...(state.dropdowns || []).filter(d => !rangesOverlap(d.range, range)), dropdown]
+      if (state.validations) state.validations = state.validations.filter(v => !rangesOverlap(v.range, range))
+      break
+    }
+
+    case 'removeDropdown':
+      if (!parseRange(change.range)) throw new Error(`Invalid range "${change.range}"`)
+      state.dropdowns = (state.dropdowns || []).filter(d => !rangesOverlap(d.range, change.range))
+      break
+
+    case 'setRangeValues': {
+      const start = requireCell(change.cell)
+      const rows = change.values
+      if (!Array.isArray(rows) || rows.some(row => !Array.isArray(row))) {
+        throw new Error('values must be an array of rows, each an array of values')
+      }
+      const dateCells = []
+      rows.forEach((rowValues, i) => {
+        rowValues.forEach((value, j) => {
+          const row = start.row + i
+          const col = start.col + j
+          const cellRef = toCellRef(row, col)
+          const cellValue = toCellValue(value)
+          writeCell(state, row, col, cellValue)
+          if (isFormulaText(cellValue)) state.formulas[cellRef] = cellValue
+          else delete state.formulas[cellRef]
+          if (cellValue instanceof Date && !state.styles?.[cellRef]?.numFmt) dateCells.push(cellRef)
+        })
+      })
+      // Dates show as serial numbers until they have a date format
+      dateCells.forEach(cellRef => updateStyles(state, cellRef, { numFmt: DEFAULT_DATE_FORMAT }))
+      break
+    }
+
+    case 'replaceInCells': {
+      // Like Excel's Replace: constants and the text of formulas, on the whole sheet or a range
+      const matcher = createMatcher({ query: change.find, regex: change.regex, matchCase: change.matchCase, wholeCell: change.wholeCell })
+      const range = change.range ? parseRange(change.range) : null
+      if (change.range && !range) throw new Error(`Invalid range "${change.range}"`)
+      state.data.forEach((row, r) => {
+        row.forEach((value, c) => {
+          if (range && (r < range.startRow || r > range.endRow || c < range.startCol || c > range.endCol)) return
+          const cellRef = toCellRef(r, c)
+          const replaced = replaceInContent(state.formulas[cellRef] ?? value, matcher, String(change.replace ?? ''))
+          if (replaced === undefined) return
+          row[c] = replaced
+          if (isFormulaText(replaced)) state.formulas[cellRef] = replaced
+          else delete state.formulas[cellRef]
+        })
+      })
+      break
+    }
+
+    case 'sortRange': {
+      const range = parseRange(change.range)
+      if (!range) throw new Error(`Invalid range "${change.range}"`)
+      const hasMerge = (state.merges || []).some(merge =>
+        merge.s.r <= range.endRow && range.startRow <= merge.e.r && merge.s.c <= range.endCol && range.startCol <= merge.e.c)
+      if (hasMerge) throw new Error(`Cannot sort ${change.range}: it has merged cells`)
+
+      const sorted = getSortOrder(state, change)
+      if (!sorted) break
+      const { firstRow, order } = sorted
+
+      // Rows move whole within the range; relative references in moved formulas follow them
+      const cells = order.map(from => {
+        const row = firstRow + from
+        const rowCells = []
+        for (let c = range.startCol; c <= range.endCol; c++) {
+          const cellRef = toCellRef(row, c)
+          rowCells.push({ value: state.data[row]?.[c] ?? '', formula: state.formulas[cellRef], style: state.styles?.[cellRef] })
+        }
+        return { from: row, cells: rowCells }
+      })
+      if (state.styles) state.styles = { ...state.styles }
+      cells.forEach(({ from, cells: rowCells }, i) => {
+        const row = firstRow + i
+        rowCells.forEach(({ value, formula, style }, offset) => {
+          const col = range.startCol + offset
+          const cellRef = toCellRef(row, col)
+          if (formula) {
+            const moved = offsetFormula(formula, row - from, 0)
+            writeCell(state, row, col, isFormulaText(value) ? moved : value)
+            state.formulas[cellRef] = moved
+          } else {
+            writeCell(state, row, col, value)
+            delete state.formulas[cellRef]
+          }
+          if (!state.styles) return
+          if (style) state.styles[cellRef] = style
+          else delete state.styles[cellRef]
+        })
+      })
+      break
+    }
+
+    case 'setFilter': {
+      if (!change.range) {
+        state.autoFilter = null
+        break
+      }
+      const range = parseRange(change.range)
+      if (!range) throw new Error(`Invalid range "${change.range}"`)
+      const columns = (change.columns || []).map(filter => {
+        const column = String(filter.column || '').toUpperCase()
+        const col = parseCellReference(`${column}1`)?.col
+        if (col === undefined || col < range.startCol || col > range.endCol) {
+          throw new Error(`Column ${filter.column} is outside ${change.range}`)
+        }
+        if (Array.isArray(filter.values)) return { column, values: filter.values.map(value => String(value ?? '')) }
+        if (!FILTER_OPERATORS.includes(filter.operator)) {
+          throw new Error(`Invalid filter operator "${filter.operator}": use ${FILTER_OPERATORS.join(', ')}`)
+        }
+        return { column, operator: filter.operator, value: filter.value ?? '' }
+      })
+      state.autoFilter = {
+        range: `${toCellRef(range.startRow, range.startCol)}:${toCellRef(range.endRow, range.endCol)}`,
+        columns
+      }
+      break
+    }
+
+    case 'setSummaryTable': {
+      // Remember how a summary was built so it can be rebuilt when its source grows
+      const range = parseRange(change.range)
+      const cell = requireCell(change.cell)
+      if (!range) throw new Error(`Invalid range "${change.range}"`)
+      const anchor = toCellRef(cell.row, cell.col)
+      state.summaryTables = [
+        ...(state.summaryTables || []).filter(table => table.cell !== anchor),
+        { cell: anchor, range: change.range.toUpperCase(), definition: change.definition }
+      ]
+      break
+    }
+
+    case 'createChart': {
+      const chart = {
+        ...change.chart,
+        range: String(change.chart?.range || '').toUpperCase(),
+        ...(change.chart?.cell ? { cell: change.chart.cell.toUpperCase() } : {})
+      }
+      const error = validateChart(chart)
+      if (error) throw new Error(error)
+      // A chart with the same id is replaced, so a chart can be edited in place
+      const charts = state.charts || []
+      state.charts = charts.some(c => c.id === chart.id)
+        ? charts.map(c => c.id === chart.id ? chart : c)
+        : [...charts, chart]
+      break
+    }
+
+    case 'deleteChart': {
+      if (!(state.charts || []).some(chart => chart.id === change.id)) throw new Error(`Chart "${change.id}" not found`)
+      state.charts = state.charts.filter(chart => chart.id !== change.id)
+      break
+    }
+
+    case 'deleteColumn': {
+      const colIndex = shift.index
+      state.data.forEach(row => {
+        if (row.length > colIndex) row.splice(colIndex, 1)
+      })
+      remapCellKeys(state, (row, col) => {
+        if (col === colIndex) return null
+        return { row, col: col > colIndex ? col - 1 : col }
+      })
+      break
+    }
+
+    case 'deleteRow': {
+      const rowIndex = shift.index
+      state.data.splice(rowIndex, 1)
+      remapCellKeys(state, (row, col) => {
+        if (row === rowIndex) return null
+        return { row: row > rowIndex ? row - 1 : row, col }
+      })
+      break
+    }
+
+    default:
+      throw new Error(`Unknown change type: ${change.type}`)
+  }
+
+  return shift
+}
+
+// Move the sheet's own references (validation formulas included), validation ranges, the filter, merges, summary tables and charts after a structural change.
+// Formula keys were already moved along with the cells.
+function shiftOwnReferences(state, shift, sheetName) {
+  Object.assign(state, rewriteSheetFormulas(state, formula => shiftReferencesInFormula(formula, shift, sheetName)))
+
+  ;['dropdowns', 'validations'].forEach(key => {
+    if (!state[key]) return
+    state[key] = state[key]
+      .map(validation => {
+        const range = shiftReferenceBody(validation.range, shift)
+        return range === null ? null : { ...validation, range }
+      })
+      .filter(Boolean)
+  })
+
+  if (state.autoFilter) {
+    const range = shiftReferenceBody(state.autoFilter.range, shift)
+    const columns = shift.axis === 'row'
+      ? state.autoFilter.columns
+      : state.autoFilter.columns
+        .map(filter => {
+          const span = shiftInterval(columnLetterToIndex(filter.column), columnLetterToIndex(filter.column), shift)
+          return span && { ...filter, column: indexToColumnLetter(span[0]) }
+        })
+        .filter(Boolean)
+    state.autoFilter = range === null ? null : { range, columns }
+  }
+
+  if (state.summaryTables) {
+    state.summaryTables = state.summaryTables
+      .map(table => {
+        const range = shiftReferenceBody(table.range, shift)
+        if (range === null) return null
+        return { ...table, cell: range.split(':')[0], range }
+      })
+      .filter(Boolean)
+  }
+
+  if (state.charts) {
+    state.charts = state.charts
+      .map(chart => {
+        const range = shiftReferenceBody(chart.range, shift)
+        if (range === null) return null
+        const cell = chart.cell && (shiftReferenceBody(chart.cell, shift) ?? chart.cell)
+        return { ...chart, range, ...(cell ? { cell } : {}) }
+      })
+      .filter(Boolean)
+  }
+
+  if (state.merges) {
+    const key = shift.axis === 'row' ? 'r' : 'c'
+    state.merges = state.merges
+      .map(merge => {
+        const span = shiftInterval(merge.s[key], merge.e[key], shift)
+        if (!span) return null
+        return { s: { ...merge.s, [key]: span[0] }, e: { ...merge.e, [key]: span[1] } }
+      })
+      .filter(Boolean)
+  }
+}
+
+// Move the source ranges of summary tables built from the changed sheet
+function shiftSummarySources(sheet, shift, sheetName) {
+  if (!sheet.summaryTables?.some(table => sameSheet(table.definition.source.sheet, sheetName))) return sheet
+  return {
+    ...sheet,
+    summaryTables: sheet.summaryTables.map(table => {
+      const { source } = table.definition
+      if (!sameSheet(source.sheet, sheetName)) return table
+      const range = shiftReferenceBody(source.range, shift)
+      // A source that was deleted entirely keeps its last range; rebuilding it reports the error
+      return range === null ? table : { ...table, definition: { ...table.definition, source: { ...source, range } } }
+    })
+  }
+}
+
+/**
+ * Rewrite every formula of a sheet: the formulas map, cells that hold formula text and
+ * the formulas of its dropdowns (list source) and other validations (formula1, formula2)
+ * @param {Object} sheet
+ * @param {Function} rewrite - Formula text in, rewritten formula text out
+ * @returns {Object} New sheet, or the same one when nothing changed
+ */
+export function rewriteSheetFormulas(sheet, rewrite) {
+  let changed = false
+  const rewriteText = (text) => {
+    if (typeof text !== 'string') return text
+    const rewritten = rewrite(text)
+    if (rewritten !== text) changed = true
+    return rewritten
+  }
+
+  const formulas = {}
+  Object.entries(sheet.formulas || {}).forEach(([cell, formula]) => {
+    formulas[cell] = rewriteText(formula)
+  })
+
+  const data = (sheet.data || []).map(row => {
+    if (!row.some(isFormulaText)) return row
+    return row.map(value => isFormulaText(value) ? rewriteText(value) : value)
+  })
+
+  const rewritten = { ...sheet, data, formulas }
+  if (sheet.dropdowns) {
+    rewritten.dropdowns = sheet.dropdowns.map(dropdown => ({ ...dropdown, formula: rewriteText(dropdown.formula) }))
+  }
+  if (sheet.validations) {
+    rewritten.validations = sheet.validations.map(validation => ({
+      ...validation,
+      formula1: rewriteText(validation.formula1),
+      formula2: rewriteText(validation.formula2)
+    }))
+  }
+  return changed ? rewritten : sheet
+}
+
+function isFormulaText(value) {
+  return typeof value === 'string' && value.startsWith('=')
+}
+
+// Write a cell, growing the grid if needed
+function writeCell(state, row, col, value) {
+  while (state.data.length <= row) state.data.push([])
+  while (state.data[row].length <= col) state.data[row].push('')
+  state.data[row][col] = value
+}
+
+function sheetWidth(state) {
+  return state.data.reduce((max, row) => Math.max(max, row.length), 0)
+}
+
+// Move formula and style keys after a structural change; `move` returns the new position or null to drop it
+function remapCellKeys(state, move) {
+  const remap = (map) => {
+    const remapped = {}
+    Object.entries(map).forEach(([cell, value]) => {
+      const ref = parseCellReference(cell)
+      if (!ref) return
+      const target = move(ref.row, ref.col)
+      if (target) remapped[toCellRef(target.row, target.col)] = value
+    })
+    return remapped
+  }
+  state.formulas = remap(state.formulas)
+  if (state.styles) state.styles = remap(state.styles)
+}
+
+function validateStyle(style) {
+  ['fontColor', 'fillColor'].forEach(key => {
+    if (style[key] && !/^#[0-9A-Fa-f]{6}$/.test(style[key])) {
+      throw new Error(`Invalid ${key} "${style[key]}": use a hex color like #FF0000`)
+    }
+  })
+  if (style.align && !['left', 'center', 'right'].includes(style.align)) {
+    throw new Error(`Invalid align "${style.align}": use left, center or right`)
+  }
+  if (style.border && !['thin', 'medium', 'thick'].includes(style.border)) {
+    throw new Error(`Invalid border "${style.border}": use thin, medium or thick`)
+  }
+}
+
+// Merge style properties into every cell of a range; null removes a property
+function updateStyles(state, range, style) {
+  const bounds = parseRange(range)
+  if (!bounds) throw new Error(`Invalid range "${range}"`)
+
+  const styles = { ...(state.styles || {}) }
+  for (let r = bounds.startRow; r <= bounds.endRow; r++) {
+    for (let c = bounds.startCol; c <= bounds.endCol; c++) {
+      const cell = toCellRef(r, c)
+      const merged = { ...styles[cell], ...style }
+      Object.keys(merged).forEach(key => {
+        if (merged[key] === null || merged[key] === undefined || merged[key] === false) delete merged[key]
+      })
+      if (Object.keys(merged).length > 0) styles[cell] = merged
+      else delete styles[cell]
+    }
+  }
+  state.styles = styles
+}
+
+function requireCell(cell) {
+  const ref = parseCellReference(cell)
+  if (!ref) throw new Error(`Invalid cell reference "${cell}"`)
+  return ref
+}
@@ -0,0 +1,520 @@
+import { columnLetterToIndex, indexToColumnLetter, parseCellReference, parseRangeReference } from './cellRefs'
+import { findCells } from './findReplace'
+import { STRUCTURAL_CHANGE_TYPES, CONTENT_CHANGE_TYPES, applyChangesToWorkbook, getShift, getSortOrder } from './changeEngine'
+import { sameSheet } from './formulaReferences'
+import { SHEET_CHANGE_TYPES, applySheetOperation } from './sheetOperations'
+import { NAME_CHANGE_TYPES } from './namedRanges'
+import { rangesOverlap } from './dataValidation'
+
+// Range standing for "every cell of the sheet", e.g. a replaceInCells without a range
+const WHOLE_SHEET = 'A1:XFD1048576'
+
+// Filter conditions as the review list shows them
+const FILTER_LABELS = {
+  equal: '=',
+  notEqual: '≠',
+  greaterThan: '>',
+  greaterThanOrEqual: '≥',
+  lessThan: '<',
+  lessThanOrEqual: '≤',
+  contains: 'contiene',
+  notContains: 'no contiene',
+  beginsWith: 'empieza con',
+  endsWith: 'termina con'
+}
+
+// Summary table aggregations, by the column they aggregate
+const AGGREGATION_LABELS = {
+  sum: 'suma de',
+  count: 'cantidad de filas',
+  average: 'promedio de',
+  min: 'mínimo de',
+  max: 'máximo de'
+}
+
+const CHART_LABELS = {
+  bar: 'Gráfico de barras',
+  line: 'Gráfico de líneas',
+  pie: 'Gráfico de torta',
+  scatter: 'Gráfico de dispersión'
+}
+
+/**
+ * Earlier proposed changes each change relies on. The server made the changes in order
+ * on its own copy, so a change that follows an inserted or deleted row or column on the
+ * same sheet points at cells as they are after it, and a change on a sheet an earlier
+ * change added, copied or renamed needs that sheet. Likewise a change on cells an earlier
+ * sort moved names them where the sort left them, and a sort or a replace works on what
+ * earlier changes wrote to its range. Applying one without the other puts it on the
+ * wrong cells, or on stale data, or fails.
+ * @param {Array} changes - Proposed changes, in the order the server made them
+ * @param {string} activeSheetName - Sheet of the changes that do not name one
+ * @returns {number[][]} For each change, the indices of the earlier ones it needs, directly or not
+ */
+export function findChangeDependencies(changes, activeSheetName) {
+  const sheetOf = change => change.type === 'addSheet' ? change.name : change.sheet || activeSheetName
+  const dependencies = []
+  changes.forEach((change, j) => {
+    const needed = new Set()
+    changes.slice(0, j).forEach((earlier, i) => {
+      const newSheet = earlier.type === 'addSheet' ? earlier.name
+        : earlier.type === 'renameSheet' || earlier.type === 'duplicateSheet' ? earlier.newName
+        : null
+      const onSameSheet = sameSheet(sheetOf(earlier), sheetOf(change))
+      const shiftsCells = STRUCTURAL_CHANGE_TYPES.has(earlier.type) && onSameSheet
+      const readsCells = (change.type === 'sortRange' || change.type === 'replaceInCells') &&
+        (CONTENT_CHANGE_TYPES.has(earlier.type) || earlier.type === 'sortRange')
+      const sharesCells = (readsCells || earlier.type === 'sortRange') && onSameSheet &&
+        rangesOverlap(getCellsRange(earlier), getCellsRange(change))
+      if (shiftsCells || sharesCells || (newSheet && sameSheet(newSheet, sheetOf(change)))) {
+        needed.add(i)
+        dependencies[i].forEach(k => needed.add(k))
+      }
+    })
+    dependencies.push([...needed].sort((a, b) => a - b))
+  })
+  return dependencies
+}
+
+/**
+ * Describe each proposed change for review, including what it replaces. Each change is
+ * read against the workbook with the earlier ones already made, as the server made them,
+ * so a value written below an inserted row or into a sorted range shows what it replaces.
+ * @param {Array} changes - Proposed changes, in the order the server made them
+ * @param {Object} spreadsheetData - Current data ({ sheets, activeSheet }) from getSpreadsheetData
+ * @returns {Array} For each change, { sheet, kind: 'cell' | 'structure', label, cell?, before?, after? }
+ */
+export function describeChanges(changes, spreadsheetData) {
+  const sheets = spreadsheetData?.sheets || []
+  const items = []
+  walkProposal(changes, sheets, sheets[spreadsheetData?.activeSheet]?.name, (change, current, activeName) => {
+    items.push(describeChange(change, { sheets: current, activeSheet: current.findIndex(s => s.name === activeName) }))
+  })
+  return items
+}
+
+function describeChange(change, spreadsheetData) {
+  const sheets = spreadsheetData?.sheets || []
+  const sheet = sheets.find(s => s.name === change.sheet) || sheets[spreadsheetData?.activeSheet] || { data: [], formulas: {} }
+  const sheetName = change.sheet || sheet.name
+
+  switch (change.type) {
+    case 'setCellValue':
+      return {
+        sheet: sheetName,
+        kind: 'cell',
+        label: change.cell,
+        cell: change.cell,
+        before: readCell(sheet, change.cell),
+        after: formatValue(change.value)
+      }
+
+    case 'setFormula':
+      return {
+        sheet: sheetName,
+        kind: 'cell',
+        label: change.cell,
+        cell: change.cell,
+        before: readCell(sheet, change.cell),
+        after: change.formula
+      }
+
+    case 'applyFormulaToRange': {
+      const filled = countFilledCells(sheet, change.range)
+      return {
+        sheet: sheetName,
+        kind: 'cell',
+        label: change.range,
+        before: filled > 0 ? `${filled} ${filled === 1 ? 'celda con datos' : 'celdas con datos'}` : '(vacío)',
+        after: `${change.formula} (copiada al resto del rango)`
+      }
+    }
+
+    case 'setRangeValues': {
+      const range = getBlockRange(change)
+      const filled = range ? countFilledCells(sheet, range) : 0
+      const cells = (change.values || []).reduce((sum, row) => sum + (row?.length || 0), 0)
+      const first = (change.values?.[0] || []).slice(0, 3)
+      const preview = first.map(formatValue).join(', ') + (cells > first.length ? ', …' : '')
+      return {
+        sheet: sheetName,
+        kind: 'cell',
+        label: range || change.cell,
+        before: filled > 0 ? `${filled} ${filled === 1 ? 'celda con datos' : 'celdas con datos'}` : '(vacío)',
+        after: `${cells} ${cells === 1 ? 'valor' : 'valores'}` + (first.length > 0 ? ` (${preview})` : '')
+      }
+    }
+
+    case 'insertColumn':
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Insertar columna después de ${change.afterColumn || 'la última'}` +
+          (change.header ? ` con encabezado "${change.header}"` : '')
+      }
+
+    case 'insertRow':
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: change.afterRow ? `Insertar fila después de la ${change.afterRow}` : 'Insertar fila al final'
+      }
+
+    case 'deleteColumn': {
+      const colLetter = (change.cell || 'A1').replace(/\d+$/, '')
+      const header = sheet.data?.[0]?.[columnLetterToIndex(colLetter)]
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        destructive: true,
+        label: `Eliminar columna ${colLetter}` + (header ? ` ("${header}")` : '')
+      }
+    }
+
+    case 'deleteRow': {
+      const row = change.row ?? 0
+      const preview = (sheet.data?.[row] || []).filter(v => v !== '' && v !== null && v !== undefined).slice(0, 3)
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        destructive: true,
+        label: `Eliminar fila ${row + 1}` + (preview.length > 0 ? ` (${preview.join(', ')})` : '')
+      }
+    }
+
+    case 'setNumberFormat':
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Formato de número "${change.format}" en ${change.range}`
+      }
+
+    case 'setCellStyle':
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Formato en ${change.range}: ${describeStyle(change.style)}`
+      }
+
+    case 'createDropdown': {
+      const options = change.options || []
+      const preview = options.slice(0, 5).join(', ') + (options.length > 5 ? `, … (${options.length})` : '')
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Lista desplegable en ${change.range}${preview ? ` (${preview})` : ''}`
+      }
+    }
+
+    case 'removeDropdown':
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Quitar lista desplegable de ${change.range}`,
+        destructive: true
+      }
+
+    case 'defineName':
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Nombre "${change.name}" → ${change.ref}`
+      }
+
+    case 'deleteName':
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Eliminar el nombre "${change.name}"`,
+        destructive: true
+      }
+
+    case 'replaceInCells': {
+      const { total } = findCells([sheet], { query: change.find, regex: change.regex, matchCase: change.matchCase, wholeCell: change.wholeCell, lookIn: 'formulas', range: change.range }, 0)
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Reemplazar "${change.find}" por "${change.replace}"` +
+          (change.range ? ` en ${change.range}` : '') +
+          ` (${total} ${total === 1 ? 'celda' : 'celdas'})`
+      }
+    }
+
+    case 'sortRange': {
+      const keys = (change.keys || []).map(key => key.column + (key.descending ? ' (descendente)' : ''))
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Ordenar ${change.range} por ${keys.join(', ')}` + (change.hasHeader ? ' (con encabezado)' : '')
+      }
+    }
+
+    case 'setFilter': {
+      if (!change.range) return { sheet: sheetName, kind: 'structure', label: 'Quitar filtro' }
+      const conditions = (change.columns || []).map(filter => Array.isArray(filter.values)
+        ? `${filter.column}: ${filter.values.slice(0, 3).map(value => value === '' ? '(vacías)' : value).join(', ')}` +
+          (filter.values.length > 3 ? ', …' : '')
+        : `${filter.column} ${FILTER_LABELS[filter.operator] || filter.operator} ${filter.value}`)
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Filtro en ${change.range}` + (conditions.length > 0 ? ` (${conditions.join('; ')})` : '')
+      }
+    }
+
+    case 'setSummaryTable': {
+      const { source, rows = [], columns = [], values = [] } = change.definition || {}
+      const measures = values.map(({ column, aggregation }) => aggregation === 'count'
+        ? AGGREGATION_LABELS.count
+        : `${AGGREGATION_LABELS[aggregation] || aggregation} ${column}`)
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Resumen de ${source?.sheet}!${source?.range} por ${[...rows, ...columns].join(', ')} en ${change.range} (${measures.join(', ')})`
+      }
+    }
+
+    case 'createChart': {
+      const { type, title, range } = change.chart || {}
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `${CHART_LABELS[type] || 'Gráfico'}` + (title ? ` "${title}"` : '') + ` de ${range}`
+      }
+    }
+
+    case 'deleteChart': {
+      const chart = (sheet.charts || []).find(c => c.id === change.id)
+      return {
+        sheet: sheetName,
+        kind: 'structure',
+        label: `Eliminar el gráfico ${chart?.title ? `"${chart.title}"` : change.id}`,
+        destructive: true
+      }
+    }
+
+    case 'addSheet':
+      return {
+        sheet: change.name,
+        kind: 'structure',
+        label: `Crear hoja "${change.name}"` + (change.index !== undefined ? ` en la posición ${change.index + 1}` : '')
+      }
+
+    case 'renameSheet':
+      return { sheet: change.sheet, kind: 'structure', label: `Renombrar hoja "${change.sheet}" a "${change.newName}"` }
+
+    case 'duplicateSheet':
+      return { sheet: change.sheet, kind: 'structure', label: `Duplicar hoja "${change.sheet}" como "${change.newName}"` }
+
+    case 'deleteSheet':
+      return {
+        sheet: change.sheet,
+        kind: 'structure',
+        destructive: true,
+        label: `Eliminar hoja "${change.sheet}"` + (countDataRows(sheet) > 0 ? ` (${countDataRows(sheet)} filas con datos)` : '')
+      }
+
+    case 'moveSheet':
+      return { sheet: change.sheet, kind: 'structure', label: `Mover hoja "${change.sheet}" a la posición ${change.index + 1}` }
+
+    default:
+      return { sheet: sheetName, kind: 'structure', label: change.type }
+  }
+}
+
+/**
+ * Cells of the displayed sheet touched by a set of proposed changes, for highlighting in the grid.
+ * The grid shows the sheet before the changes, so a cell named after an earlier inserted,
+ * deleted or sorted row is traced back to where it is now.
+ * @param {Array} changes - Proposed changes, in the order the server made them
+ * @param {Array} sheets - Workbook sheets before the changes
+ * @param {string} sheetName - Sheet currently displayed, where changes without a sheet go
+ * @returns {Object|null} { cells: Set of "row,col", rows: Set, columns: Set } for deletions
+ */
+export function getChangeHighlights(changes, sheets, sheetName) {
+  if (!changes || changes.length === 0) return null
+
+  const highlights = { cells: new Set(), rows: new Set(), columns: new Set() }
+  // Rows and columns the earlier changes moved on the displayed sheet, in order
+  const moves = []
+  walkProposal(changes, sheets, sheetName, (change, current, displayedName) => {
+    if (!displayedName || SHEET_CHANGE_TYPES.has(change.type) || !sameSheet(change.sheet || displayedName, displayedName)) return
+    const addCell = (row, col) => {
+      const origin = traceBack(moves, { row, col })
+      if (origin) highlights.cells.add(`${origin.row},${origin.col}`)
+    }
+
+    switch (change.type) {
+      case 'setCellValue':
+      case 'setFormula': {
+        const ref = parseCellReference(change.cell)
+        if (ref) addCell(ref.row, ref.col)
+        break
+      }
+
+      case 'applyFormulaToRange':
+      case 'setNumberFormat':
+      case 'setCellStyle':
+      case 'createDropdown':
+      case 'removeDropdown':
+      case 'sortRange': {
+        const range = parseRangeReference(change.range)
+        if (!range?.start || !range?.end) break
+        for (let r = range.start.row; r <= range.end.row; r++) {
+          for (let c = range.start.col; c <= range.end.col; c++) addCell(r, c)
+        }
+        break
+      }
+
+      case 'setRangeValues': {
+        const start = parseCellReference(change.cell || '')
+        if (!start) break
+        ;(change.values || []).forEach((row, i) => {
+          ;(row || []).forEach((value, j) => addCell(start.row + i, start.col + j))
+        })
+        break
+      }
+
+      case 'deleteColumn': {
+        const ref = parseCellReference(change.cell || 'A1')
+        const origin = ref && traceBack(moves, { col: ref.col })
+        if (origin) highlights.columns.add(origin.col)
+        break
+      }
+
+      case 'deleteRow': {
+        const origin = traceBack(moves, { row: change.row ?? 0 })
+        if (origin) highlights.rows.add(origin.row)
+        break
+      }
+    }
+
+    const sheet = current.find(s => sameSheet(s.name, displayedName))
+    if (!sheet) return
+    try {
+      const move = change.type === 'sortRange' ? getSortOrder(sheet, change) : getShift(sheet, change)
+      if (move) moves.push(move)
+    } catch {
+      // An invalid change moves nothing
+    }
+  })
+
+  return highlights
+}
+
+// Hand each change the sheets with the earlier changes already made, and the sheet that
+// changes without one go to. A change that fails is skipped, as it fails when applied too.
+function walkProposal(changes, sheets, activeSheetName, visit) {
+  let current = sheets
+  let activeName = activeSheetName
+  changes.forEach(change => {
+    visit(change, current, activeName)
+    try {
+      if (SHEET_CHANGE_TYPES.has(change.type)) current = applySheetOperation(current, change)
+      else if (!NAME_CHANGE_TYPES.has(change.type)) current = applyChangesToWorkbook(current, change.sheet || activeName, [change])
+    } catch {
+      return
+    }
+    // Renaming the active sheet keeps it active
+    if (change.type === 'renameSheet' && sameSheet(change.sheet, activeName)) activeName = change.newName
+    if (change.type === 'deleteSheet' && sameSheet(change.sheet, activeName)) activeName = null
+  })
+}
+
+// Where a cell, a row (no col) or a column (no row) named after the given moves was before
+// them: shifts from inserted and deleted rows and columns, and rows moved by sorts. Null
+// when one of the moves inserted it.
+function traceBack(moves, { row, col }) {
+  for (let i = moves.length - 1; i >= 0; i--) {
+    const move = moves[i]
+    if (move.order) {
+      const { firstRow, lastRow, range, order } = move
+      const inColumns = col === undefined || (col >= range.startCol && col <= range.endCol)
+      if (row >= firstRow && row <= lastRow && inColumns) row = firstRow + order[row - firstRow]
+      continue
+    }
+    const position = move.axis === 'row' ? row : col
+    if (position === undefined || position < move.index) continue
+    if (move.count > 0 && position < move.index + move.count) return null
+    if (move.axis === 'row') row = position - move.count
+    else col = position - move.count
+  }
+  return { row, col }
+}
+
+// Cells a change writes, reads or moves, as a range; null when it has none
+function getCellsRange(change) {
+  switch (change.type) {
+    case 'setCellValue':
+    case 'setFormula':
+      return change.cell || null
+    case 'setRangeValues':
+      return getBlockRange(change)
+    case 'replaceInCells':
+      return change.range || WHOLE_SHEET
+    case 'applyFormulaToRange':
+    case 'setNumberFormat':
+    case 'setCellStyle':
+    case 'sortRange':
+      return change.range || null
+    default:
+      return null
+  }
+}
+
+// "A1:C10" covered by a setRangeValues block
+function getBlockRange(change) {
+  const start = parseCellReference(change.cell || '')
+  const rows = change.values || []
+  const width = Math.max(0, ...rows.map(row => row?.length || 0))
+  if (!start || rows.length === 0 || width === 0) return null
+  return `${change.cell}:${indexToColumnLetter(start.col + width - 1)}${start.row + rows.length}`
+}
+
+// Current content of a cell: formula if any, otherwise its value
+function readCell(sheet, cell) {
+  if (sheet.formulas?.[cell]) return sheet.formulas[cell]
+  const ref = parseCellReference(cell)
+  if (!ref) return '(vacío)'
+  return formatValue(sheet.data?.[ref.row]?.[ref.col])
+}
+
+function countFilledCells(sheet, range) {
+  const rangeRef = parseRangeReference(range)
+  if (!rangeRef?.start || !rangeRef?.end) return 0
+
+  let count = 0
+  for (let r = rangeRef.start.row; r <= rangeRef.end.row; r++) {
+    for (let c = rangeRef.start.col; c <= rangeRef.end.col; c++) {
+      const cell = indexToColumnLetter(c) + (r + 1)
+      const value = sheet.data?.[r]?.[c]
+      if (sheet.formulas?.[cell] || (value !== '' && value !== null && value !== undefined)) count++
+    }
+  }
+  return count
+}
+
+const STYLE_LABELS = {
+  bold: (v) => v ? 'negrita' : 'sin negrita',
+  italic: (v) => v ? 'cursiva' : 'sin cursiva',
+  fontColor: (v) => v ? `texto ${v}` : 'color de texto normal',
+  fillColor: (v) => v ? `relleno ${v}` : 'sin relleno',
+  align: (v) => v ? { left: 'alineado a la izquierda', center: 'centrado', right: 'alineado a la derecha' }[v] : 'alineación normal',
+  border: (v) => v ? `borde ${v}` : 'sin borde'
+}
+
+function describeStyle(style = {}) {
+  return Object.entries(style)
+    .filter(([key]) => STYLE_LABELS[key])
+    .map(([key, value]) => STYLE_LABELS[key](value))
+    .join(', ')
+}
+
+function countDataRows(sheet) {
+  return (sheet.data || []).filter(row => row?.some(v => v !== '' && v !== null && v !== undefined)).length
+}
+
+function formatValue(value) {
+  if (value === '' || value === null || value === undefined) return '(vacío)'
+  return String(value)
+}
@@ -0,0 +1,108 @@
+/**
+ * Charts shared by the browser, the server and the xlsx export.
+ * A sheet's chart is { id, type, title, range, hasHeader, cell }: the range holds the
+ * categories (or x values, for scatter) in its first column and one series per other
+ * column, with the series names in its first row when hasHeader is set.
+ * `cell` is the top-left cell the chart is placed at in the exported file.
+ */
+import { parseRange, toCellRef } from './cellRefs.js'
+
+export const CHART_TYPES = ['bar', 'line', 'pie', 'scatter']
+
+/**
+ * Check a chart definition
+ * @param {Object} chart - { id, type, range, title?, cell? }
+ * @returns {string|null} Error message, or null when it is fine
+ */
+export function validateChart(chart) {
+  if (!chart?.id) return 'A chart needs an id'
+  if (!CHART_TYPES.includes(chart.type)) return `Invalid chart type "${chart.type}": use ${CHART_TYPES.join(', ')}`
+  const bounds = parseBounds(chart.range)
+  if (!bounds) return `Invalid range "${chart.range}"`
+  const rows = bounds.endRow - bounds.startRow + 1 - (chart.hasHeader ? 1 : 0)
+  if (rows < 1) return `${chart.range} has no data rows`
+  if (chart.type === 'scatter' && bounds.endCol === bounds.startCol) {
+    return 'A scatter chart needs a column of x values and at least one column of y values'
+  }
+  if (chart.cell && !parseBounds(chart.cell)) return `Invalid cell "${chart.cell}"`
+  return null
+}
+
+/**
+ * A chart's categories and series, read from the sheet's computed values
+ * @param {Array} values - Computed values of the whole sheet
+ * @param {Object} chart - Chart definition
+ * @param {Function} [formatLabel] - (value, cellRef) => text for category labels, e.g. to show dates
+ * @returns {Object} { categories, series: [{ name, values }] } where blanks and text
+ *   in series are null; a single-column range is one series over row numbers.
+ *   Scatter charts get numeric categories (the x values).
+ */
+export function getChartData(values, chart, formatLabel = toLabel) {
+  const bounds = parseBounds(chart.range)
+  if (!bounds) return { categories: [], series: [] }
+  const firstRow = bounds.startRow + (chart.hasHeader ? 1 : 0)
+  const cell = (r, c) => values[r]?.[c]
+  const singleColumn = bounds.startCol === bounds.endCol
+  const seriesStart = singleColumn ? bounds.startCol : bounds.startCol + 1
+
+  const categories = []
+  for (let r = firstRow; r <= bounds.endRow; r++) {
+    const value = cell(r, bounds.startCol)
+    if (singleColumn) categories.push(r - firstRow + 1)
+    else if (chart.type === 'scatter') categories.push(toNumber(value))
+    else categories.push(isBlank(value) ? '' : formatLabel(value, toCellRef(r, bounds.startCol)))
+  }
+
+  const series = []
+  for (let c = seriesStart; c <= bounds.endCol; c++) {
+    const header = chart.hasHeader ? cell(bounds.startRow, c) : undefined
+    const seriesValues = []
+    for (let r = firstRow; r <= bounds.endRow; r++) seriesValues.push(toNumber(cell(r, c)))
+    series.push({
+      name: isBlank(header) ? `Serie ${series.length + 1}` : String(header),
+      values: seriesValues
+    })
+  }
+  // A pie shows one series
+  return { categories, series: chart.type === 'pie' ? series.slice(0, 1) : series }
+}
+
+/**
+ * The cell right of a range, where a new chart goes by default
+ * @param {string} range - e.g. "A1:C13"
+ */
+export function defaultChartCell(range) {
+  const bounds = parseBounds(range)
+  return bounds ? toCellRef(bounds.startRow, bounds.endCol + 2) : 'A1'
+}
+
+/**
+ * An id not used by the sheet's charts yet: chart1, chart2...
+ */
+export function nextChartId(charts = []) {
+  const used = new Set(charts.map(chart => chart.id))
+  let n = 1
+  while (used.has(`chart${n}`)) n++
+  return `chart${n}`
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === 'boolean') return value ? 1 : 0
+  return null
+}
+
+function toLabel(value) {
+  if (value instanceof Date) return value.toLocaleDateString('es-AR')
+  return typeof value === 'number' ? value : String(value)
+}
+
+function isBlank(value) {
+  return value === '' || value === null || value === undefined
+}
+
+// "A1:D10" or a single cell as 0-based bounds, anchors and case ignored
+function parseBounds(range) {
+  return parseRange(String(range || '').toUpperCase().replace(/\$/g, ''))
+}
@@ -0,0 +1,41 @@
+/**
+ * Chat sessions saved on the server (/api/sessions), so conversations survive a reload.
+ * Each call throws with the server's error message when the request fails.
+ */
+
+/**
+ * Sessions of a workbook, most recent first
+ * @param {string} workbook - File name the sessions were started with
+ * @returns {Promise<Array>} [{ id, title, workbook, createdAt, updatedAt, messageCount }]
+ */
+export async function listSessions(workbook) {
+  const { sessions } = await request(`/api/sessions?workbook=${encodeURIComponent(workbook)}`)
+  return sessions
+}
+
+/**
+ * A session with its messages as the chat shows them
+ * @returns {Promise<Object>} { id, title, workbook, transcript: [{ role, content, toolCalls?, timestamp }] }
+ */
+export function loadSession(id) {
+  return request(`/api/sessions/${id}`)
+}
+
+export function renameSession(id, title) {
+  return request(`/api/sessions/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title })
+  })
+}
+
+export function deleteSession(id) {
+  return request(`/api/sessions/${id}`, { method: 'DELETE' })
+}
+
+async function request(url, options) {
+  const response = await fetch(url, options)
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`)
+  return data
+}
@@ -0,0 +1,33 @@
+/**
+ * Read a streamed /api/chat response (NDJSON, one event per line)
+ * @param {Response} response - fetch response with `stream: true` requested
+ * @param {Function} onEvent - Called with each parsed event, in order
+ */
+export async function readChatStream(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const emitLine = (line) => {
+    if (line.trim()) onEvent(JSON.parse(line))
+  }
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) break
+
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split('\n')
+      // Keep the last, possibly incomplete, line for the next chunk
+      buffer = lines.pop()
+      lines.forEach(emitLine)
+    }
+
+    buffer += decoder.decode()
+    emitLine(buffer)
+  } catch (error) {
+    reader.cancel().catch(() => {})
+    throw error
+  }
+}
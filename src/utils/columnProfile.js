@@ -0,0 +1,292 @@
+/**
+ * Column profiling and data-quality checks, shared by the browser and the server.
+ * Works on computed values (row by row); dates can be Date objects or ISO text,
+ * since the server gets the workbook as JSON.
+ */
+import { detectHeaderRow } from './sortFilter.js'
+import { columnLetterToIndex, indexToColumnLetter, parseRange, toCellRef } from './cellRefs.js'
+
+// Cells listed per finding; counts always cover the whole column
+const MAX_CELLS = 20
+const TOP_VALUES = 5
+// Outliers are looked for only with enough numbers to tell
+const MIN_NUMBERS_FOR_OUTLIERS = 8
+// Tukey fences: beyond 3 interquartile ranges from the quartiles
+const OUTLIER_FENCE = 3
+// A column counts as a key (duplicates are a problem) when most values are unique
+const KEY_DISTINCT_RATIO = 0.9
+// Minority types below this share of a column are reported as mixed cells
+const MIXED_SHARE = 0.2
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/
+const ERROR_VALUE = /^#(?:NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|SPILL!|CALC!)/
+// Text that reads as a number, e.g. "1200", " 15,5 " or "$ 1.000"
+const NUMERIC_TEXT = /^\s*[-+]?\$?\s*\d[\d.,]*\s*%?\s*$/
+
+/**
+ * Profile the columns of a range
+ * @param {Array} values - Computed values of the whole sheet
+ * @param {Object} [options] - { range: 'A1:F500' (default: every used cell), columns: ['B', 'D'],
+ *   hasHeader (default: detected from the first two rows) }
+ * @returns {Object} { range, hasHeader, rows, columns: [profile] } where each profile is
+ *   { column, header, filled, empty, emptyCells, types, distinct, duplicates, topValues,
+ *     min?, max?, mean?, outliers?, mixedCells?, errors? } with cells as A1 references
+ */
+export function profileColumns(values, { range, columns, hasHeader } = {}) {
+  const bounds = range ? parseBounds(range) : usedBounds(values)
+  if (!bounds) return { range, hasHeader: false, rows: 0, columns: [] }
+  const header = hasHeader ?? detectHeaderRow(
+    [values[bounds.startRow] || [], values[bounds.startRow + 1] || []].map(row => row.slice(bounds.startCol, bounds.endCol + 1)),
+    bounds.startRow
+  )
+  const firstRow = bounds.startRow + (header ? 1 : 0)
+  // Blank rows past the data do not count as empty cells
+  let lastRow = Math.min(bounds.endRow, values.length - 1)
+  while (lastRow >= firstRow && !rowHasData(values[lastRow], bounds)) lastRow--
+
+  const wanted = columns ? new Set(columns.map(letter => columnLetterToIndex(String(letter).toUpperCase()))) : null
+  const profiles = []
+  for (let c = bounds.startCol; c <= bounds.endCol; c++) {
+    if (wanted && !wanted.has(c)) continue
+    const profile = {
+      column: indexToColumnLetter(c),
+      header: header ? values[bounds.startRow]?.[c] ?? '' : '',
+      ...profileColumn(values, c, firstRow, lastRow)
+    }
+    if (profile.filled === 0 && isBlank(profile.header) && !wanted) continue
+    profiles.push(profile)
+  }
+
+  return {
+    range: `${toCellRef(bounds.startRow, bounds.startCol)}:${toCellRef(Math.max(lastRow, bounds.startRow), bounds.endCol)}`,
+    hasHeader: header,
+    rows: Math.max(0, lastRow - firstRow + 1),
+    columns: profiles
+  }
+}
+
+/**
+ * Data-quality problems found in a profile, most serious first
+ * @param {Object} profile - Result of profileColumns
+ * @returns {Array} [{ kind, column, header, message, count, cells }] where kind is
+ *   'errors' | 'mixed' | 'empty' | 'duplicates' | 'outliers' and cells lists up to MAX_CELLS references
+ */
+export function findDataIssues(profile) {
+  const issues = []
+  profile.columns.forEach(column => {
+    const base = { column: column.column, header: column.header }
+    const total = column.filled + column.empty
+
+    if (column.errors?.count > 0) {
+      issues.push({ ...base, kind: 'errors', count: column.errors.count, cells: column.errors.cells,
+        message: `${plural(column.errors.count, 'celda', 'celdas')} con error` })
+    }
+    if (column.mixedCells?.count > 0) {
+      const { count, cells, expected } = column.mixedCells
+      issues.push({ ...base, kind: 'mixed', count, cells,
+        message: expected === 'text'
+          ? `${plural(count, 'número', 'números')} en una columna de texto`
+          : expected === 'number' && column.mixedCells.numericText === count
+            ? `${plural(count, 'número guardado', 'números guardados')} como texto`
+            : `${plural(count, 'valor', 'valores')} que no ${count === 1 ? 'es' : 'son'} ${TYPE_NAMES[expected]} en una columna de ${TYPE_NAMES[expected]}s` })
+    }
+    // Gaps in a column that is mostly filled; sparse columns are usually optional
+    if (column.empty > 0 && column.filled >= total / 2) {
+      issues.push({ ...base, kind: 'empty', count: column.empty, cells: column.emptyCells,
+        message: `${plural(column.empty, 'celda vacía', 'celdas vacías')}` })
+    }
+    // Repeats only matter in columns that look like keys (codes, emails, clients)
+    if (column.duplicates.count > 0 && column.distinct >= column.filled * KEY_DISTINCT_RATIO) {
+      issues.push({ ...base, kind: 'duplicates', count: column.duplicates.count,
+        cells: column.duplicates.values.flatMap(value => value.cells).slice(0, MAX_CELLS),
+        message: `${plural(column.duplicates.values.length, 'valor repetido', 'valores repetidos')} ` +
+          `(${column.duplicates.values.slice(0, 3).map(value => `"${formatValue(value.value)}" ×${value.count}`).join(', ')})` })
+    }
+    if (column.outliers?.count > 0) {
+      issues.push({ ...base, kind: 'outliers', count: column.outliers.count, cells: column.outliers.cells.map(cell => cell.cell),
+        message: `${plural(column.outliers.count, 'valor atípico', 'valores atípicos')} ` +
+          `(fuera de ${formatValue(column.outliers.low)} a ${formatValue(column.outliers.high)})` })
+    }
+  })
+  return issues
+}
+
+/**
+ * Values to profile: constants as typed and formulas as computed, since the formula
+ * engine reads text such as "120" as a number
+ * @param {Array} computed - Computed values of the sheet
+ * @param {Array} raw - Cell contents as entered
+ * @param {Function} [isFormula] - (row, col) => whether the cell holds a formula not written as "=..." in raw
+ */
+export function typedValues(computed, raw, isFormula = () => false) {
+  return computed.map((row, r) => row.map((value, c) => {
+    const typed = raw[r]?.[c]
+    return typeof typed === 'string' && !typed.startsWith('=') && !isFormula(r, c) ? typed : value
+  }))
+}
+
+export const TYPE_NAMES = { number: 'número', text: 'texto', date: 'fecha', boolean: 'booleano', error: 'error' }
+
+/**
+ * Kind of a computed value: number, text, date, boolean or error
+ */
+export function valueType(value) {
+  if (typeof value === 'number') return 'number'
+  if (typeof value === 'boolean') return 'boolean'
+  if (value instanceof Date) return 'date'
+  if (typeof value === 'string' && ISO_DATE.test(value)) return 'date'
+  if (typeof value === 'string' && ERROR_VALUE.test(value)) return 'error'
+  return 'text'
+}
+
+/**
+ * Short text for a value in messages: dates as YYYY-MM-DD, long text cut
+ */
+export function formatValue(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) return value.slice(0, 10)
+  if (typeof value === 'number') return String(Number(value.toFixed(4)))
+  const text = String(value)
+  return text.length > 40 ? text.slice(0, 39) + '…' : text
+}
+
+function profileColumn(values, c, firstRow, lastRow) {
+  const types = {}
+  const counts = new Map()
+  const numbers = []
+  const emptyCells = []
+  const errorCells = []
+  let empty = 0
+  let dateMin = null
+  let dateMax = null
+
+  for (let r = firstRow; r <= lastRow; r++) {
+    const value = values[r]?.[c]
+    const cell = toCellRef(r, c)
+    if (isBlank(value)) {
+      empty++
+      if (emptyCells.length < MAX_CELLS) emptyCells.push(cell)
+      continue
+    }
+    const type = valueType(value)
+    types[type] = (types[type] || 0) + 1
+    if (type === 'number') numbers.push({ cell, value })
+    if (type === 'error' && errorCells.length < MAX_CELLS) errorCells.push(cell)
+    if (type === 'date') {
+      const day = formatValue(value)
+      if (dateMin === null || day < dateMin) dateMin = day
+      if (dateMax === null || day > dateMax) dateMax = day
+    }
+
+    // Text compares ignoring case and surrounding spaces, like a person reading it
+    const key = type === 'text' ? `t:${value.trim().toLowerCase()}` : `${type}:${type === 'date' ? formatValue(value) : value}`
+    const entry = counts.get(key)
+    if (entry) {
+      entry.count++
+      if (entry.cells.length < 5) entry.cells.push(cell)
+    } else {
+      counts.set(key, { value, type, count: 1, cells: [cell] })
+    }
+  }
+
+  const filled = lastRow - firstRow + 1 - empty
+  const entries = [...counts.values()]
+  const repeated = entries.filter(entry => entry.count > 1).sort((a, b) => b.count - a.count)
+  const profile = {
+    filled,
+    empty,
+    emptyCells,
+    types,
+    distinct: entries.length,
+    duplicates: {
+      // Cells beyond the first occurrence of each value
+      count: repeated.reduce((sum, entry) => sum + entry.count - 1, 0),
+      values: repeated.slice(0, TOP_VALUES).map(({ value, count, cells }) => ({ value, count, cells }))
+    },
+    topValues: entries.slice().sort((a, b) => b.count - a.count).slice(0, TOP_VALUES).map(({ value, count }) => ({ value, count }))
+  }
+
+  if (numbers.length > 0) {
+    const sorted = numbers.map(n => n.value).sort((a, b) => a - b)
+    profile.min = sorted[0]
+    profile.max = sorted[sorted.length - 1]
+    profile.mean = sorted.reduce((sum, n) => sum + n, 0) / sorted.length
+    if (sorted.length >= MIN_NUMBERS_FOR_OUTLIERS) {
+      const q1 = quantile(sorted, 0.25)
+      const q3 = quantile(sorted, 0.75)
+      const low = q1 - OUTLIER_FENCE * (q3 - q1)
+      const high = q3 + OUTLIER_FENCE * (q3 - q1)
+      const outliers = numbers.filter(n => n.value < low || n.value > high)
+      if (q3 > q1 && outliers.length > 0) {
+        profile.outliers = { count: outliers.length, low, high, cells: outliers.slice(0, MAX_CELLS) }
+      }
+    }
+  }
+  if (dateMin !== null) {
+    profile.dateMin = dateMin
+    profile.dateMax = dateMax
+  }
+  if (types.error) profile.errors = { count: types.error, cells: errorCells }
+
+  // Cells of a minority type in a column that is mostly one kind, e.g. "1200" typed
+  // as text among numbers or a stray number among names
+  const main = Object.entries(types).filter(([type]) => type !== 'error').sort((a, b) => b[1] - a[1])[0]
+  if (main && (main[0] === 'number' || main[0] === 'text' || main[0] === 'date')) {
+    const odd = []
+    let oddCount = 0
+    for (let r = firstRow; r <= lastRow; r++) {
+      const value = values[r]?.[c]
+      if (isBlank(value)) continue
+      const type = valueType(value)
+      if (type === main[0] || type === 'error') continue
+      // Numbers among text, or text and numbers among numbers or dates
+      const mixed = main[0] === 'text' ? type === 'number' : type === 'text' || type === 'number'
+      if (!mixed) continue
+      oddCount++
+      if (odd.length < MAX_CELLS) odd.push({ cell: toCellRef(r, c), value })
+    }
+    if (oddCount > 0 && oddCount <= filled * MIXED_SHARE) {
+      profile.mixedCells = {
+        expected: main[0],
+        count: oddCount,
+        numericText: odd.filter(({ value }) => typeof value === 'string' && NUMERIC_TEXT.test(value)).length,
+        cells: odd.map(({ cell }) => cell)
+      }
+    }
+  }
+
+  return profile
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q
+  const below = Math.floor(position)
+  const above = Math.ceil(position)
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below)
+}
+
+function rowHasData(row, bounds) {
+  return (row || []).slice(bounds.startCol, bounds.endCol + 1).some(value => !isBlank(value))
+}
+
+// Bounds of every cell with data
+function usedBounds(values) {
+  const width = Math.max(0, ...values.map(row => row?.length || 0))
+  if (values.length === 0 || width === 0) return null
+  return { startRow: 0, startCol: 0, endRow: values.length - 1, endCol: width - 1 }
+}
+
+function plural(count, one, many) {
+  return `${count} ${count === 1 ? one : many}`
+}
+
+function isBlank(value) {
+  return value === '' || value === null || value === undefined
+}
+
+// "A1:D10" or a single cell as 0-based bounds, anchors and case ignored
+function parseBounds(range) {
+  return parseRange(String(range || '').toUpperCase().replace(/\$/g, ''))
+}
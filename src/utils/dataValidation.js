@@ -0,0 +1,199 @@
+/**
+ * Data validation helpers shared by the browser and the server.
+ * A dropdown is { range, formula, options, allowOther? } where `formula` is the
+ * Excel <formula1> text: a literal list ("Sí,No"), a range (Listas!$A$2:$A$20) or a defined name.
+ * Other validations are { range, type, operator, formula1, formula2?, ... } as in the file.
+ */
+import { tokenizeFormula, toAbsoluteReference, sameSheet } from './formulaReferences.js'
+import { parseRange } from './cellRefs.js'
+
+// Excel's limit for a literal list, quotes included
+const MAX_LITERAL_LENGTH = 255
+
+/**
+ * Build the <formula1> text for a dropdown from exactly one source
+ * @param {Object} source - { options } | { sourceRange } | { namedRange }
+ * @param {string} sheetName - Sheet the dropdown lives in, for unqualified ranges
+ * @throws {Error} If the source is missing, ambiguous or not valid in Excel
+ */
+export function buildListFormula({ options, sourceRange, namedRange }, sheetName) {
+  const sources = [options, sourceRange, namedRange].filter(source => source !== undefined && source !== null)
+  if (sources.length !== 1) throw new Error('Pass exactly one of options, sourceRange or namedRange')
+
+  if (options) {
+    const values = options.map(option => String(option).trim()).filter(Boolean)
+    if (values.length === 0) throw new Error('The list needs at least one option')
+    if (values.some(value => value.includes(',') || value.includes('"'))) {
+      throw new Error('Options cannot contain commas or quotes; put them in cells and use sourceRange instead')
+    }
+    const formula = `"${values.join(',')}"`
+    if (formula.length > MAX_LITERAL_LENGTH) {
+      throw new Error(`The options are longer than Excel's ${MAX_LITERAL_LENGTH} character limit; put them in cells and use sourceRange instead`)
+    }
+    return formula
+  }
+
+  if (sourceRange) {
+    // Absolute, so the list does not move when the dropdown covers several cells
+    const reference = toAbsoluteReference(sourceRange, sheetName)
+    if (!reference) throw new Error(`Invalid sourceRange "${sourceRange}"`)
+    return reference
+  }
+
+  if (!/^[A-Za-z_\\][A-Za-z0-9_.]*$/.test(namedRange)) throw new Error(`Invalid named range "${namedRange}"`)
+  return namedRange
+}
+
+/**
+ * Options a list formula offers
+ * @param {string} formula - <formula1> text
+ * @param {Object} context - { sheets, sheetName, namedRanges: { name: ref }, dropdownLists: { name: [options] } }
+ * @returns {Array} Option strings, empty if the formula cannot be resolved
+ */
+export function resolveListOptions(formula, { sheets = [], sheetName, namedRanges = {}, dropdownLists = {} } = {}) {
+  if (typeof formula !== 'string') return []
+  const text = formula.replace(/^=/, '').trim()
+
+  // Literal list: "Sí,No"
+  const literal = text.match(/^"(.*)"$/)
+  if (literal) {
+    return literal[1].split(',').map(option => option.trim()).filter(Boolean)
+  }
+
+  // Range reference
+  const tokens = tokenizeFormula(text)
+  if (tokens.length === 1 && tokens[0].type === 'reference') {
+    return readRangeValues(sheets, tokens[0].sheet || sheetName, tokens[0].body)
+  }
+
+  // Defined name, resolved by the parser (OFFSET lists) or pointing at a plain range
+  const name = Object.keys(namedRanges).find(key => key.toLowerCase() === text.toLowerCase())
+  if (name) {
+    if (dropdownLists[name]?.length) return dropdownLists[name]
+    return resolveListOptions(namedRanges[name], { sheets, sheetName, namedRanges: {}, dropdownLists })
+  }
+  return []
+}
+
+/**
+ * Whether two A1 ranges share at least one cell
+ */
+export function rangesOverlap(a, b) {
+  const first = parseRange(String(a).toUpperCase())
+  const second = parseRange(String(b).toUpperCase())
+  if (!first || !second) return false
+  return first.startRow <= second.endRow && second.startRow <= first.endRow &&
+    first.startCol <= second.endCol && second.startCol <= first.endCol
+}
+
+// Distinct non-empty values of a range, in order
+function readRangeValues(sheets, sheetName, body) {
+  const sheet = sheets.find(s => sameSheet(s.name, sheetName))
+  const bounds = parseRange(body.replace(/\$/g, '').toUpperCase())
+  if (!sheet || !bounds) return []
+
+  const values = []
+  const lastRow = Math.min(bounds.endRow, (sheet.data?.length || 0) - 1)
+  for (let r = bounds.startRow; r <= lastRow; r++) {
+    for (let c = bounds.startCol; c <= bounds.endCol; c++) {
+      const value = sheet.data[r]?.[c]
+      if (value === '' || value === null || value === undefined) continue
+      const text = String(value)
+      if (!values.includes(text)) values.push(text)
+    }
+  }
+  return values
+}
+
+/**
+ * Whether a value passes a whole, decimal, date, time or textLength validation.
+ * Blank cells always pass, like clearing a cell in Excel. Custom formulas and
+ * operands that cannot be resolved are not checked.
+ * @param {Object} validation - { type, operator, formula1, formula2 }
+ * @param {*} value - The cell value
+ * @param {Function} getCellValue - Reads a cell of the same sheet ("B1") for operands that reference one
+ * @returns {boolean}
+ */
+export function checkValidation(validation, value, getCellValue = () => undefined) {
+  if (value === '' || value === null || value === undefined) return true
+
+  const { type, operator = 'between' } = validation
+  let actual
+  switch (type) {
+    case 'whole':
+    case 'decimal':
+      actual = toNumber(value)
+      if (Number.isNaN(actual) || (type === 'whole' && !Number.isInteger(actual))) return false
+      break
+    case 'date':
+      actual = toDateSerial(value)
+      if (Number.isNaN(actual)) return false
+      break
+    case 'time':
+      actual = toTimeFraction(value)
+      if (Number.isNaN(actual)) return false
+      break
+    case 'textLength':
+      actual = String(value).length
+      break
+    default:
+      return true
+  }
+
+  const toOperand = formula => {
+    const operand = resolveOperand(formula, getCellValue)
+    if (type === 'date') return toDateSerial(operand)
+    if (type === 'time') return toTimeFraction(operand)
+    return toNumber(operand)
+  }
+  const first = toOperand(validation.formula1)
+  const second = toOperand(validation.formula2)
+  if (Number.isNaN(first) || (/between/i.test(operator) && Number.isNaN(second))) return true
+
+  switch (operator) {
+    case 'between': return actual >= Math.min(first, second) && actual <= Math.max(first, second)
+    case 'notBetween': return actual < Math.min(first, second) || actual > Math.max(first, second)
+    case 'equal': return actual === first
+    case 'notEqual': return actual !== first
+    case 'greaterThan': return actual > first
+    case 'lessThan': return actual < first
+    case 'greaterThanOrEqual': return actual >= first
+    case 'lessThanOrEqual': return actual <= first
+    default: return true
+  }
+}
+
+// A validation operand: a literal, a quoted literal or a reference to a single cell
+function resolveOperand(formula, getCellValue) {
+  if (formula === undefined || formula === null || formula === '') return NaN
+  const text = String(formula).replace(/^=/, '').trim()
+  const quoted = text.match(/^"(.*)"$/)
+  if (quoted) return quoted[1]
+  const cell = text.match(/^\$?([A-Za-z]+)\$?(\d+)$/)
+  if (cell) return getCellValue(`${cell[1].toUpperCase()}${cell[2]}`) ?? NaN
+  return text
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value
+  if (typeof value === 'string' && value.trim() !== '') return Number(value)
+  return NaN
+}
+
+// Excel date serial (days since 1899-12-30) of a number, Date or date text
+function toDateSerial(value) {
+  if (typeof value === 'number' || /^\s*-?\d+(\.\d+)?\s*$/.test(value)) return Number(value)
+  const date = value instanceof Date ? value : new Date(String(value))
+  if (Number.isNaN(date.getTime())) return toNumber(value)
+  const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds())
+  return (utc - Date.UTC(1899, 11, 30)) / 86400000
+}
+
+// Fraction of a day of a number, Date or "hh:mm[:ss]" text
+function toTimeFraction(value) {
+  if (typeof value === 'number' || /^\s*-?\d+(\.\d+)?\s*$/.test(value)) return Number(value)
+  if (value instanceof Date) return (value.getHours() * 3600 + value.getMinutes() * 60 + value.getSeconds()) / 86400
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/)
+  if (!match) return toNumber(value)
+  return (Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0)) / 86400
+}
@@ -1,4 +1,11 @@
 import * as XLSX from 'xlsx'
+import JSZip from 'jszip'
+import { tokenizeFormula, formatTokens, addFunctionPrefixes, quoteSheetName } from './formulaReferences'
+import { applyCellStyles, hasVisualStyle } from './xlsxStyles'
+import { applyDataValidations } from './xlsxValidations'
+import { applyAutoFilters } from './xlsxAutoFilter'
+import { applyCharts } from './xlsxCharts'
+import { getHiddenRows } from './sortFilter'
 
 /**
  * Export workbook by modifying the ORIGINAL file, preserving all features
@@ -7,7 +14,7 @@ import * as XLSX from 'xlsx'
  * @param {number} activeSheetIndex - Index of the currently active sheet
  * @param {string} fileName - Original filename
  */
-export function downloadExcel(workbook, spreadsheetRef, fileName = 'export.xlsx') {
+export async function downloadExcel(workbook, spreadsheetRef, fileName = 'export.xlsx') {
   if (!workbook.originalArrayBuffer) {
     console.error('No original file data available')
     alert('Error: No se puede exportar sin el archivo original')
@@ -25,6 +32,10 @@ export function downloadExcel(workbook, spreadsheetRef, fileName = 'export.xlsx'
     bookDeps: true, // Preserve dependencies
   })
 
+  // Match the original file's sheets to the current tabs (added, renamed, deleted, moved)
+  syncSheetList(originalWb, workbook.sheets)
+  syncDefinedNames(originalWb, workbook.namedRanges || {})
+
   // Get current data from the spreadsheet ref for all sheets
   workbook.sheets.forEach((sheet, sheetIndex) => {
     const wsName = sheet.name
@@ -43,8 +54,9 @@ export function downloadExcel(workbook, spreadsheetRef, fileName = 'export.xlsx'
           const value = currentData[r][c]
           const formula = currentFormulas[cellRef]
 
-          // Skip empty cells that were already empty
-          if ((value === '' || value === null || value === undefined) && !ws[cellRef]) {
+          // Empty cells: skip, or clear what the original file had there
+          if ((value === '' || value === null || value === undefined) && !formula) {
+            delete ws[cellRef]
             continue
           }
 
@@ -52,7 +64,7 @@ export function downloadExcel(workbook, spreadsheetRef, fileName = 'export.xlsx'
           if (formula && formula.startsWith('=')) {
             // It's a formula - update the formula
             if (!ws[cellRef]) ws[cellRef] = {}
-            ws[cellRef].f = formula.substring(1) // Remove leading =
+            ws[cellRef].f = addFunctionPrefixes(formula.substring(1)) // Remove leading =, prefix newer functions
             // Let Excel recalculate the value
             delete ws[cellRef].v
           } else if (value !== '' && value !== null && value !== undefined) {
@@ -83,6 +95,29 @@ export function downloadExcel(workbook, spreadsheetRef, fileName = 'export.xlsx'
       }
     }
 
+    // Cells past the current data were removed (e.g. deleted rows or columns)
+    Object.keys(ws).forEach(key => {
+      if (key.startsWith('!')) return
+      const { r, c } = XLSX.utils.decode_cell(key)
+      if (r >= (currentData?.length || 0) || c >= (currentData?.[r]?.length || 0)) delete ws[key]
+    })
+
+    // Number formats are written by SheetJS; other styles are added after writing.
+    // Empty cells with a style get an empty value so they exist in the file.
+    Object.entries(sheet.styles || {}).forEach(([cellRef, style]) => {
+      if (!ws[cellRef]) {
+        if (!hasVisualStyle(style)) return
+        ws[cellRef] = { t: 's', v: '' }
+      }
+      if (style.numFmt) ws[cellRef].z = style.numFmt
+    })
+
+    // Merges follow inserted and deleted rows and columns
+    if (sheet.merges) ws['!merges'] = sheet.merges
+
+    // The filter's range and the rows it hides; its conditions are added after writing
+    syncAutoFilter(originalWb, ws, sheet, sheetIndex)
+
     // Update the range if needed
     const range = XLSX.utils.decode_range(ws['!ref'] || 'A1')
     const newMaxRow = currentData?.length || 0
@@ -102,8 +137,16 @@ export function downloadExcel(workbook, spreadsheetRef, fileName = 'export.xlsx'
     bookVBA: true
   })
 
+  // Add what SheetJS cannot write
+  const zip = await JSZip.loadAsync(wbout)
+  await applyCellStyles(zip, workbook.sheets)
+  await applyDataValidations(zip, workbook.sheets)
+  await applyAutoFilters(zip, workbook.sheets)
+  await applyCharts(zip, workbook.sheets)
+  const output = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' })
+
   // Create blob and download
-  const blob = new Blob([wbout], { 
+  const blob = new Blob([output], { 
     type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
   })
   
@@ -121,6 +164,145 @@ export function downloadExcel(workbook, spreadsheetRef, fileName = 'export.xlsx'
   URL.revokeObjectURL(url)
 }
 
+/**
+ * Set a worksheet's AutoFilter range and hide the rows its conditions leave out.
+ * Rows the original filter hid are shown again first, since the conditions may have changed.
+ */
+function syncAutoFilter(wb, ws, sheet, sheetIndex) {
+  const rows = ws['!rows'] || []
+  ;[ws['!autofilter']?.ref, sheet.autoFilter?.range].filter(Boolean).forEach(ref => {
+    const { s, e } = XLSX.utils.decode_range(ref)
+    for (let r = s.r + 1; r <= e.r; r++) {
+      if (rows[r]?.hidden) rows[r] = { ...rows[r], hidden: false }
+    }
+  })
+
+  if (sheet.autoFilter) {
+    ws['!autofilter'] = { ref: sheet.autoFilter.range }
+    markFilterNameHidden(wb, sheetIndex, sheet.autoFilter.range)
+    getHiddenRows(sheet.data || [], sheet.autoFilter).forEach(r => {
+      rows[r] = { ...rows[r], hidden: true }
+    })
+  } else if (ws['!autofilter']) {
+    delete ws['!autofilter']
+    // Excel keeps the filtered range in a hidden name, which goes with the filter
+    if (wb.Workbook?.Names) {
+      wb.Workbook.Names = wb.Workbook.Names.filter(n => n.Name !== '_xlnm._FilterDatabase' || n.Sheet !== sheetIndex)
+    }
+  }
+  ws['!rows'] = rows
+}
+
+/**
+ * Excel keeps a filter's range in the hidden name _xlnm._FilterDatabase. SheetJS adds
+ * the name when writing a filter that has none, but without `hidden`, so Excel would
+ * list it in the Name Manager: add it here first, hidden, and SheetJS only updates its range.
+ */
+function markFilterNameHidden(wb, sheetIndex, range) {
+  if (!wb.Workbook) wb.Workbook = { Sheets: [] }
+  if (!wb.Workbook.Names) wb.Workbook.Names = []
+  const existing = wb.Workbook.Names.find(n => n.Name === '_xlnm._FilterDatabase' && n.Sheet === sheetIndex)
+  if (existing) {
+    existing.Hidden = true
+  } else {
+    wb.Workbook.Names.push({ Name: '_xlnm._FilterDatabase', Sheet: sheetIndex, Ref: `${quoteSheetName(wb.SheetNames[sheetIndex])}!${range}`, Hidden: true })
+  }
+}
+
+/**
+ * Rebuild the original workbook's sheet list from the current sheets.
+ * Each sheet keeps its original worksheet (styles, widths, merges) via `sourceName`;
+ * copies get a clone and new sheets start empty. Defined names follow renames,
+ * and references to deleted sheets become #REF!.
+ */
+function syncSheetList(originalWb, sheets) {
+  // The sheet that keeps each original worksheet: same name first, otherwise the first one from it
+  const owners = {}
+  originalWb.SheetNames.forEach(sourceName => {
+    const owner = sheets.find(s => s.sourceName === sourceName && s.name === sourceName) ||
+      sheets.find(s => s.sourceName === sourceName)
+    owners[sourceName] = owner ? owner.name : null
+  })
+
+  const originalSheetInfo = originalWb.Workbook?.Sheets || []
+  const worksheets = {}
+  const sheetInfo = sheets.map(sheet => {
+    const source = sheet.sourceName && originalWb.Sheets[sheet.sourceName]
+    if (!source) {
+      worksheets[sheet.name] = { '!ref': 'A1' }
+    } else if (owners[sheet.sourceName] === sheet.name) {
+      worksheets[sheet.name] = source
+    } else {
+      worksheets[sheet.name] = structuredClone(source)
+    }
+    const original = originalSheetInfo[originalWb.SheetNames.indexOf(sheet.sourceName)]
+    return { ...original, name: sheet.name }
+  })
+
+  // Defined names: rewrite sheet references and move sheet-scoped names with their sheet
+  const newNames = {}
+  originalWb.SheetNames.forEach(name => { newNames[name.toLowerCase()] = owners[name] })
+  if (originalWb.Workbook?.Names) {
+    originalWb.Workbook.Names = originalWb.Workbook.Names
+      .map(definedName => {
+        const updated = { ...definedName, Ref: remapSheetReferences(definedName.Ref, newNames) }
+        if (definedName.Sheet !== undefined && definedName.Sheet !== null) {
+          const owner = owners[originalWb.SheetNames[definedName.Sheet]]
+          if (!owner) return null
+          updated.Sheet = sheets.findIndex(s => s.name === owner)
+        }
+        return updated
+      })
+      .filter(Boolean)
+  }
+
+  originalWb.SheetNames = sheets.map(s => s.name)
+  originalWb.Sheets = worksheets
+  if (!originalWb.Workbook) originalWb.Workbook = {}
+  originalWb.Workbook.Sheets = sheetInfo
+}
+
+/**
+ * Write the workbook's defined names to Workbook.Names: workbook-scoped names take
+ * their current reference, deleted names are dropped and new ones are added.
+ * Sheet-scoped names keep what syncSheetList made of them.
+ */
+function syncDefinedNames(originalWb, namedRanges) {
+  const findKey = name => Object.keys(namedRanges).find(key => key.toLowerCase() === name.toLowerCase())
+  const written = new Set()
+
+  const names = (originalWb.Workbook?.Names || [])
+    .map(definedName => {
+      const key = findKey(definedName.Name)
+      if (key === undefined) return null
+      written.add(key)
+      const isSheetScoped = definedName.Sheet !== undefined && definedName.Sheet !== null
+      return isSheetScoped ? definedName : { ...definedName, Name: key, Ref: namedRanges[key] }
+    })
+    .filter(Boolean)
+
+  Object.entries(namedRanges).forEach(([name, ref]) => {
+    if (!written.has(name)) names.push({ Name: name, Ref: ref })
+  })
+
+  if (!originalWb.Workbook) originalWb.Workbook = {}
+  originalWb.Workbook.Names = names
+}
+
+// Point references at the current sheet names in one pass (safe for swapped names);
+// `newNames` maps lowercased original names to the new name, or null when deleted
+function remapSheetReferences(formula, newNames) {
+  if (typeof formula !== 'string') return formula
+  const tokens = tokenizeFormula(formula).map(token => {
+    if (token.type !== 'reference' || token.sheet === null) return token
+    const key = token.sheet.toLowerCase()
+    if (!(key in newNames)) return token
+    if (newNames[key] === null) return { type: 'text', text: '#REF!' }
+    return { ...token, sheet: newNames[key] }
+  })
+  return formatTokens(tokens)
+}
+
 /**
  * Get export data - sync current spreadsheet state to workbook
  */
@@ -1,5 +1,10 @@
 import * as XLSX from 'xlsx'
 import JSZip from 'jszip'
+import { resolveListOptions } from './dataValidation'
+import { parseAutoFilter } from './xlsxAutoFilter'
+import { parseCharts } from './xlsxCharts'
+import { removeFunctionPrefixes } from './formulaReferences'
+import { columnLetterToIndex } from './cellRefs'
 
 /**
  * Parse an Excel file and convert it to our internal format
@@ -24,8 +29,8 @@ export async function parseExcelFile(file) {
     bookDeps: true
   })
   
-  // Extract data validations from raw XML
-  const validations = await extractDataValidations(arrayBuffer, workbook.SheetNames)
+  // Extract data validations, filters and charts from raw XML, keyed by sheet name
+  const { validations, autoFilters, charts } = await extractSheetXmlData(arrayBuffer)
   
   // Get named ranges
   const namedRanges = {}
@@ -38,29 +43,39 @@ export async function parseExcelFile(file) {
   // Resolve dropdown lists from named ranges
   const dropdownLists = resolveDropdownLists(workbook, namedRanges)
   
-  const sheets = workbook.SheetNames.map((sheetName, idx) => {
+  const sheets = workbook.SheetNames.map((sheetName) => {
     const worksheet = workbook.Sheets[sheetName]
     const { data: sheetData, formulas } = convertSheetToData(worksheet)
     
-    // Get dropdowns for this sheet
-    const sheetValidations = validations[idx] || []
-    const dropdowns = sheetValidations.map(v => ({
-      range: v.sqref,
-      listName: v.formula,
-      options: dropdownLists[v.formula] || []
-    })).filter(d => d.options.length > 0)
+    // Lists become dropdowns; every other type is checked by the grid
+    const sheetValidations = validations[sheetName] || []
+    const dropdowns = sheetValidations.filter(v => v.type === 'list').map(toDropdown)
     
     return {
       name: sheetName,
+      // Name in the original file, so export can find the sheet after a rename
+      sourceName: sheetName,
       data: sheetData,
       formulas: formulas,
       dropdowns: dropdowns,
+      validations: sheetValidations.filter(v => v.type !== 'list'),
       merges: worksheet['!merges'] || [],
+      autoFilter: autoFilters[sheetName] || null,
+      charts: charts[sheetName] || [],
       colWidths: getColumnWidths(worksheet),
       rowHeights: getRowHeights(worksheet)
     }
   })
   
+  // List options can come from any sheet, so they are read once every sheet is converted
+  sheets.forEach(sheet => {
+    sheet.dropdowns = sheet.dropdowns.map(dropdown => ({
+      ...dropdown,
+      options: dropdownLists[dropdown.formula] ||
+        resolveListOptions(dropdown.formula, { sheets, sheetName: sheet.name, namedRanges, dropdownLists })
+    }))
+  })
+  
   return {
     sheets,
     namedRanges,
@@ -72,40 +87,133 @@ export async function parseExcelFile(file) {
 }
 
 /**
- * Extract data validations from the raw xlsx file
+ * Extract data validations, AutoFilters and charts from the raw xlsx file, keyed by sheet name.
+ * Each validation covers a single range; a multi-range sqref is split.
  */
-async function extractDataValidations(arrayBuffer, sheetNames) {
+async function extractSheetXmlData(arrayBuffer) {
   try {
     const zip = await JSZip.loadAsync(arrayBuffer)
     const validations = {}
+    const autoFilters = {}
+    const charts = {}
+    const sheetPaths = await getSheetPaths(zip)
     
-    for (let i = 0; i < sheetNames.length; i++) {
-      const sheetFile = `xl/worksheets/sheet${i + 1}.xml`
-      const file = zip.file(sheetFile)
+    for (const [sheetName, path] of Object.entries(sheetPaths)) {
+      const file = zip.file(path)
       if (!file) continue
       
       const xml = await file.async('string')
-      const matches = xml.match(/<dataValidation[^]*?<\/dataValidation>/g)
-      
-      if (matches) {
-        validations[i] = matches.map(v => {
-          const sqref = v.match(/sqref="([^"]+)"/)
-          const formula = v.match(/<formula1>([^<]+)<\/formula1>/)
-          return {
-            sqref: sqref ? sqref[1] : null,
-            formula: formula ? formula[1] : null
-          }
-        }).filter(v => v.sqref && v.formula)
-      }
+      // Plain validations, and the x14 ones Excel writes for lists on other sheets
+      const matches = xml.match(/<(?:x14:)?dataValidation\b[^>]*?(?:\/>|>[^]*?<\/(?:x14:)?dataValidation>)/g) || []
+      validations[sheetName] = matches.flatMap(parseDataValidation)
+      autoFilters[sheetName] = parseAutoFilter(xml)
+      charts[sheetName] = await parseCharts(zip, path, xml, sheetName)
     }
     
-    return validations
+    return { validations, autoFilters, charts }
   } catch (e) {
     console.error('Error extracting data validations:', e)
-    return {}
+    return { validations: {}, autoFilters: {}, charts: {} }
   }
 }
 
+/**
+ * Worksheet file of each sheet, from workbook.xml and its relationships
+ */
+async function getSheetPaths(zip) {
+  const workbookXml = await zip.file('xl/workbook.xml')?.async('string') || ''
+  const relsXml = await zip.file('xl/_rels/workbook.xml.rels')?.async('string') || ''
+  
+  const targets = {}
+  ;(relsXml.match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+    const attrs = parseAttributes(tag)
+    targets[attrs.Id] = attrs.Target
+  })
+  
+  const paths = {}
+  ;(workbookXml.match(/<sheet\b[^>]*>/g) || []).forEach(tag => {
+    const attrs = parseAttributes(tag)
+    const idKey = Object.keys(attrs).find(key => /(^|:)id$/.test(key))
+    const target = targets[attrs[idKey]]
+    if (!target) return
+    paths[attrs.name] = target.startsWith('/') ? target.slice(1) : 'xl/' + target.replace(/^\.\//, '')
+  })
+  return paths
+}
+
+/**
+ * Read one <dataValidation> element into one validation per range
+ */
+function parseDataValidation(xml) {
+  const attrs = parseAttributes(xml.match(/^<[^>]*>/)[0])
+  const sqref = xml.startsWith('<x14:')
+    ? decodeXml(xml.match(/<xm:sqref>([^<]*)<\/xm:sqref>/)?.[1] || '')
+    : attrs.sqref || ''
+  const readFormula = n => {
+    const match = xml.match(new RegExp(`<(?:x14:)?formula${n}>(?:<xm:f>)?([^<]*)`))
+    return match ? decodeXml(match[1]) : undefined
+  }
+  const isSet = name => attrs[name] === '1' || attrs[name] === 'true'
+  
+  const validation = {
+    type: attrs.type || 'none',
+    operator: attrs.operator || 'between',
+    formula1: readFormula(1),
+    formula2: readFormula(2),
+    allowBlank: isSet('allowBlank'),
+    // Despite its name, set means the in-cell arrow of a list is hidden
+    showDropDown: isSet('showDropDown'),
+    showErrorMessage: isSet('showErrorMessage'),
+    errorStyle: attrs.errorStyle || 'stop',
+    errorTitle: attrs.errorTitle,
+    error: attrs.error,
+    showInputMessage: isSet('showInputMessage'),
+    promptTitle: attrs.promptTitle,
+    prompt: attrs.prompt
+  }
+  Object.keys(validation).forEach(key => validation[key] === undefined && delete validation[key])
+  
+  return sqref.split(/\s+/).filter(Boolean).map(range => ({
+    range: range.includes(':') ? range : `${range}:${range}`,
+    ...validation
+  }))
+}
+
+/**
+ * A list validation as a dropdown; options are resolved once every sheet is read
+ */
+function toDropdown({ range, formula1, type, operator, formula2, showErrorMessage, ...rest }) {
+  return {
+    range,
+    listName: formula1,
+    formula: formula1,
+    options: [],
+    ...(showErrorMessage ? {} : { allowOther: true }),
+    ...rest
+  }
+}
+
+/**
+ * Attributes of an XML start tag, decoded
+ */
+function parseAttributes(tag) {
+  const attrs = {}
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attrs[name] = decodeXml(value)
+  }
+  return attrs
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&amp;/g, '&')
+}
+
 /**
  * Resolve dropdown lists from named ranges
  */
@@ -167,7 +275,7 @@ function convertSheetToData(worksheet) {
       if (cell) {
         // Store formula if exists
         if (cell.f) {
-          formulas[cellAddress] = '=' + cell.f
+          formulas[cellAddress] = '=' + removeFunctionPrefixes(cell.f)
         }
         
         // Get display value
@@ -205,57 +313,3 @@ function getRowHeights(worksheet) {
   const rows = worksheet['!rows'] || []
   return rows.map(row => row?.hpx || row?.hpt || 23)
 }
-
-/**
- * Convert column letter to index (A=0, B=1, etc.)
- */
-export function columnLetterToIndex(letter) {
-  let index = 0
-  for (let i = 0; i < letter.length; i++) {
-    index = index * 26 + (letter.charCodeAt(i) - 64)
-  }
-  return index - 1
-}
-
-/**
- * Convert column index to letter (0=A, 1=B, etc.)
- */
-export function indexToColumnLetter(index) {
-  let letter = ''
-  index++
-  while (index > 0) {
-    const remainder = (index - 1) % 26
-    letter = String.fromCharCode(65 + remainder) + letter
-    index = Math.floor((index - 1) / 26)
-  }
-  return letter
-}
-
-/**
- * Parse a cell reference like "A1" into { row, col }
- */
-export function parseCellReference(ref) {
-  const match = ref.match(/^([A-Z]+)(\d+)$/)
-  if (!match) return null
-  
-  const col = columnLetterToIndex(match[1])
-  const row = parseInt(match[2], 10) - 1
-  
-  return { row, col }
-}
-
-/**
- * Parse a range reference like "A1:B10" into { start, end }
- */
-export function parseRangeReference(range) {
-  const parts = range.split(':')
-  if (parts.length === 1) {
-    const cell = parseCellReference(parts[0])
-    return { start: cell, end: cell }
-  }
-  
-  return {
-    start: parseCellReference(parts[0]),
-    end: parseCellReference(parts[1])
-  }
-}
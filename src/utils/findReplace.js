@@ -0,0 +1,104 @@
+/**
+ * Find and replace across a workbook, shared by the browser and the server.
+ * Criteria are either text ({ query, regex?, matchCase?, wholeCell? }) or a comparison
+ * ({ operator, value }) with the same operators as the sheet filter.
+ */
+import { matchesFilter } from './sortFilter.js'
+import { sameSheet } from './formulaReferences.js'
+import { parseRange, toCellRef } from './cellRefs.js'
+
+const MAX_MATCHES = 500
+const COMPARISONS = new Set(['equal', 'notEqual', 'greaterThan', 'greaterThanOrEqual', 'lessThan', 'lessThanOrEqual'])
+
+/**
+ * Build a text matcher for a search
+ * @param {Object} criteria - { query, regex, matchCase, wholeCell }
+ * @returns {Object} { test(text), replace(text, replacement) }
+ * @throws {Error} If the query is empty or not a valid regular expression
+ */
+export function createMatcher({ query, regex = false, matchCase = false, wholeCell = false }) {
+  if (query === undefined || query === null || query === '') throw new Error('Search text cannot be empty')
+  const source = regex ? String(query) : String(query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  let pattern
+  try {
+    pattern = new RegExp(wholeCell ? `^(?:${source})$` : source, matchCase ? 'g' : 'gi')
+  } catch {
+    throw new Error(`Invalid regular expression "${query}"`)
+  }
+
+  return {
+    test: text => {
+      pattern.lastIndex = 0
+      return pattern.test(text)
+    },
+    // Plain text is inserted as is; a regular expression's replacement may use $1, $2...
+    replace: (text, replacement) => text.replace(pattern, regex ? replacement : () => replacement)
+  }
+}
+
+/**
+ * Cells matching a search, sheet by sheet in workbook order
+ * @param {Array} sheets - [{ name, data, formulas }] with data holding computed values
+ * @param {Object} criteria - Text or comparison criteria, plus lookIn ('values' or 'formulas'),
+ *   sheet (search one sheet only) and range ('A1:D50', with sheet)
+ * @param {number} [limit] - Most matches to return
+ * @returns {Object} { matches: [{ sheet, cell, row, col, value, formula? }], total }
+ * @throws {Error} If the criteria are invalid
+ */
+export function findCells(sheets, criteria, limit = MAX_MATCHES) {
+  const isMatch = buildPredicate(criteria)
+  // Comparisons always look at what cells show
+  const inFormulas = criteria.lookIn === 'formulas' && !criteria.operator
+  const bounds = criteria.range ? parseRange(String(criteria.range).toUpperCase().replace(/\$/g, '')) : null
+  if (criteria.range && !bounds) throw new Error(`Invalid range "${criteria.range}"`)
+
+  const matches = []
+  let total = 0
+  sheets
+    .filter(sheet => !criteria.sheet || sameSheet(sheet.name, criteria.sheet))
+    .forEach(sheet => {
+      ;(sheet.data || []).forEach((row, r) => {
+        ;(row || []).forEach((value, c) => {
+          if (bounds && (r < bounds.startRow || r > bounds.endRow || c < bounds.startCol || c > bounds.endCol)) return
+          const cell = toCellRef(r, c)
+          const formula = sheet.formulas?.[cell]
+          if (!isMatch(inFormulas ? formula ?? value : value)) return
+          total++
+          if (matches.length < limit) {
+            matches.push({ sheet: sheet.name, cell, row: r, col: c, value, ...(formula ? { formula } : {}) })
+          }
+        })
+      })
+    })
+  return { matches, total }
+}
+
+/**
+ * Replace text in a cell's content (a constant or a formula's text)
+ * @param {*} content - The cell's formula, or its value when it has none
+ * @param {Object} matcher - From createMatcher
+ * @param {string} replacement - Replacement text
+ * @returns {*} The new content, or undefined when the cell does not match.
+ *   Numeric text becomes a number, as when typed into Excel.
+ */
+export function replaceInContent(content, matcher, replacement) {
+  if (!isSearchable(content) || !matcher.test(String(content))) return undefined
+  const replaced = matcher.replace(String(content), replacement)
+  if (replaced.startsWith('=')) return replaced
+  return replaced.trim() !== '' && !Number.isNaN(Number(replaced)) ? Number(replaced) : replaced
+}
+
+function buildPredicate(criteria) {
+  if (criteria.operator) {
+    // Against a number only numbers compare, so headers never match "greater than 1000"
+    const numeric = COMPARISONS.has(criteria.operator) && String(criteria.value ?? '').trim() !== '' && !Number.isNaN(Number(criteria.value))
+    return value => isSearchable(value) && (!numeric || typeof value === 'number') && matchesFilter(value, criteria)
+  }
+  const matcher = createMatcher(criteria)
+  return value => isSearchable(value) && matcher.test(String(value))
+}
+
+// Text, numbers and booleans; blanks and other objects never match
+function isSearchable(value) {
+  return value !== '' && value !== null && value !== undefined && typeof value !== 'object'
+}
@@ -0,0 +1,400 @@
+/**
+ * A1 formula tokenizer and reference rewriting.
+ * Pure functions (no Excel/DOM dependencies) shared by the browser and the server.
+ */
+import { columnLetterToIndex, indexToColumnLetter } from './cellRefs.js'
+
+// Error literals (#REF!, #DIV/0!, #N/A, ...) that must not be read as sheet names
+const ERROR_LITERAL = /^#(?:NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|GETTING_DATA|SPILL!|CALC!)/i
+
+// Reference bodies, tried in order: cell or cell range, column range, row range
+const CELL_RANGE = /^\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?/
+const COLUMN_RANGE = /^\$?[A-Za-z]{1,3}:\$?[A-Za-z]{1,3}(?![A-Za-z0-9_(])/
+const ROW_RANGE = /^\$?\d+:\$?\d+(?![0-9.])/
+
+// Last 0-based row and column of an Excel sheet (1048576 rows, columns up to XFD)
+const LAST_INDEX = { row: 1048575, col: 16383 }
+
+// Characters that can continue a name (function, defined name, unquoted sheet)
+const NAME_CHAR = /[A-Za-z0-9_.\u00C0-\uFFFF]/
+const UNQUOTED_SHEET = /^[A-Za-z0-9_.\u00C0-\uFFFF]+(?=!)/
+
+// Functions added after Excel 2007 that need the "_xlfn." prefix, followed by "("
+const FUTURE_FUNCTIONS = new RegExp(
+  `(?<![A-Za-z0-9_.])(${['MINIFS', 'MAXIFS', 'IFS', 'IFNA', 'SWITCH', 'CONCAT', 'TEXTJOIN', 'XOR', 'XLOOKUP', 'XMATCH', 'DAYS', 'ISOWEEKNUM'].join('|')})\\s*\\(`,
+  'gi'
+)
+
+/**
+ * Split a formula into tokens, preserving every character.
+ * @param {string} formula - Formula text, with or without leading "="
+ * @returns {Array} Tokens: { type: 'text' | 'string' | 'reference', text } where
+ *   references also carry `sheet` (null when unqualified) and `body` (e.g. "$A$1:B2")
+ */
+export function tokenizeFormula(formula) {
+  const tokens = []
+  let text = ''
+  let i = 0
+
+  const pushText = (chars) => { text += chars }
+  const flushText = () => {
+    if (text) tokens.push({ type: 'text', text })
+    text = ''
+  }
+
+  while (i < formula.length) {
+    const rest = formula.slice(i)
+    const ch = formula[i]
+    const prev = i > 0 ? formula[i - 1] : ''
+    const atNameStart = !NAME_CHAR.test(prev) && prev !== '#' && prev !== ']' && prev !== '['
+
+    // String literal, "" escapes a quote
+    if (ch === '"') {
+      const match = rest.match(/^"(?:[^"]|"")*"?/)
+      flushText()
+      tokens.push({ type: 'string', text: match[0] })
+      i += match[0].length
+      continue
+    }
+
+    // Error literal
+    if (ch === '#') {
+      const match = rest.match(ERROR_LITERAL)
+      if (match) {
+        pushText(match[0])
+        i += match[0].length
+        continue
+      }
+    }
+
+    // Structured reference (Table[Column]) is kept verbatim
+    if (ch === '[') {
+      const end = findClosingBracket(formula, i)
+      pushText(formula.slice(i, end))
+      i = end
+      continue
+    }
+
+    // Quoted sheet name: 'My Sheet'!A1
+    if (ch === "'" && atNameStart) {
+      const match = rest.match(/^'((?:[^']|'')+)'!/)
+      if (match) {
+        const bodyText = readReferenceBody(formula.slice(i + match[0].length))
+        flushText()
+        tokens.push({
+          type: 'reference',
+          sheet: match[1].replace(/''/g, "'"),
+          body: bodyText,
+          text: match[0] + bodyText
+        })
+        i += match[0].length + bodyText.length
+        continue
+      }
+    }
+
+    if (atNameStart && NAME_CHAR.test(ch)) {
+      // Unquoted sheet name: Ventas!A1
+      const sheetMatch = rest.match(UNQUOTED_SHEET)
+      if (sheetMatch) {
+        const bodyText = readReferenceBody(formula.slice(i + sheetMatch[0].length + 1))
+        flushText()
+        tokens.push({
+          type: 'reference',
+          sheet: sheetMatch[0],
+          body: bodyText,
+          text: sheetMatch[0] + '!' + bodyText
+        })
+        i += sheetMatch[0].length + 1 + bodyText.length
+        continue
+      }
+
+      // Unqualified reference; names such as LOG10( or Ventas2024 are left alone
+      const refMatch = matchReference(rest)
+      if (refMatch) {
+        flushText()
+        tokens.push({ type: 'reference', sheet: null, body: refMatch, text: refMatch })
+        i += refMatch.length
+        continue
+      }
+
+      // Any other name (function, defined name, TRUE) is copied whole
+      const nameMatch = rest.match(/^[A-Za-z0-9_.\u00C0-\uFFFF]+/)
+      pushText(nameMatch[0])
+      i += nameMatch[0].length
+      continue
+    }
+
+    // Absolute references start with $
+    if (ch === '$' && atNameStart) {
+      const refMatch = matchReference(rest)
+      if (refMatch) {
+        flushText()
+        tokens.push({ type: 'reference', sheet: null, body: refMatch, text: refMatch })
+        i += refMatch.length
+        continue
+      }
+    }
+
+    pushText(ch)
+    i++
+  }
+
+  flushText()
+  return tokens
+}
+
+/**
+ * Join tokens back into formula text, re-quoting sheet names as needed
+ */
+export function formatTokens(tokens) {
+  return tokens.map(token => {
+    if (token.type !== 'reference') return token.text
+    if (token.sheet === null) return token.body
+    return quoteSheetName(token.sheet) + '!' + token.body
+  }).join('')
+}
+
+/**
+ * Quote a sheet name for use in a formula when Excel requires it
+ * @example quoteSheetName('Ventas') // 'Ventas'
+ * @example quoteSheetName("Ventas 2024") // "'Ventas 2024'"
+ */
+export function quoteSheetName(name) {
+  const isPlain = /^[A-Za-z_\u00C0-\uFFFF][A-Za-z0-9_.\u00C0-\uFFFF]*$/.test(name) &&
+    !CELL_RANGE.test(name) && !/^R\d*C\d*$/i.test(name)
+  return isPlain ? name : `'${name.replace(/'/g, "''")}'`
+}
+
+/**
+ * Make a cell or range reference absolute and sheet-qualified, as defined names and list sources need
+ * @example toAbsoluteReference('b2:b10', 'Ventas 2024') // "'Ventas 2024'!$B$2:$B$10"
+ * @returns {string|null} The reference, or null when the text is not a single cell or range
+ */
+export function toAbsoluteReference(text, sheetName) {
+  const tokens = tokenizeFormula(String(text).trim().replace(/^=/, ''))
+  const [reference] = tokens
+  if (tokens.length !== 1 || reference.type !== 'reference' ||
+    !/^\$?[A-Za-z]+\$?\d+(:\$?[A-Za-z]+\$?\d+)?$/.test(reference.body)) {
+    return null
+  }
+  const body = reference.body
+    .split(':')
+    .map(part => part.replace(/^\$?([A-Za-z]+)\$?(\d+)$/, '$$$1$$$2').toUpperCase())
+    .join(':')
+  return `${quoteSheetName(reference.sheet || sheetName)}!${body}`
+}
+
+/**
+ * Point references to a renamed sheet at its new name
+ */
+export function renameSheetInFormula(formula, oldName, newName) {
+  if (typeof formula !== 'string') return formula
+  const tokens = tokenizeFormula(formula)
+  let changed = false
+  tokens.forEach(token => {
+    if (token.type === 'reference' && sameSheet(token.sheet, oldName)) {
+      token.sheet = newName
+      changed = true
+    }
+  })
+  return changed ? formatTokens(tokens) : formula
+}
+
+/**
+ * Replace references to a deleted sheet with #REF!, as Excel does
+ */
+export function removeSheetFromFormula(formula, sheetName) {
+  if (typeof formula !== 'string') return formula
+  const tokens = tokenizeFormula(formula)
+  let changed = false
+  const rewritten = tokens.map(token => {
+    if (token.type === 'reference' && sameSheet(token.sheet, sheetName)) {
+      changed = true
+      return { type: 'text', text: '#REF!' }
+    }
+    return token
+  })
+  return changed ? formatTokens(rewritten) : formula
+}
+
+/**
+ * Move references after rows or columns were inserted or deleted, as Excel does.
+ * Anchored ($) references move too; references to deleted cells become #REF!.
+ * @param {string} formula - Formula text
+ * @param {Object} shift - { sheet, axis: 'row' | 'col', index, count }: count > 0 inserts
+ *   that many rows/columns at 0-based `index`, count < 0 deletes them starting at `index`
+ * @param {string} [formulaSheet] - Sheet the formula lives in, which unqualified references point to
+ */
+export function shiftReferencesInFormula(formula, shift, formulaSheet) {
+  if (typeof formula !== 'string') return formula
+  let changed = false
+  const tokens = tokenizeFormula(formula).map(token => {
+    if (token.type !== 'reference' || !sameSheet(token.sheet ?? formulaSheet, shift.sheet)) return token
+    const body = shiftReferenceBody(token.body, shift)
+    if (body === token.body) return token
+    changed = true
+    return body === null ? { type: 'text', text: '#REF!' } : { ...token, body }
+  })
+  return changed ? formatTokens(tokens) : formula
+}
+
+/**
+ * Copy a formula to a cell `rowOffset` rows down and `colOffset` columns right, like Excel's
+ * fill handle: relative references move, $-anchored rows and columns stay put, and
+ * references pushed off the sheet become #REF!.
+ * @example offsetFormula('=A2*$B$1', 1, 0) // '=A3*$B$1'
+ * @example offsetFormula('=SUM(B$2:B$10)', 5, 2) // '=SUM(D$2:D$10)'
+ */
+export function offsetFormula(formula, rowOffset, colOffset) {
+  if (typeof formula !== 'string' || (rowOffset === 0 && colOffset === 0)) return formula
+  let changed = false
+  const tokens = tokenizeFormula(formula).map(token => {
+    if (token.type !== 'reference') return token
+    const body = offsetReferenceBody(token.body, rowOffset, colOffset)
+    if (body === token.body) return token
+    changed = true
+    return body === null ? { type: 'text', text: '#REF!' } : { ...token, body }
+  })
+  return changed ? formatTokens(tokens) : formula
+}
+
+/**
+ * Shift a reference body such as "$A$1:B5", "C:D" or "3:3"
+ * @returns {string|null} The moved body, or null when every cell it covered was deleted or pushed off the sheet
+ */
+export function shiftReferenceBody(body, shift) {
+  const parts = body.split(':')
+  if (parts.length > 2) return body
+  const start = parseEndpoint(parts[0])
+  const end = parts.length === 2 ? parseEndpoint(parts[1]) : start
+  if (!start || !end) return body
+
+  // Whole-column references ignore row changes and vice versa
+  if (start[shift.axis] === null || end[shift.axis] === null) return body
+
+  const interval = shiftInterval(start[shift.axis], end[shift.axis], shift)
+  // Cells pushed past the sheet's last row or column are gone
+  if (!interval || interval[0] > LAST_INDEX[shift.axis]) return null
+  interval[1] = Math.min(interval[1], LAST_INDEX[shift.axis])
+  if (interval[0] === start[shift.axis] && interval[1] === end[shift.axis]) return body
+
+  const moved = [formatEndpoint({ ...start, [shift.axis]: interval[0] })]
+  if (parts.length === 2) moved.push(formatEndpoint({ ...end, [shift.axis]: interval[1] }))
+  return moved.join(':')
+}
+
+/**
+ * Shift a span of 0-based rows or columns [start, end] (e.g. a merge or a dropdown range)
+ * @returns {Array|null} [start, end] after the change, or null when the whole span was deleted
+ */
+export function shiftInterval(start, end, { index, count }) {
+  if (count > 0) {
+    return [start >= index ? start + count : start, end >= index ? end + count : end]
+  }
+
+  const last = index - count - 1
+  if (start >= index && end <= last) return null
+  const newStart = start > last ? start + count : Math.min(start, index)
+  const newEnd = end > last ? end + count : (end >= index ? index - 1 : end)
+  return [newStart, newEnd]
+}
+
+/**
+ * Sheet names are case-insensitive in Excel
+ */
+export function sameSheet(a, b) {
+  return a !== null && b !== null && a !== undefined && b !== undefined &&
+    a.toLowerCase() === b.toLowerCase()
+}
+
+/**
+ * Prefix functions newer than Excel 2007 with "_xlfn.", as Excel stores them in files;
+ * without it Excel shows #NAME? for MINIFS, MAXIFS, IFS...
+ * @param {string} formula - Formula text without the leading "="
+ */
+export function addFunctionPrefixes(formula) {
+  return tokenizeFormula(formula).map(token => token.type === 'text'
+    ? token.text.replace(FUTURE_FUNCTIONS, '_xlfn.$1(')
+    : token.text).join('')
+}
+
+/**
+ * Drop the "_xlfn." / "_xlws." prefixes Excel writes before newer functions
+ * @param {string} formula - Formula text as read from a file
+ */
+export function removeFunctionPrefixes(formula) {
+  return tokenizeFormula(formula).map(token => token.type === 'text'
+    ? token.text.replace(/_xl(?:fn|ws)\./gi, '')
+    : token.text).join('')
+}
+
+// Reference body right after "Sheet!"; falls back to any name (sheet-scoped defined name)
+function readReferenceBody(rest) {
+  const refMatch = matchReference(rest)
+  if (refMatch) return refMatch
+  const nameMatch = rest.match(/^[A-Za-z0-9_.$\u00C0-\uFFFF]+/) || rest.match(/^#REF!/)
+  return nameMatch ? nameMatch[0] : ''
+}
+
+// A cell, range, column range or row range at the start of `rest`, if it is not part of a longer name
+function matchReference(rest) {
+  const cellMatch = rest.match(CELL_RANGE)
+  if (cellMatch) {
+    const next = rest[cellMatch[0].length] || ''
+    if (!NAME_CHAR.test(next) && next !== '(' && next !== '!') return cellMatch[0]
+  }
+
+  const columnMatch = rest.match(COLUMN_RANGE)
+  if (columnMatch) return columnMatch[0]
+
+  const rowMatch = rest.match(ROW_RANGE)
+  if (rowMatch) return rowMatch[0]
+
+  return null
+}
+
+// Move the relative parts of a reference body; null when it leaves the sheet
+function offsetReferenceBody(body, rowOffset, colOffset) {
+  const endpoints = body.split(':').map(parseEndpoint)
+  if (endpoints.length > 2 || endpoints.some(endpoint => !endpoint)) return body
+
+  const moved = endpoints.map(endpoint => ({
+    ...endpoint,
+    row: endpoint.row === null || endpoint.rowAnchor ? endpoint.row : endpoint.row + rowOffset,
+    col: endpoint.col === null || endpoint.colAnchor ? endpoint.col : endpoint.col + colOffset
+  }))
+  if (moved.some(endpoint => endpoint.row < 0 || endpoint.col < 0 ||
+    endpoint.row > LAST_INDEX.row || endpoint.col > LAST_INDEX.col)) return null
+  return moved.map(formatEndpoint).join(':')
+}
+
+// One side of a reference: "$B$2" -> { col: 1, row: 1, colAnchor: '$', rowAnchor: '$' },
+// "C" -> { col: 2, row: null }, "7" -> { col: null, row: 6 }
+function parseEndpoint(text) {
+  const match = text.match(/^(\$?)([A-Za-z]{1,3})?(\$?)(\d+)?$/)
+  if (!match || (!match[2] && !match[4])) return null
+  return {
+    colAnchor: match[1],
+    col: match[2] ? columnLetterToIndex(match[2].toUpperCase()) : null,
+    rowAnchor: match[3],
+    row: match[4] ? parseInt(match[4], 10) - 1 : null
+  }
+}
+
+function formatEndpoint({ colAnchor, col, rowAnchor, row }) {
+  const colText = col === null ? '' : colAnchor + indexToColumnLetter(col)
+  const rowText = row === null ? '' : rowAnchor + (row + 1)
+  return colText + rowText
+}
+
+function findClosingBracket(formula, start) {
+  let depth = 0
+  for (let i = start; i < formula.length; i++) {
+    if (formula[i] === '[') depth++
+    if (formula[i] === ']') {
+      depth--
+      if (depth === 0) return i + 1
+    }
+  }
+  return formula.length
+}
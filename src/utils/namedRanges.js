@@ -0,0 +1,163 @@
+/**
+ * Defined names shared by the browser and the server.
+ * The workbook keeps them as { name: ref }, where ref is formula text without "=",
+ * usually an absolute range such as 'Ventas 2024'!$B$2:$B$100.
+ */
+import { tokenizeFormula, renameSheetInFormula, removeSheetFromFormula, shiftReferencesInFormula, sameSheet } from './formulaReferences.js'
+import { STRUCTURAL_CHANGE_TYPES, getShift } from './changeEngine.js'
+import { parseRange } from './cellRefs.js'
+
+// Changes to the workbook's defined names
+export const NAME_CHANGE_TYPES = new Set(['defineName', 'deleteName'])
+
+const MAX_NAME_LENGTH = 255
+// Larger ranges on other sheets are not copied into the grid's engine
+const MAX_INLINE_CELLS = 10000
+
+/**
+ * Check a defined name against Excel's rules
+ * @param {string} name - Proposed name
+ * @param {Object} namedRanges - Existing names
+ * @param {string} [currentName] - Name being redefined, which may keep its own name
+ * @returns {string|null} Error message, or null when the name is valid
+ */
+export function validateName(name, namedRanges = {}, currentName) {
+  if (!name || !name.trim()) return 'Name cannot be empty'
+  if (name.length > MAX_NAME_LENGTH) return `Name cannot be longer than ${MAX_NAME_LENGTH} characters`
+  if (!/^[\p{L}_\\][\p{L}\p{N}_.]*$/u.test(name)) {
+    return 'Name must start with a letter or underscore and contain only letters, numbers, periods and underscores'
+  }
+  // Excel would read these as cell references
+  if (/^[A-Za-z]{1,3}\d+$/.test(name) || /^[RrCc]$/.test(name) || /^[Rr]\d*[Cc]\d*$/.test(name)) {
+    return `"${name}" looks like a cell reference`
+  }
+  const existing = findName(namedRanges, name)
+  if (existing && existing !== findName(namedRanges, currentName)) return `A name "${existing}" already exists`
+  return null
+}
+
+/**
+ * The key of a defined name, matched case-insensitively as Excel does
+ * @returns {string|undefined}
+ */
+export function findName(namedRanges = {}, name) {
+  if (!name) return undefined
+  return Object.keys(namedRanges).find(key => key.toLowerCase() === name.toLowerCase())
+}
+
+/**
+ * Names Excel creates itself (filters, print areas), hidden from the user
+ */
+export function isBuiltInName(name) {
+  return /^_xlnm\./i.test(name)
+}
+
+/**
+ * Update the defined names for a change: define or delete a name, or move the
+ * names that point at a sheet that was renamed, deleted, or got rows or columns
+ * inserted or deleted.
+ * @param {Object} namedRanges - { name: ref }
+ * @param {Object} change - Change object; structural changes need `sheet`
+ * @param {Array} sheets - Workbook sheets before the change
+ * @returns {Object} New names, or the same object when the change does not affect them
+ * @throws {Error} If a name change is invalid
+ */
+export function applyChangeToNames(namedRanges = {}, change, sheets = []) {
+  switch (change.type) {
+    case 'defineName': {
+      const existing = findName(namedRanges, change.name)
+      const error = validateName(change.name, namedRanges, existing)
+      if (error) throw new Error(error)
+      if (!change.ref) throw new Error('A defined name needs a reference')
+      const next = { ...namedRanges }
+      if (existing) delete next[existing]
+      next[change.name] = change.ref.replace(/^=/, '')
+      return next
+    }
+
+    case 'deleteName': {
+      const existing = findName(namedRanges, change.name)
+      if (!existing) throw new Error(`Name "${change.name}" not found`)
+      const next = { ...namedRanges }
+      delete next[existing]
+      return next
+    }
+
+    case 'renameSheet':
+      return mapRefs(namedRanges, ref => renameSheetInFormula(ref, change.sheet, change.newName))
+
+    case 'deleteSheet':
+      return mapRefs(namedRanges, ref => removeSheetFromFormula(ref, change.sheet))
+
+    default: {
+      if (!STRUCTURAL_CHANGE_TYPES.has(change.type)) return namedRanges
+      const sheet = sheets.find(s => sameSheet(s.name, change.sheet))
+      if (!sheet) return namedRanges
+      const shift = { ...getShift(sheet, change), sheet: sheet.name }
+      return mapRefs(namedRanges, ref => shiftReferencesInFormula(ref, shift))
+    }
+  }
+}
+
+/**
+ * Named expressions for the grid's HyperFormula instance, which holds only the active sheet.
+ * Names on the active sheet point at the engine's copy of it; a range on another sheet
+ * becomes an inline array of its current values. Other names are left out.
+ * @param {Object} namedRanges - { name: ref }
+ * @param {Object} context - { sheets, activeSheetName, engineSheetName }
+ * @returns {Array} [{ name, expression }]
+ */
+export function toGridNamedExpressions(namedRanges = {}, { sheets = [], activeSheetName, engineSheetName }) {
+  const expressions = []
+  Object.entries(namedRanges).forEach(([name, ref]) => {
+    if (isBuiltInName(name) || typeof ref !== 'string') return
+    const references = tokenizeFormula(ref).filter(token => token.type === 'reference')
+    if (references.length === 0) return
+
+    if (references.every(token => sameSheet(token.sheet, activeSheetName))) {
+      expressions.push({ name, expression: '=' + renameSheetInFormula(ref, activeSheetName, engineSheetName) })
+      return
+    }
+
+    const values = references.length === 1 && readRange(sheets, references[0])
+    if (values) expressions.push({ name, expression: '=' + toInlineArray(values) })
+  })
+  return expressions
+}
+
+// Rewrite every ref, keeping the same object when none changes
+function mapRefs(namedRanges, rewrite) {
+  let changed = false
+  const next = {}
+  Object.entries(namedRanges).forEach(([name, ref]) => {
+    next[name] = rewrite(ref)
+    if (next[name] !== ref) changed = true
+  })
+  return changed ? next : namedRanges
+}
+
+// Values of a sheet-qualified range token as rows, or null when it cannot be read
+function readRange(sheets, token) {
+  const sheet = sheets.find(s => sameSheet(s.name, token.sheet))
+  const bounds = parseRange(token.body.replace(/\$/g, '').toUpperCase())
+  if (!sheet || !bounds) return null
+
+  const { startRow, startCol, endRow, endCol } = bounds
+  if ((endRow - startRow + 1) * (endCol - startCol + 1) > MAX_INLINE_CELLS) return null
+  const rows = []
+  for (let r = startRow; r <= endRow; r++) {
+    const row = []
+    for (let c = startCol; c <= endCol; c++) row.push(sheet.data?.[r]?.[c] ?? '')
+    rows.push(row)
+  }
+  return rows
+}
+
+// {1,2;"a",3}
+function toInlineArray(rows) {
+  return '{' + rows.map(row => row.map(value => {
+    if (typeof value === 'number') return String(value)
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE'
+    return `"${String(value).replace(/"/g, '""')}"`
+  }).join(',')).join(';') + '}'
+}
@@ -0,0 +1,144 @@
+/**
+ * Sheet-level changes (add, rename, duplicate, delete, move).
+ * Pure functions over an array of sheets ({ name, data, formulas, ... }),
+ * shared by the browser and the server, so imports keep their .js extension.
+ */
+import { renameSheetInFormula, removeSheetFromFormula, sameSheet } from './formulaReferences.js'
+import { rewriteSheetFormulas } from './changeEngine.js'
+
+export const SHEET_CHANGE_TYPES = new Set(['addSheet', 'renameSheet', 'duplicateSheet', 'deleteSheet', 'moveSheet'])
+
+// Same editing room the parser leaves on imported sheets
+const BLANK_ROWS = 101
+const BLANK_COLS = 27
+
+/**
+ * Check a sheet name against Excel's rules
+ * @returns {string|null} Error message, or null if the name can be used
+ */
+export function validateSheetName(name, sheets, currentName = null) {
+  if (typeof name !== 'string' || !name.trim()) return 'Sheet name cannot be empty'
+  if (name.length > 31) return 'Sheet name cannot be longer than 31 characters'
+  if (/[\\/?*[\]:]/.test(name)) return 'Sheet name cannot contain \\ / ? * [ ] :'
+  if (name.startsWith("'") || name.endsWith("'")) return 'Sheet name cannot start or end with an apostrophe'
+  const taken = sheets.some(s => sameSheet(s.name, name) && !sameSheet(s.name, currentName))
+  if (taken) return `A sheet named "${name}" already exists`
+  return null
+}
+
+/**
+ * First free name like "Hoja 4" or "Ventas (2)"
+ */
+export function nextSheetName(sheets, base) {
+  const isFree = (name) => !sheets.some(s => sameSheet(s.name, name))
+  if (isFree(base)) return base
+  for (let n = 2; ; n++) {
+    const candidate = `${base} (${n})`
+    if (isFree(candidate)) return candidate
+  }
+}
+
+/**
+ * Apply a sheet-level change, returning a new sheets array.
+ * Formulas (dropdown and validation ones too) that point at a renamed sheet are updated;
+ * those that point at a deleted one become #REF!.
+ * @throws {Error} If the change is not valid for these sheets
+ */
+export function applySheetOperation(sheets, change) {
+  const findIndex = (name) => {
+    const index = sheets.findIndex(s => sameSheet(s.name, name))
+    if (index === -1) throw new Error(`Sheet "${name}" not found`)
+    return index
+  }
+  const clampIndex = (index, length) =>
+    index === undefined || index === null ? length : Math.max(0, Math.min(index, length))
+
+  switch (change.type) {
+    case 'addSheet': {
+      const error = validateSheetName(change.name, sheets)
+      if (error) throw new Error(error)
+      const next = [...sheets]
+      next.splice(clampIndex(change.index, sheets.length), 0, createBlankSheet(change.name))
+      return next
+    }
+
+    case 'renameSheet': {
+      const index = findIndex(change.sheet)
+      const oldName = sheets[index].name
+      const error = validateSheetName(change.newName, sheets, oldName)
+      if (error) throw new Error(error)
+      const next = rewriteFormulas(sheets, formula => renameSheetInFormula(formula, oldName, change.newName))
+        .map(sheet => renameSummarySources(sheet, oldName, change.newName))
+      next[index] = { ...next[index], name: change.newName }
+      return next
+    }
+
+    case 'duplicateSheet': {
+      const index = findIndex(change.sheet)
+      const error = validateSheetName(change.newName, sheets)
+      if (error) throw new Error(error)
+      const source = sheets[index]
+      const copy = {
+        ...source,
+        name: change.newName,
+        data: source.data.map(row => [...row]),
+        formulas: { ...source.formulas }
+      }
+      const next = [...sheets]
+      next.splice(clampIndex(change.index ?? index + 1, sheets.length), 0, copy)
+      return next
+    }
+
+    case 'deleteSheet': {
+      const index = findIndex(change.sheet)
+      if (sheets.length === 1) throw new Error('A workbook must keep at least one sheet')
+      const deletedName = sheets[index].name
+      const next = rewriteFormulas(sheets, formula => removeSheetFromFormula(formula, deletedName))
+      next.splice(index, 1)
+      return next
+    }
+
+    case 'moveSheet': {
+      const index = findIndex(change.sheet)
+      const next = [...sheets]
+      const [moved] = next.splice(index, 1)
+      next.splice(clampIndex(change.index, next.length), 0, moved)
+      return next
+    }
+
+    default:
+      throw new Error(`Unknown sheet change: ${change.type}`)
+  }
+}
+
+/**
+ * Empty sheet with the same shape as a parsed one
+ */
+export function createBlankSheet(name) {
+  return {
+    name,
+    data: Array.from({ length: BLANK_ROWS }, () => new Array(BLANK_COLS).fill('')),
+    formulas: {},
+    dropdowns: [],
+    merges: [],
+    colWidths: [],
+    rowHeights: []
+  }
+}
+
+// Rewrite every formula in every sheet, dropdown and validation formulas included.
+// Unchanged sheets keep their identity.
+function rewriteFormulas(sheets, rewrite) {
+  return sheets.map(sheet => rewriteSheetFormulas(sheet, rewrite))
+}
+
+// Summary tables remember the sheet they summarize, to rebuild from it later
+function renameSummarySources(sheet, oldName, newName) {
+  if (!sheet.summaryTables?.some(table => sameSheet(table.definition.source.sheet, oldName))) return sheet
+  return {
+    ...sheet,
+    summaryTables: sheet.summaryTables.map(table => sameSheet(table.definition.source.sheet, oldName)
+      ? { ...table, definition: { ...table.definition, source: { ...table.definition.source, sheet: newName } } }
+      : table)
+  }
+}
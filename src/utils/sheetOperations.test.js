@@ -0,0 +1,44 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applySheetOperation } from './sheetOperations.js'
+import { applyChangesToWorkbook } from './changeEngine.js'
+
+function workbook() {
+  return [
+    {
+      name: 'Ventas',
+      data: [['Estado', 'Monto'], ['Sí', 10], ['No', 20]],
+      formulas: {},
+      dropdowns: [{ range: 'A2:A3', formula: 'Listas!$A$2:$A$3', options: ['Sí', 'No'] }],
+      validations: [{ range: 'B2:B3', type: 'whole', operator: 'between', formula1: 'Listas!$B$1', formula2: '$C$1' }]
+    },
+    { name: 'Listas', data: [['Opciones', 0], ['Sí'], ['No']], formulas: {} }
+  ]
+}
+
+test('renaming a sheet updates the dropdown and validation formulas that point at it', () => {
+  const [ventas] = applySheetOperation(workbook(), { type: 'renameSheet', sheet: 'Listas', newName: 'Opciones 2024' })
+  assert.equal(ventas.dropdowns[0].formula, "'Opciones 2024'!$A$2:$A$3")
+  assert.equal(ventas.validations[0].formula1, "'Opciones 2024'!$B$1")
+  assert.equal(ventas.validations[0].formula2, '$C$1')
+})
+
+test('inserting rows moves the dropdown and validation formulas that point at them', () => {
+  const renamed = applySheetOperation(workbook(), { type: 'renameSheet', sheet: 'Listas', newName: 'Opciones' })
+  const [ventas] = applyChangesToWorkbook(renamed, 'Opciones', [{ type: 'insertRow', afterRow: 0 }])
+  assert.equal(ventas.dropdowns[0].formula, 'Opciones!$A$3:$A$4')
+  assert.equal(ventas.validations[0].formula1, 'Opciones!$B$2')
+
+  // Rows inserted in the sheet itself move its own ranges and unqualified references
+  const [moved] = applyChangesToWorkbook(renamed, 'Ventas', [{ type: 'insertRow', afterRow: 0 }])
+  assert.equal(moved.dropdowns[0].range, 'A3:A4')
+  assert.equal(moved.validations[0].range, 'B3:B4')
+  assert.equal(moved.validations[0].formula2, '$C$2')
+  assert.equal(moved.dropdowns[0].formula, 'Opciones!$A$2:$A$3')
+})
+
+test('deleting a sheet turns the dropdown formulas that point at it into #REF!', () => {
+  const [ventas] = applySheetOperation(workbook(), { type: 'deleteSheet', sheet: 'Listas' })
+  assert.equal(ventas.dropdowns[0].formula, '#REF!')
+  assert.equal(ventas.validations[0].formula1, '#REF!')
+})
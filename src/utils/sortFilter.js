@@ -0,0 +1,127 @@
+/**
+ * Sorting and AutoFilter helpers shared by the browser and the server.
+ * A sheet's filter is { range: 'A1:D50', columns: [{ column: 'C', values?, operator?, value? }] }:
+ * a column either keeps the listed values or rows matching a condition, like Excel's AutoFilter.
+ */
+import { columnLetterToIndex, parseRange } from './cellRefs.js'
+
+// Conditions a filter column can use, besides a list of values
+export const FILTER_OPERATORS = [
+  'equal', 'notEqual', 'greaterThan', 'greaterThanOrEqual', 'lessThan', 'lessThanOrEqual',
+  'contains', 'notContains', 'beginsWith', 'endsWith'
+]
+
+/**
+ * Whether the first row of a range looks like a header: only text, above
+ * a row that is not (or at the very top of the sheet)
+ * @param {Array} rows - Values of the range, row by row
+ * @param {number} startRow - 0-based sheet row where the range starts
+ */
+export function detectHeaderRow(rows, startRow = 0) {
+  const [first, second] = rows
+  const filled = (first || []).filter(value => !isBlank(value))
+  if (filled.length === 0 || !filled.every(value => typeof value === 'string')) return false
+  if (startRow === 0) return true
+  return (second || []).some(value => !isBlank(value) && typeof value !== 'string')
+}
+
+/**
+ * The order rows end up in after a stable multi-key sort, as Excel sorts:
+ * numbers and dates before text before booleans, text case-insensitive,
+ * and blanks last whatever the direction.
+ * @param {Array} rows - Values of the rows to sort
+ * @param {Array} keys - [{ index, descending }] where index is the column within the rows
+ * @returns {Array} Original row positions, in their new order
+ */
+export function sortRowOrder(rows, keys) {
+  return rows
+    .map((row, position) => ({ row, position }))
+    .sort((a, b) => {
+      for (const { index, descending } of keys) {
+        const left = a.row[index]
+        const right = b.row[index]
+        if (isBlank(left) || isBlank(right)) {
+          if (isBlank(left) && isBlank(right)) continue
+          return isBlank(left) ? 1 : -1
+        }
+        const result = compareValues(left, right)
+        if (result !== 0) return descending ? -result : result
+      }
+      return a.position - b.position
+    })
+    .map(({ position }) => position)
+}
+
+/**
+ * Whether a value passes one column of a filter
+ * @param {*} value - The cell's value
+ * @param {Object} filter - { values } or { operator, value }
+ */
+export function matchesFilter(value, filter) {
+  if (Array.isArray(filter.values)) {
+    const text = isBlank(value) ? '' : String(value)
+    return filter.values.some(option => String(option ?? '') === text)
+  }
+
+  const text = isBlank(value) ? '' : String(value).toLowerCase()
+  const target = String(filter.value ?? '').toLowerCase()
+  const number = toNumber(value)
+  const targetNumber = toNumber(filter.value)
+  const compare = () => Number.isNaN(number) || Number.isNaN(targetNumber)
+    ? text.localeCompare(target)
+    : number - targetNumber
+
+  switch (filter.operator) {
+    case 'equal': return compare() === 0
+    case 'notEqual': return compare() !== 0
+    case 'greaterThan': return !isBlank(value) && compare() > 0
+    case 'greaterThanOrEqual': return !isBlank(value) && compare() >= 0
+    case 'lessThan': return !isBlank(value) && compare() < 0
+    case 'lessThanOrEqual': return !isBlank(value) && compare() <= 0
+    case 'contains': return text.includes(target)
+    case 'notContains': return !text.includes(target)
+    case 'beginsWith': return text.startsWith(target)
+    case 'endsWith': return text.endsWith(target)
+    default: return true
+  }
+}
+
+/**
+ * Sheet rows a filter hides: rows below the range's header row that fail any column
+ * @param {Array} data - Computed values of the whole sheet
+ * @param {Object} autoFilter - { range, columns }
+ * @returns {Array} 0-based sheet rows
+ */
+export function getHiddenRows(data, autoFilter) {
+  const bounds = autoFilter?.range && parseRange(String(autoFilter.range).toUpperCase())
+  if (!bounds || !autoFilter.columns?.length) return []
+
+  const columns = autoFilter.columns
+    .map(filter => ({ filter, col: columnLetterToIndex(String(filter.column).toUpperCase()) }))
+    .filter(({ col }) => col >= bounds.startCol && col <= bounds.endCol)
+  const hidden = []
+  const lastRow = Math.min(bounds.endRow, data.length - 1)
+  // The first row of the range holds the filter buttons
+  for (let r = bounds.startRow + 1; r <= lastRow; r++) {
+    if (!columns.every(({ filter, col }) => matchesFilter(data[r]?.[col], filter))) hidden.push(r)
+  }
+  return hidden
+}
+
+function compareValues(a, b) {
+  const rank = value => typeof value === 'boolean' ? 2 : (typeof value === 'number' || value instanceof Date) ? 0 : 1
+  if (rank(a) !== rank(b)) return rank(a) - rank(b)
+  if (rank(a) === 1) return String(a).localeCompare(String(b), 'es', { sensitivity: 'base', numeric: true })
+  return Number(a) - Number(b)
+}
+
+function isBlank(value) {
+  return value === '' || value === null || value === undefined
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === 'string' && value.trim() !== '') return Number(value)
+  return NaN
+}
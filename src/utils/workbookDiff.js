@@ -0,0 +1,218 @@
+import { indexToColumnLetter, parseCellReference } from './cellRefs'
+import { offsetFormula } from './formulaReferences'
+import { formatValue } from './columnProfile'
+
+// Largest middle section (rows × rows) aligned exactly; bigger ones are paired in order
+const MAX_ALIGN_SIZE = 1000000
+
+/**
+ * Compare two versions of a workbook ({ sheets, namedRanges }), e.g. two snapshots.
+ * Sheets are matched by name, or by the sheet of the original file they came from
+ * when renamed. Inside a sheet, inserted and deleted rows and columns are found by
+ * aligning their contents, so a row inserted at the top does not show every cell
+ * below it as changed.
+ * @returns {Object} {
+ *   sheets: [{ name, status: 'added'|'removed'|'renamed'|'changed', previousName?,
+ *     rows: { added, removed }, columns: { added, removed },
+ *     cells: [{ cell, before, after }] }],
+ *   names: [{ name, before, after }],
+ *   changeCount
+ * }
+ * Added rows and columns are numbered as in `after`, removed ones as in `before`;
+ * cells use the address they have in `after`.
+ */
+export function diffWorkbooks(before, after) {
+  const sheets = []
+  const unmatched = before.sheets.filter(sheet => !after.sheets.some(s => s.name === sheet.name))
+
+  after.sheets.forEach(sheet => {
+    let previous = before.sheets.find(s => s.name === sheet.name)
+    if (!previous && sheet.sourceName) {
+      // A renamed sheet, unless several sheets came from the same one (duplicates)
+      const candidates = unmatched.filter(s => s.sourceName === sheet.sourceName)
+      const siblings = after.sheets.filter(s => s.sourceName === sheet.sourceName && !before.sheets.some(b => b.name === s.name))
+      if (candidates.length === 1 && siblings.length === 1) previous = candidates[0]
+    }
+
+    if (!previous) {
+      sheets.push({ name: sheet.name, status: 'added' })
+      return
+    }
+    unmatched.splice(unmatched.indexOf(previous), 1)
+    const diff = diffSheet(previous, sheet)
+    const isRenamed = previous.name !== sheet.name
+    if (isRenamed || countChanges(diff) > 0) {
+      sheets.push({
+        name: sheet.name,
+        status: isRenamed ? 'renamed' : 'changed',
+        previousName: isRenamed ? previous.name : undefined,
+        ...diff
+      })
+    }
+  })
+  unmatched.forEach(sheet => sheets.push({ name: sheet.name, status: 'removed' }))
+
+  const beforeNames = before.namedRanges || {}
+  const afterNames = after.namedRanges || {}
+  const names = [...new Set([...Object.keys(beforeNames), ...Object.keys(afterNames)])]
+    .filter(name => beforeNames[name] !== afterNames[name])
+    .map(name => ({ name, before: beforeNames[name] ?? null, after: afterNames[name] ?? null }))
+
+  const changeCount = names.length + sheets.reduce((sum, sheet) => sum +
+    (sheet.cells ? countChanges(sheet) + (sheet.status === 'renamed' ? 1 : 0) : 1), 0)
+
+  return { sheets, names, changeCount }
+}
+
+function diffSheet(before, after) {
+  const a = sheetContents(before)
+  const b = sheetContents(after)
+  // Columns are matched on their whole contents or, when rows were inserted too and
+  // no column kept its contents, on their header; the closer match wins
+  const byContents = diffAlignedColumns(a, b, alignSequences(columnKeys(a), columnKeys(b)))
+  const byHeader = diffAlignedColumns(a, b, alignSequences((a[0] || []).map(cellKey), (b[0] || []).map(cellKey)))
+  return countChanges(byHeader) < countChanges(byContents) ? byHeader : byContents
+}
+
+// Rows are aligned on the columns both versions share, then paired cells compared
+function diffAlignedColumns(a, b, columns) {
+  const beforeCols = columns.pairs.map(([c]) => c)
+  const afterCols = columns.pairs.map(([, c]) => c)
+  const rows = alignSequences(
+    a.map(row => beforeCols.map(c => cellKey(row[c])).join('\u0000')),
+    b.map(row => afterCols.map(c => cellKey(row[c])).join('\u0000'))
+  )
+
+  const cells = []
+  rows.pairs.forEach(([rb, ra]) => {
+    columns.pairs.forEach(([cb, ca]) => {
+      const old = a[rb][cb] ?? ''
+      const current = b[ra][ca] ?? ''
+      if (sameContent(old, current, ra - rb, ca - cb)) return
+      cells.push({ cell: `${indexToColumnLetter(ca)}${ra + 1}`, before: displayContent(old), after: displayContent(current) })
+    })
+  })
+
+  return {
+    rows: { added: rows.added.map(r => r + 1), removed: rows.removed.map(r => r + 1) },
+    columns: { added: columns.added.map(indexToColumnLetter), removed: columns.removed.map(indexToColumnLetter) },
+    cells
+  }
+}
+
+function countChanges({ rows, columns, cells }) {
+  return cells.length + rows.added.length + rows.removed.length + columns.added.length + columns.removed.length
+}
+
+// What each cell holds (formula text or value), cut to the used range so the
+// blank rows and columns the grid adds for editing room never count as changes
+function sheetContents(sheet) {
+  const rows = sheet.data.map(row => [...row])
+  Object.entries(sheet.formulas || {}).forEach(([address, formula]) => {
+    const ref = parseCellReference(address)
+    if (ref && rows[ref.row]) rows[ref.row][ref.col] = formula
+  })
+
+  let lastRow = -1
+  let lastCol = -1
+  rows.forEach((row, r) => row.forEach((value, c) => {
+    if (value === '' || value == null) return
+    lastRow = Math.max(lastRow, r)
+    lastCol = Math.max(lastCol, c)
+  }))
+  return rows.slice(0, lastRow + 1).map(row => Array.from({ length: lastCol + 1 }, (_, c) => row[c] ?? ''))
+}
+
+function columnKeys(rows) {
+  const width = rows[0]?.length || 0
+  return Array.from({ length: width }, (_, c) => rows.map(row => cellKey(row[c])).join('\u0000'))
+}
+
+// Formulas only count as "a formula" when aligning: moved ones have their references shifted
+function cellKey(value) {
+  if (value instanceof Date) return value.toISOString()
+  if (isFormula(value)) return '='
+  return String(value ?? '')
+}
+
+// A formula is unchanged when it is the old one moved with its cell
+function sameContent(before, after, rowOffset, colOffset) {
+  if (isFormula(before) && isFormula(after)) return offsetFormula(before, rowOffset, colOffset) === after
+  if (isFormula(before) || isFormula(after)) return false
+  return cellKey(before) === cellKey(after)
+}
+
+function displayContent(value) {
+  if (value === '' || value == null) return ''
+  return isFormula(value) ? value : formatValue(value)
+}
+
+function isFormula(value) {
+  return typeof value === 'string' && value.startsWith('=')
+}
+
+/**
+ * Pair up equal items of two lists in order, like a line diff: common ends first,
+ * then the longest common subsequence of the middle. Unpaired items between two
+ * pairs are paired in order as edited; the rest were added or removed.
+ * @returns {{ pairs: Array<[number, number]>, added: number[], removed: number[] }}
+ */
+function alignSequences(a, b) {
+  const anchors = []
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    anchors.push([start, start])
+    start++
+  }
+  let endA = a.length
+  let endB = b.length
+  const tail = []
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    tail.unshift([--endA, --endB])
+  }
+  if ((endA - start) * (endB - start) <= MAX_ALIGN_SIZE) {
+    longestCommonSubsequence(a.slice(start, endA), b.slice(start, endB))
+      .forEach(([i, j]) => anchors.push([i + start, j + start]))
+  }
+  anchors.push(...tail)
+
+  const pairs = []
+  const added = []
+  const removed = []
+  let i = 0
+  let j = 0
+  for (const [ai, bj] of [...anchors, [a.length, b.length]]) {
+    while (i < ai && j < bj) pairs.push([i++, j++])
+    while (i < ai) removed.push(i++)
+    while (j < bj) added.push(j++)
+    if (ai < a.length) pairs.push([i++, j++])
+  }
+  return { pairs, added, removed }
+}
+
+function longestCommonSubsequence(a, b) {
+  const width = b.length + 1
+  // lengths[i * width + j]: LCS length of a[i..] and b[j..]
+  const lengths = new Uint32Array((a.length + 1) * width)
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1])
+    }
+  }
+
+  const matches = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches.push([i++, j++])
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return matches
+}
@@ -0,0 +1,157 @@
+/**
+ * Workbooks being edited, saved in the browser's IndexedDB so a closed or
+ * reloaded tab can pick up where it left off.
+ *
+ * A saved workbook is { id, fileName, savedAt, activeSheet, workbook, chat }:
+ * workbook holds the sheets (data, formulas, styles...), names, dropdown lists
+ * and the original file bytes needed to export; chat is the conversation shown
+ * in the chat panel, { sessionId, messages }. It is rewritten after every edit.
+ * Next to it, the recent list keeps { id, fileName, savedAt, sheetCount }, so
+ * listing workbooks never reads their contents.
+ *
+ * Version history snapshots each hold a full copy of the sheets, so they live in
+ * their own store, keyed by id with the workbook's id in `workbookId`: each one is
+ * written once when taken and deleted when dropped from the history.
+ */
+
+const DB_NAME = 'excel-ai-editor'
+const DB_VERSION = 3
+const STORE = 'workbooks'
+const RECENT_STORE = 'recentWorkbooks'
+const SNAPSHOT_STORE = 'snapshots'
+// Workbooks kept in the recent list; older ones are deleted on save
+const MAX_RECENT = 8
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('savedAt', 'savedAt')
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' }).createIndex('workbookId', 'workbookId')
+        }
+        if (!db.objectStoreNames.contains(RECENT_STORE)) {
+          const recent = db.createObjectStore(RECENT_STORE, { keyPath: 'id' })
+          // Workbooks saved before the recent list had its own store, read once here
+          request.transaction.objectStore(STORE).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result
+            if (!cursor) return
+            recent.put(toRecentEntry(cursor.value))
+            cursor.continue()
+          }
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(error => {
+      // Let a later call try again, e.g. after the user allows storage
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+// Run requests in one transaction over the given stores (handed to makeRequest in
+// that order) and resolve, once it commits, with the result of the request returned
+async function run(mode, makeRequest, storeNames = [STORE]) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode)
+    const request = makeRequest(...storeNames.map(name => transaction.objectStore(name)))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+function toRecentEntry({ id, fileName, savedAt, workbook }) {
+  return { id, fileName, savedAt, sheetCount: workbook.sheets.length }
+}
+
+/**
+ * Save (or overwrite) a workbook and trim the recent list
+ * @param {Object} record - { id, fileName, activeSheet, workbook, chat }
+ * @returns {Promise<void>}
+ */
+export async function saveWorkbook(record) {
+  const saved = { ...record, savedAt: new Date() }
+  await run('readwrite', (workbooks, recent) => {
+    workbooks.put(saved)
+    recent.put(toRecentEntry(saved))
+  }, [STORE, RECENT_STORE])
+  const entries = await listRecentWorkbooks()
+  await Promise.all(entries.slice(MAX_RECENT).map(({ id }) => deleteWorkbook(id)))
+}
+
+/**
+ * Saved workbooks, most recent first, without their contents
+ * @returns {Promise<Array>} [{ id, fileName, savedAt, sheetCount }]
+ */
+export async function listRecentWorkbooks() {
+  const entries = await run('readonly', recent => recent.getAll(), [RECENT_STORE])
+  return entries.sort((a, b) => b.savedAt - a.savedAt)
+}
+
+/**
+ * A saved workbook with its contents, or undefined when it was deleted
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+export function loadWorkbook(id) {
+  return run('readonly', workbooks => workbooks.get(id))
+}
+
+/**
+ * Delete a saved workbook along with its version history
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export function deleteWorkbook(id) {
+  return run('readwrite', (workbooks, recent, snapshots) => {
+    workbooks.delete(id)
+    recent.delete(id)
+    const keys = snapshots.index('workbookId').getAllKeys(id)
+    keys.onsuccess = () => keys.result.forEach(key => snapshots.delete(key))
+  }, [STORE, RECENT_STORE, SNAPSHOT_STORE])
+}
+
+/**
+ * Save one version history snapshot of a workbook
+ * @param {string} workbookId - Id the workbook is saved with
+ * @param {Object} snapshot - { id, kind, name, createdAt, workbook: { sheets, namedRanges } }
+ * @returns {Promise<void>}
+ */
+export function saveSnapshot(workbookId, snapshot) {
+  return run('readwrite', snapshots => snapshots.put({ ...snapshot, workbookId }), [SNAPSHOT_STORE])
+}
+
+/**
+ * Version history of a saved workbook, oldest first
+ * @param {string} workbookId
+ * @returns {Promise<Array>} Snapshots as given to saveSnapshot
+ */
+export async function listSnapshots(workbookId) {
+  const records = await run('readonly', snapshots => snapshots.index('workbookId').getAll(workbookId), [SNAPSHOT_STORE])
+  return records
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(({ workbookId, ...snapshot }) => snapshot)
+}
+
+/**
+ * Delete version history snapshots, e.g. the ones dropped from the history
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export function deleteSnapshots(ids) {
+  if (ids.length === 0) return Promise.resolve()
+  return run('readwrite', snapshots => {
+    ids.forEach(id => snapshots.delete(id))
+  }, [SNAPSHOT_STORE])
+}
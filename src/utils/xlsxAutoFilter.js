@@ -0,0 +1,119 @@
+/**
+ * Read and write the conditions of a sheet's AutoFilter (<filterColumn> elements).
+ * SheetJS Community Edition keeps only the filter's range, so the conditions are
+ * parsed from and added to the sheets' XML, like the data validations in xlsxValidations.js.
+ */
+import { columnLetterToIndex, indexToColumnLetter } from './cellRefs.js'
+
+// Conditions written as Excel wildcards on an equal / notEqual custom filter
+const WILDCARDS = {
+  contains: { operator: 'equal', wrap: value => `*${value}*` },
+  notContains: { operator: 'notEqual', wrap: value => `*${value}*` },
+  beginsWith: { operator: 'equal', wrap: value => `${value}*` },
+  endsWith: { operator: 'equal', wrap: value => `*${value}` }
+}
+
+/**
+ * Add each sheet's filter conditions to a zipped workbook written by SheetJS,
+ * which has already written the <autoFilter> element with the range
+ * @param {JSZip} zip - The written workbook
+ * @param {Array} sheets - Sheets in workbook order, with `autoFilter`
+ */
+export async function applyAutoFilters(zip, sheets) {
+  for (let i = 0; i < sheets.length; i++) {
+    const autoFilter = sheets[i].autoFilter
+    if (!autoFilter?.columns?.length) continue
+
+    const path = `xl/worksheets/sheet${i + 1}.xml`
+    const file = zip.file(path)
+    if (!file) continue
+
+    const xml = await file.async('string')
+    const element = `<autoFilter ref="${autoFilter.range}">${toXml(autoFilter)}</autoFilter>`
+    zip.file(path, xml.replace(/<autoFilter\b[^>]*?(?:\/>|>[^]*?<\/autoFilter>)/, element))
+  }
+}
+
+/**
+ * Read a worksheet's <autoFilter> element. Columns filtered by value lists or by one
+ * condition are kept; colors, top 10 and dynamic filters cannot be shown and are left out.
+ * @param {string} xml - Worksheet XML
+ * @returns {Object|null} { range, columns } or null when the sheet has no filter
+ */
+export function parseAutoFilter(xml) {
+  const element = xml.match(/<autoFilter\b[^>]*?(?:\/>|>[^]*?<\/autoFilter>)/)?.[0]
+  const range = element?.match(/\bref="([^"]*)"/)?.[1]
+  if (!range) return null
+
+  const startCol = columnLetterToIndex(range.match(/^[A-Z]+/)?.[0] || 'A')
+  const columns = []
+  for (const [, colId, body] of element.matchAll(/<filterColumn\b[^>]*?colId="(\d+)"[^>]*?(?:\/>|>([^]*?)<\/filterColumn>)/g)) {
+    const column = indexToColumnLetter(startCol + parseInt(colId, 10))
+    const filter = parseFilterColumn(body || '')
+    if (filter) columns.push({ column, ...filter })
+  }
+  return { range: range.includes(':') ? range : `${range}:${range}`, columns }
+}
+
+function parseFilterColumn(body) {
+  if (/<filters\b/.test(body)) {
+    const values = [...body.matchAll(/<filter\b[^>]*?val="([^"]*)"/g)].map(([, value]) => decodeXml(value))
+    if (/<filters\b[^>]*?blank="(?:1|true)"/.test(body)) values.push('')
+    return { values }
+  }
+
+  const custom = [...body.matchAll(/<customFilter\b[^>]*>/g)]
+  if (custom.length !== 1) return null
+  const tag = custom[0][0]
+  const operator = tag.match(/\boperator="([^"]*)"/)?.[1] || 'equal'
+  const value = decodeXml(tag.match(/\bval="([^"]*)"/)?.[1] || '')
+
+  const text = value.replace(/^\*|\*$/g, '')
+  if (operator === 'equal' || operator === 'notEqual') {
+    const starts = value.startsWith('*')
+    const ends = value.endsWith('*') && value.length > 1
+    if (starts && ends) return { operator: operator === 'equal' ? 'contains' : 'notContains', value: text }
+    if (operator === 'equal' && ends) return { operator: 'beginsWith', value: text }
+    if (operator === 'equal' && starts) return { operator: 'endsWith', value: text }
+  }
+  return { operator, value }
+}
+
+function toXml({ range, columns }) {
+  const startCol = columnLetterToIndex(range.match(/^[A-Z]+/)?.[0] || 'A')
+  return columns
+    .map(filter => ({ filter, colId: columnLetterToIndex(filter.column) - startCol }))
+    .sort((a, b) => a.colId - b.colId)
+    .map(({ filter, colId }) => `<filterColumn colId="${colId}">${toFilterXml(filter)}</filterColumn>`)
+    .join('')
+}
+
+function toFilterXml(filter) {
+  if (Array.isArray(filter.values)) {
+    const blank = filter.values.includes('') ? ' blank="1"' : ''
+    const items = filter.values
+      .filter(value => value !== '')
+      .map(value => `<filter val="${escapeXml(value)}"/>`)
+      .join('')
+    return `<filters${blank}>${items}</filters>`
+  }
+
+  const wildcard = WILDCARDS[filter.operator]
+  const operator = wildcard ? wildcard.operator : filter.operator
+  const value = wildcard ? wildcard.wrap(filter.value) : filter.value
+  const operatorAttr = operator !== 'equal' ? ` operator="${operator}"` : ''
+  return `<customFilters><customFilter${operatorAttr} val="${escapeXml(String(value ?? ''))}"/></customFilters>`
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
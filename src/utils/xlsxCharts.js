@@ -0,0 +1,331 @@
+/**
+ * Write the sheets' charts into an exported .xlsx as native Excel charts, and read
+ * them back when a file is opened. SheetJS Community Edition drops drawings and charts,
+ * so the chart, drawing and relationship parts are added after writing, like the data
+ * validations in xlsxValidations.js.
+ */
+import { validateChart, getChartData } from './charts.js'
+import { toAbsoluteReference, tokenizeFormula, sameSheet } from './formulaReferences.js'
+import { parseCellReference, parseRange, toCellRef } from './cellRefs.js'
+
+const NS = {
+  c: 'http://schemas.openxmlformats.org/drawingml/2006/chart',
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  xdr: 'http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing',
+  rels: 'http://schemas.openxmlformats.org/package/2006/relationships'
+}
+const RELATIONSHIP_TYPES = {
+  drawing: `${NS.r}/drawing`,
+  chart: `${NS.r}/chart`
+}
+const CONTENT_TYPES = {
+  drawing: 'application/vnd.openxmlformats-officedocument.drawing+xml',
+  chart: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml'
+}
+
+// Elements that come after <drawing> in a worksheet, in schema order
+const FOLLOWING_ELEMENTS = ['legacyDrawing', 'legacyDrawingHF', 'picture', 'oleObjects', 'controls', 'webPublishItems', 'tableParts', 'extLst']
+
+// Chart elements Excel may use for each of our chart types
+const CHART_ELEMENTS = {
+  barChart: 'bar', bar3DChart: 'bar',
+  lineChart: 'line', line3DChart: 'line',
+  pieChart: 'pie', pie3DChart: 'pie', doughnutChart: 'pie',
+  scatterChart: 'scatter'
+}
+
+// Size of an exported chart, in cells
+const CHART_COLUMNS = 8
+const CHART_ROWS = 15
+
+/**
+ * Add each sheet's charts to a zipped workbook written by SheetJS
+ * @param {JSZip} zip - The written workbook
+ * @param {Array} sheets - Sheets in workbook order, with `charts` and their computed `data`
+ */
+export async function applyCharts(zip, sheets) {
+  let chartNumber = lastPartNumber(zip, /^xl\/charts\/chart(\d+)\.xml$/)
+  let drawingNumber = lastPartNumber(zip, /^xl\/drawings\/drawing(\d+)\.xml$/)
+  const overrides = []
+
+  for (let i = 0; i < sheets.length; i++) {
+    const charts = (sheets[i].charts || []).filter(chart => !validateChart(chart))
+    if (charts.length === 0) continue
+
+    const path = `xl/worksheets/sheet${i + 1}.xml`
+    const file = zip.file(path)
+    if (!file) continue
+
+    drawingNumber++
+    const anchors = []
+    const drawingRels = []
+    const placed = {}
+    charts.forEach((chart, k) => {
+      chartNumber++
+      const chartPath = `xl/charts/chart${chartNumber}.xml`
+      zip.file(chartPath, toChartXml(chart, sheets[i]))
+      overrides.push({ path: chartPath, type: CONTENT_TYPES.chart })
+      drawingRels.push(toRelationship(`rId${k + 1}`, RELATIONSHIP_TYPES.chart, `../charts/chart${chartNumber}.xml`))
+
+      // Charts placed at the same cell are stacked instead of drawn on top of each other
+      const cell = parseCellReference(chart.cell) || { row: 0, col: 0 }
+      const stacked = placed[chart.cell] || 0
+      placed[chart.cell] = stacked + 1
+      anchors.push(toAnchorXml({ row: cell.row + stacked * (CHART_ROWS + 1), col: cell.col }, k, `rId${k + 1}`, chart.title))
+    })
+
+    const drawingPath = `xl/drawings/drawing${drawingNumber}.xml`
+    zip.file(drawingPath, `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<xdr:wsDr xmlns:xdr="${NS.xdr}" xmlns:a="${NS.a}">${anchors.join('')}</xdr:wsDr>`)
+    zip.file(`xl/drawings/_rels/drawing${drawingNumber}.xml.rels`, toRelationshipsXml(drawingRels))
+    overrides.push({ path: drawingPath, type: CONTENT_TYPES.drawing })
+
+    // Link the drawing from the sheet, next to what SheetJS already linked (comments)
+    const relsPath = `xl/worksheets/_rels/sheet${i + 1}.xml.rels`
+    const relsXml = await zip.file(relsPath)?.async('string') || toRelationshipsXml([])
+    const relId = unusedRelationshipId(relsXml)
+    zip.file(relsPath, relsXml.replace('</Relationships>',
+      toRelationship(relId, RELATIONSHIP_TYPES.drawing, `../drawings/drawing${drawingNumber}.xml`) + '</Relationships>'))
+
+    const xml = (await file.async('string')).replace(/<drawing\b[^>]*\/>/, '')
+    zip.file(path, insertBeforeFollowing(xml, `<drawing r:id="${relId}"/>`))
+  }
+
+  if (overrides.length === 0) return
+  const typesXml = await zip.file('[Content_Types].xml').async('string')
+  zip.file('[Content_Types].xml', typesXml.replace('</Types>',
+    overrides.map(({ path, type }) => `<Override PartName="/${path}" ContentType="${type}"/>`).join('') + '</Types>'))
+}
+
+/**
+ * Read the charts of a worksheet that this app can show: bar, line, pie and scatter
+ * charts whose series are columns of the same sheet. Others are left out.
+ * @param {JSZip} zip - The opened workbook
+ * @param {string} sheetPath - Worksheet part, e.g. "xl/worksheets/sheet1.xml"
+ * @param {string} xml - Worksheet XML
+ * @param {string} sheetName - The sheet's name
+ * @returns {Promise<Array>} Chart definitions
+ */
+export async function parseCharts(zip, sheetPath, xml, sheetName) {
+  const drawingId = xml.match(/<drawing\b[^>]*?r:id="([^"]*)"/)?.[1]
+  if (!drawingId) return []
+  const drawingPath = (await readRelationships(zip, sheetPath))[drawingId]
+  const drawingXml = drawingPath && await zip.file(drawingPath)?.async('string')
+  if (!drawingXml) return []
+  const chartPaths = await readRelationships(zip, drawingPath)
+
+  const charts = []
+  const anchors = drawingXml.match(/<xdr:(twoCellAnchor|oneCellAnchor|absoluteAnchor)\b[^]*?<\/xdr:\1>/g) || []
+  for (const anchor of anchors) {
+    const chartId = anchor.match(/<c:chart\b[^>]*?r:id="([^"]*)"/)?.[1]
+    const chartXml = chartId && chartPaths[chartId] && await zip.file(chartPaths[chartId])?.async('string')
+    const chart = chartXml && parseChartXml(chartXml, sheetName)
+    if (!chart) continue
+
+    const col = anchor.match(/<xdr:from>[^]*?<xdr:col>(\d+)<\/xdr:col>/)?.[1]
+    const row = anchor.match(/<xdr:from>[^]*?<xdr:row>(\d+)<\/xdr:row>/)?.[1]
+    charts.push({
+      id: `chart${charts.length + 1}`,
+      ...chart,
+      cell: col !== undefined && row !== undefined ? toCellRef(parseInt(row, 10), parseInt(col, 10)) : undefined
+    })
+  }
+  return charts
+}
+
+function parseChartXml(xml, sheetName) {
+  const element = xml.match(/<c:(\w+Chart)\b/g)?.map(tag => tag.slice(3)).find(name => CHART_ELEMENTS[name])
+  if (!element) return null
+
+  const series = xml.match(/<c:ser>[^]*?<\/c:ser>/g) || []
+  const readRef = (ser, tags) => ser.match(new RegExp(`<c:(${tags})>([^]*?)</c:\\1>`))?.[2].match(/<c:f>([^<]*)<\/c:f>/)?.[1]
+  const refs = series.map(ser => ({
+    name: readRef(ser, 'tx'),
+    categories: readRef(ser, 'cat|xVal'),
+    values: readRef(ser, 'val|yVal')
+  }))
+  if (refs.length === 0 || refs.some(ref => !ref.values)) return null
+
+  const bounds = refs.flatMap(ref => [ref.name, ref.categories, ref.values])
+    .filter(Boolean)
+    .map(ref => toBounds(decodeXml(ref), sheetName))
+  // Series must be columns of this sheet
+  if (bounds.some(b => !b) || refs.some(ref => {
+    const b = toBounds(decodeXml(ref.values), sheetName)
+    return b.startCol !== b.endCol
+  })) return null
+
+  // The chart's own title comes before the plot area; axis titles are inside it
+  const title = (xml.split('<c:plotArea')[0].match(/<c:title>[^]*?<\/c:title>/)?.[0].match(/<a:t>[^<]*<\/a:t>/g) || [])
+    .map(text => decodeXml(text.slice(5, -6)))
+    .join('')
+  const range = {
+    startRow: Math.min(...bounds.map(b => b.startRow)),
+    startCol: Math.min(...bounds.map(b => b.startCol)),
+    endRow: Math.max(...bounds.map(b => b.endRow)),
+    endCol: Math.max(...bounds.map(b => b.endCol))
+  }
+  return {
+    type: CHART_ELEMENTS[element],
+    title,
+    range: `${toCellRef(range.startRow, range.startCol)}:${toCellRef(range.endRow, range.endCol)}`,
+    hasHeader: refs.some(ref => ref.name)
+  }
+}
+
+function toChartXml(chart, sheet) {
+  const { categories, series } = getChartData(sheet.data || [], chart)
+  const bounds = parseRange(chart.range.replace(/\$/g, ''))
+  const firstRow = bounds.startRow + (chart.hasHeader ? 1 : 0)
+  const singleColumn = bounds.startCol === bounds.endCol
+  const ref = (startRow, col, endRow = startRow) => escapeXml(toAbsoluteReference(
+    startRow === endRow ? toCellRef(startRow, col) : `${toCellRef(startRow, col)}:${toCellRef(endRow, col)}`,
+    sheet.name
+  ))
+
+  const categoryRef = singleColumn ? null : ref(firstRow, bounds.startCol, bounds.endRow)
+  const textCategories = categories.some(category => typeof category !== 'number')
+  const seriesXml = series.map(({ name, values }, k) => {
+    const col = (singleColumn ? bounds.startCol : bounds.startCol + 1) + k
+    const tx = chart.hasHeader
+      ? `<c:tx><c:strRef><c:f>${ref(bounds.startRow, col)}</c:f>${toStrCache([name])}</c:strRef></c:tx>`
+      : ''
+    const valuesXml = `<c:numRef><c:f>${ref(firstRow, col, bounds.endRow)}</c:f>${toNumCache(values)}</c:numRef>`
+    const categoriesXml = !categoryRef
+      ? ''
+      : textCategories && chart.type !== 'scatter'
+        ? `<c:strRef><c:f>${categoryRef}</c:f>${toStrCache(categories)}</c:strRef>`
+        : `<c:numRef><c:f>${categoryRef}</c:f>${toNumCache(categories)}</c:numRef>`
+    const head = `<c:idx val="${k}"/><c:order val="${k}"/>${tx}`
+
+    switch (chart.type) {
+      case 'line':
+        return `<c:ser>${head}<c:marker><c:symbol val="circle"/></c:marker>${categoriesXml && `<c:cat>${categoriesXml}</c:cat>`}<c:val>${valuesXml}</c:val><c:smooth val="0"/></c:ser>`
+      case 'scatter':
+        return `<c:ser>${head}<c:spPr><a:ln w="19050"><a:noFill/></a:ln></c:spPr><c:marker><c:symbol val="circle"/></c:marker>${categoriesXml && `<c:xVal>${categoriesXml}</c:xVal>`}<c:yVal>${valuesXml}</c:yVal><c:smooth val="0"/></c:ser>`
+      case 'pie':
+        return `<c:ser>${head}${categoriesXml && `<c:cat>${categoriesXml}</c:cat>`}<c:val>${valuesXml}</c:val></c:ser>`
+      default:
+        return `<c:ser>${head}<c:invertIfNegative val="0"/>${categoriesXml && `<c:cat>${categoriesXml}</c:cat>`}<c:val>${valuesXml}</c:val></c:ser>`
+    }
+  }).join('')
+
+  const axes = chart.type === 'scatter'
+    ? toAxisXml('valAx', 1, 2, 'b') + toAxisXml('valAx', 2, 1, 'l', true)
+    : toAxisXml('catAx', 1, 2, 'b') + toAxisXml('valAx', 2, 1, 'l', true)
+  const axisIds = '<c:axId val="1"/><c:axId val="2"/>'
+  const plot = {
+    bar: `<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/><c:varyColors val="0"/>${seriesXml}<c:gapWidth val="150"/>${axisIds}</c:barChart>${axes}`,
+    line: `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${seriesXml}<c:marker val="1"/>${axisIds}</c:lineChart>${axes}`,
+    pie: `<c:pieChart><c:varyColors val="1"/>${seriesXml}<c:firstSliceAng val="0"/></c:pieChart>`,
+    scatter: `<c:scatterChart><c:scatterStyle val="lineMarker"/><c:varyColors val="0"/>${seriesXml}${axisIds}</c:scatterChart>${axes}`
+  }[chart.type]
+  const title = chart.title
+    ? `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(chart.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title><c:autoTitleDeleted val="0"/>`
+    : '<c:autoTitleDeleted val="1"/>'
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<c:chartSpace xmlns:c="${NS.c}" xmlns:a="${NS.a}" xmlns:r="${NS.r}"><c:roundedCorners val="0"/>` +
+    `<c:chart>${title}<c:plotArea><c:layout/>${plot}</c:plotArea>` +
+    '<c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend><c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart></c:chartSpace>'
+}
+
+function toAxisXml(element, id, crossId, position, gridlines = false) {
+  return `<c:${element}><c:axId val="${id}"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>` +
+    `<c:axPos val="${position}"/>${gridlines ? '<c:majorGridlines/>' : ''}<c:tickLblPos val="nextTo"/><c:crossAx val="${crossId}"/></c:${element}>`
+}
+
+function toAnchorXml({ row, col }, index, relId, title) {
+  const marker = (r, c) => `<xdr:col>${c}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${r}</xdr:row><xdr:rowOff>0</xdr:rowOff>`
+  return '<xdr:twoCellAnchor editAs="oneCell">' +
+    `<xdr:from>${marker(row, col)}</xdr:from><xdr:to>${marker(row + CHART_ROWS, col + CHART_COLUMNS)}</xdr:to>` +
+    `<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${index + 2}" name="${escapeXml(title || `Gráfico ${index + 1}`)}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+    '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+    `<a:graphic><a:graphicData uri="${NS.c}"><c:chart xmlns:c="${NS.c}" xmlns:r="${NS.r}" r:id="${relId}"/></a:graphicData></a:graphic>` +
+    '</xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>'
+}
+
+function toStrCache(values) {
+  const points = values.map((value, i) => `<c:pt idx="${i}"><c:v>${escapeXml(String(value ?? ''))}</c:v></c:pt>`).join('')
+  return `<c:strCache><c:ptCount val="${values.length}"/>${points}</c:strCache>`
+}
+
+// Blank points are left out of the cache, as Excel does
+function toNumCache(values) {
+  const points = values
+    .map((value, i) => value === null || value === undefined ? '' : `<c:pt idx="${i}"><c:v>${value}</c:v></c:pt>`)
+    .join('')
+  return `<c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${values.length}"/>${points}</c:numCache>`
+}
+
+function toRelationship(id, type, target) {
+  return `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`
+}
+
+function toRelationshipsXml(relationships) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${NS.rels}">${relationships.join('')}</Relationships>`
+}
+
+function unusedRelationshipId(relsXml) {
+  const used = new Set([...relsXml.matchAll(/\bId="([^"]*)"/g)].map(([, id]) => id))
+  let n = 1
+  while (used.has(`rId${n}`)) n++
+  return `rId${n}`
+}
+
+// Relationship targets of a part as zip paths, keyed by relationship id
+async function readRelationships(zip, partPath) {
+  const dir = partPath.slice(0, partPath.lastIndexOf('/'))
+  const relsXml = await zip.file(`${dir}/_rels/${partPath.slice(dir.length + 1)}.rels`)?.async('string') || ''
+  const targets = {}
+  for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = tag.match(/\bId="([^"]*)"/)?.[1]
+    const target = tag.match(/\bTarget="([^"]*)"/)?.[1]
+    if (id && target) targets[id] = resolvePath(dir, target)
+  }
+  return targets
+}
+
+// "../charts/chart1.xml" from "xl/drawings" is "xl/charts/chart1.xml"
+function resolvePath(dir, target) {
+  if (target.startsWith('/')) return target.slice(1)
+  const parts = dir.split('/')
+  target.split('/').forEach(part => {
+    if (part === '..') parts.pop()
+    else if (part !== '.') parts.push(part)
+  })
+  return parts.join('/')
+}
+
+function lastPartNumber(zip, pattern) {
+  return Object.keys(zip.files).reduce((max, name) => Math.max(max, parseInt(name.match(pattern)?.[1] || 0, 10)), 0)
+}
+
+// Insert where the schema expects it, or the file will not open in Excel
+function insertBeforeFollowing(xml, element) {
+  for (const tag of FOLLOWING_ELEMENTS) {
+    const index = xml.search(new RegExp(`<${tag}[\\s/>]`))
+    if (index !== -1) return xml.slice(0, index) + element + xml.slice(index)
+  }
+  return xml.replace('</worksheet>', `${element}</worksheet>`)
+}
+
+// A reference such as 'Ventas'!$B$2:$B$13 as bounds, or null when it points at another sheet
+function toBounds(formula, sheetName) {
+  const [token] = tokenizeFormula(formula).filter(t => t.type === 'reference')
+  if (!token || (token.sheet !== null && !sameSheet(token.sheet, sheetName))) return null
+  return parseRange(token.body.replace(/\$/g, '').toUpperCase())
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
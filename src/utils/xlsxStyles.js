@@ -0,0 +1,121 @@
+/**
+ * Write cell styles (font, fill, alignment, borders) into an exported .xlsx.
+ * SheetJS Community Edition only writes number formats, so the rest is added
+ * to xl/styles.xml and the sheets' <c s="..."> attributes after writing.
+ */
+
+const VISUAL_PROPERTIES = ['bold', 'italic', 'fontColor', 'fillColor', 'align', 'border']
+
+/**
+ * Whether a style needs more than a number format
+ */
+export function hasVisualStyle(style) {
+  return VISUAL_PROPERTIES.some(key => style?.[key])
+}
+
+/**
+ * Add each sheet's cell styles to a zipped workbook written by SheetJS
+ * @param {JSZip} zip - The written workbook
+ * @param {Array} sheets - Sheets in workbook order, with `styles` keyed by cell
+ */
+export async function applyCellStyles(zip, sheets) {
+  if (!sheets.some(sheet => Object.values(sheet.styles || {}).some(hasVisualStyle))) return
+
+  const stylesFile = zip.file('xl/styles.xml')
+  if (!stylesFile) return
+  const registry = createStyleRegistry(await stylesFile.async('string'))
+
+  for (let i = 0; i < sheets.length; i++) {
+    const styles = sheets[i].styles || {}
+    const path = `xl/worksheets/sheet${i + 1}.xml`
+    const file = zip.file(path)
+    if (!file) continue
+
+    const xml = await file.async('string')
+    const styled = xml.replace(/<c r="([A-Z]+\d+)"([^>]*?)(\/?)>/g, (match, ref, attrs, selfClosing) => {
+      const style = styles[ref]
+      if (!hasVisualStyle(style)) return match
+      const baseXf = Number(attrs.match(/ s="(\d+)"/)?.[1] || 0)
+      const xfId = registry.getXf(baseXf, style)
+      return `<c r="${ref}"${attrs.replace(/ s="\d+"/, '')} s="${xfId}"${selfClosing}>`
+    })
+    zip.file(path, styled)
+  }
+
+  zip.file('xl/styles.xml', registry.toXml())
+}
+
+// Appends fonts, fills, borders and cell formats to styles.xml, reusing identical ones
+function createStyleRegistry(stylesXml) {
+  const sections = {}
+  ;['fonts', 'fills', 'borders', 'cellXfs'].forEach(tag => {
+    const match = stylesXml.match(new RegExp(`<${tag}[^>]*>([^]*?)</${tag}>`))
+    const entryTag = tag === 'cellXfs' ? 'xf' : tag.slice(0, -1)
+    sections[tag] = {
+      entries: match ? match[1].match(new RegExp(`<${entryTag}\\b[^>]*?(?:/>|>[^]*?</${entryTag}>)`, 'g')) || [] : [],
+      added: []
+    }
+  })
+
+  const baseFont = sections.fonts.entries[0] || '<font><sz val="11"/><name val="Calibri"/></font>'
+  const fontSize = baseFont.match(/<sz val="([^"]+)"/)?.[1] || '11'
+  const fontName = baseFont.match(/<name val="([^"]+)"/)?.[1] || 'Calibri'
+  const cache = new Map()
+
+  const add = (tag, xml) => {
+    const section = sections[tag]
+    const existing = section.added.indexOf(xml)
+    if (existing !== -1) return section.entries.length + existing
+    section.added.push(xml)
+    return section.entries.length + section.added.length - 1
+  }
+
+  return {
+    getXf(baseXf, style) {
+      const base = sections.cellXfs.entries[baseXf] || ''
+      const numFmtId = base.match(/numFmtId="(\d+)"/)?.[1] || '0'
+      const key = numFmtId + JSON.stringify(style)
+      if (cache.has(key)) return cache.get(key)
+
+      const fontId = style.bold || style.italic || style.fontColor
+        ? add('fonts', '<font>' +
+            (style.bold ? '<b/>' : '') +
+            (style.italic ? '<i/>' : '') +
+            `<sz val="${fontSize}"/>` +
+            (style.fontColor ? `<color rgb="${toArgb(style.fontColor)}"/>` : '<color theme="1"/>') +
+            `<name val="${fontName}"/><family val="2"/></font>`)
+        : 0
+      const fillId = style.fillColor
+        ? add('fills', `<fill><patternFill patternType="solid"><fgColor rgb="${toArgb(style.fillColor)}"/><bgColor indexed="64"/></patternFill></fill>`)
+        : 0
+      const borderId = style.border
+        ? add('borders', '<border>' +
+            ['left', 'right', 'top', 'bottom'].map(side => `<${side} style="${style.border}"><color auto="1"/></${side}>`).join('') +
+            '<diagonal/></border>')
+        : 0
+
+      const xf = `<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0"` +
+        ' applyNumberFormat="1" applyFont="1" applyFill="1" applyBorder="1"' +
+        (style.align ? ` applyAlignment="1"><alignment horizontal="${style.align}"/></xf>` : '/>')
+      const xfId = add('cellXfs', xf)
+      cache.set(key, xfId)
+      return xfId
+    },
+
+    toXml() {
+      let xml = stylesXml
+      Object.entries(sections).forEach(([tag, section]) => {
+        if (section.added.length === 0) return
+        const count = section.entries.length + section.added.length
+        xml = xml.replace(new RegExp(`<${tag}[^>]*>([^]*?)</${tag}>`), (match, inner) =>
+          `<${tag} count="${count}">${inner}${section.added.join('')}</${tag}>`)
+      })
+      return xml
+    }
+  }
+}
+
+// "#ff0000" -> "FFFF0000"
+function toArgb(hex) {
+  return 'FF' + hex.replace('#', '').toUpperCase()
+}
@@ -0,0 +1,80 @@
+/**
+ * Write dropdown lists and other data validations as <dataValidation> elements
+ * into an exported .xlsx. SheetJS Community Edition drops data validations, so
+ * they are added to the sheets' XML after writing, like the cell styles in xlsxStyles.js.
+ */
+
+// Elements that come after <dataValidations> in a worksheet, in schema order
+const FOLLOWING_ELEMENTS = [
+  'hyperlinks', 'printOptions', 'pageMargins', 'pageSetup', 'headerFooter', 'rowBreaks', 'colBreaks',
+  'customProperties', 'cellWatches', 'ignoredErrors', 'smartTags', 'drawing', 'legacyDrawing',
+  'legacyDrawingHF', 'picture', 'oleObjects', 'controls', 'webPublishItems', 'tableParts', 'extLst'
+]
+
+/**
+ * Add each sheet's dropdowns and validations to a zipped workbook written by SheetJS
+ * @param {JSZip} zip - The written workbook
+ * @param {Array} sheets - Sheets in workbook order, with `dropdowns` and `validations`
+ */
+export async function applyDataValidations(zip, sheets) {
+  for (let i = 0; i < sheets.length; i++) {
+    const validations = [
+      ...(sheets[i].dropdowns || []).filter(d => d.range && d.formula).map(fromDropdown),
+      ...(sheets[i].validations || []).filter(v => v.range)
+    ]
+    if (validations.length === 0) continue
+
+    const path = `xl/worksheets/sheet${i + 1}.xml`
+    const file = zip.file(path)
+    if (!file) continue
+
+    const xml = (await file.async('string')).replace(/<dataValidations\b[^]*?<\/dataValidations>/, '')
+    zip.file(path, insertBeforeFollowing(xml, toXml(validations)))
+  }
+}
+
+// A dropdown as a list validation; new dropdowns accept blanks and reject other values
+function fromDropdown({ range, formula, allowOther, allowBlank = true, ...rest }) {
+  return { ...rest, range, type: 'list', formula1: formula, allowBlank, showErrorMessage: !allowOther }
+}
+
+function toXml(validations) {
+  const items = validations.map(v => {
+    const attrs = {
+      type: v.type,
+      errorStyle: v.errorStyle !== 'stop' ? v.errorStyle : undefined,
+      operator: v.operator !== 'between' ? v.operator : undefined,
+      allowBlank: v.allowBlank ? 1 : undefined,
+      showDropDown: v.showDropDown ? 1 : undefined,
+      showInputMessage: v.showInputMessage ? 1 : undefined,
+      showErrorMessage: v.showErrorMessage ? 1 : undefined,
+      errorTitle: v.errorTitle,
+      error: v.error,
+      promptTitle: v.promptTitle,
+      prompt: v.prompt,
+      sqref: v.range.replace(/\$/g, '')
+    }
+    const attributes = Object.entries(attrs)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => ` ${name}="${escapeXml(String(value)).replace(/"/g, '&quot;')}"`)
+      .join('')
+    const formulas = [v.formula1, v.formula2]
+      .map((formula, idx) => formula ? `<formula${idx + 1}>${escapeXml(String(formula).replace(/^=/, ''))}</formula${idx + 1}>` : '')
+      .join('')
+    return `<dataValidation${attributes}>${formulas}</dataValidation>`
+  })
+  return `<dataValidations count="${items.length}">${items.join('')}</dataValidations>`
+}
+
+// Insert where the schema expects it, or the file will not open in Excel
+function insertBeforeFollowing(xml, element) {
+  for (const tag of FOLLOWING_ELEMENTS) {
+    const index = xml.search(new RegExp(`<${tag}[\\s/>]`))
+    if (index !== -1) return xml.slice(0, index) + element + xml.slice(index)
+  }
+  return xml.replace('</worksheet>', `${element}</worksheet>`)
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}